@@ -65,12 +65,102 @@ const initializeGoogleOAuth = () => {
   }
 };
 
+// Speaker labels on words when diarization is requested
+const diarizationConfig = (options) =>
+  options.diarization
+    ? {
+        diarizationConfig: {
+          enableSpeakerDiarization: true,
+          minSpeakerCount: 1,
+          maxSpeakerCount: options.maxSpeakers || 6,
+        },
+      }
+    : {};
+
+// Vocabulary hints ([{ phrase, boost }]) as speech contexts, one per boost
+const speechContextsConfig = (options) => {
+  const vocabulary = options.vocabulary || [];
+  if (vocabulary.length === 0) return {};
+
+  const phrasesByBoost = new Map();
+  vocabulary.forEach(({ phrase, boost }) => {
+    const key = boost || 0;
+    if (!phrasesByBoost.has(key)) phrasesByBoost.set(key, []);
+    phrasesByBoost.get(key).push(phrase);
+  });
+
+  return {
+    speechContexts: [...phrasesByBoost].map(([boost, phrases]) =>
+      boost > 0 ? { phrases, boost } : { phrases }
+    ),
+  };
+};
+
+// The medical model only understands US English and cannot listen for
+// other languages; everything else uses a general model
+const MEDICAL_MODEL_LANGUAGES = ["en-US"];
+
+const recognitionModel = (languageCode, options) => {
+  if ((options.alternativeLanguageCodes || []).length > 0) return "default";
+  return MEDICAL_MODEL_LANGUAGES.includes(languageCode)
+    ? "medical_conversation"
+    : "latest_long";
+};
+
+const languageConfig = (options) =>
+  (options.alternativeLanguageCodes || []).length > 0
+    ? { alternativeLanguageCodes: options.alternativeLanguageCodes }
+    : {};
+
+// Language reported for most of the results (they are lower case, e.g.
+// "en-gb"), or null
+const detectedLanguage = (results) => {
+  const counts = {};
+  results.forEach((result) => {
+    if (result.languageCode) {
+      counts[result.languageCode] = (counts[result.languageCode] || 0) + 1;
+    }
+  });
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+};
+
+// Text and words of a response. With diarization the final result repeats
+// every word of the audio with its speaker label, so it replaces the words
+// of the earlier results rather than adding to them.
+const collectResults = (results) => {
+  const last = results[results.length - 1];
+  const lastWords = last?.alternatives[0]?.words || [];
+  const earlierWordCount = results
+    .slice(0, -1)
+    .reduce(
+      (sum, result) => sum + (result.alternatives[0]?.words || []).length,
+      0
+    );
+  const isDiarizationSummary =
+    results.length > 1 &&
+    lastWords.some((word) => word.speakerLabel || word.speakerTag) &&
+    lastWords.length >= earlierWordCount;
+
+  const textResults = isDiarizationSummary ? results.slice(0, -1) : results;
+  return {
+    transcript: textResults
+      .map((result) => result.alternatives[0].transcript)
+      .join("\n"),
+    words: isDiarizationSummary
+      ? lastWords
+      : results.flatMap((result) => result.alternatives[0]?.words || []),
+    language: detectedLanguage(textResults),
+  };
+};
+
 // Transcribe audio file
 const transcribeAudio = async (
   audioBuffer,
   encoding = "MP3",
   sampleRateHertz = 16000,
-  languageCode = "en-US" // Changed from en-GB for medical model
+  languageCode = "en-US", // Changed from en-GB for medical model
+  options = {}
 ) => {
   try {
     if (!speechClient) {
@@ -86,8 +176,13 @@ const transcribeAudio = async (
       sampleRateHertz: sampleRateHertz,
       languageCode: languageCode,
       enableAutomaticPunctuation: true,
-      model: "medical_conversation", // Use medical model for better accuracy
+      model: recognitionModel(languageCode, options),
       useEnhanced: true,
+      enableWordTimeOffsets: true,
+      enableWordConfidence: true,
+      ...diarizationConfig(options),
+      ...speechContextsConfig(options),
+      ...languageConfig(options),
     };
 
     const request = {
@@ -96,14 +191,13 @@ const transcribeAudio = async (
     };
 
     const [response] = await speechClient.recognize(request);
-    const transcription = response.results
-      .map((result) => result.alternatives[0].transcript)
-      .join("\n");
+    const { transcript, words, language } = collectResults(response.results);
 
     return {
-      transcript: transcription,
+      transcript,
       confidence: response.results[0]?.alternatives[0]?.confidence || 0,
-      words: response.results[0]?.alternatives[0]?.words || [],
+      words,
+      language,
     };
   } catch (error) {
     console.error("Error transcribing audio:", error);
@@ -116,16 +210,17 @@ const transcribeLongAudio = async (
   audioBuffer,
   encoding = "MP3",
   sampleRateHertz = 16000,
-  languageCode = "en-GB"
+  languageCode = "en-GB",
+  options = {}
 ) => {
   try {
     if (!speechClient) {
       throw new Error("Google Cloud Speech-to-Text not initialized");
     }
 
-    // For long audio, we need to use long running recognize
-    // This requires the audio to be in Google Cloud Storage
-    // For now, we'll chunk it or use streaming
+    // Inline audio is only accepted up to about a minute. Longer recordings
+    // are split into chunks by utils/transcription.js; this is the fallback
+    // when the duration is unknown.
 
     const audio = {
       content: audioBuffer.toString("base64"),
@@ -136,10 +231,13 @@ const transcribeLongAudio = async (
       sampleRateHertz: sampleRateHertz,
       languageCode: languageCode,
       enableAutomaticPunctuation: true,
-      model: "medical_conversation",
+      model: recognitionModel(languageCode, options),
       useEnhanced: true,
       enableWordTimeOffsets: true,
       enableWordConfidence: true,
+      ...diarizationConfig(options),
+      ...speechContextsConfig(options),
+      ...languageConfig(options),
     };
 
     const request = {
@@ -149,13 +247,12 @@ const transcribeLongAudio = async (
 
     const [operation] = await speechClient.longRunningRecognize(request);
     const [response] = await operation.promise();
-
-    const transcription = response.results
-      .map((result) => result.alternatives[0].transcript)
-      .join("\n");
+    const { transcript, words, language } = collectResults(response.results);
 
     return {
-      transcript: transcription,
+      transcript,
+      words,
+      language,
       results: response.results,
       totalBilledTime: response.totalBilledTime,
     };
@@ -0,0 +1,138 @@
+//config/llm/gemini.js
+
+const {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIError,
+  GoogleGenerativeAIFetchError,
+  GoogleGenerativeAIRequestInputError,
+  GoogleGenerativeAIResponseError,
+  GoogleGenerativeAIAbortError,
+} = require("@google/generative-ai");
+require("dotenv").config();
+
+const getApiKey = () =>
+  process.env.GOOGLE_AI_API_KEY ||
+  process.env.GEMINI_API_KEY ||
+  process.env.GOOGLE_API_KEY;
+
+let client = null;
+let clientKey = null;
+
+const getClient = () => {
+  const apiKey = getApiKey();
+  if (!apiKey) return null;
+  if (!client || clientKey !== apiKey) {
+    client = new GoogleGenerativeAI(apiKey);
+    clientKey = apiKey;
+  }
+  return client;
+};
+
+// Gemini calls the assistant "model" and wants text and images in parts
+const toContents = (messages) =>
+  messages.map((message) => ({
+    role: message.role === "user" ? "user" : "model",
+    parts: [
+      { text: message.content },
+      ...(message.images || []).map((image) => ({
+        inlineData: { mimeType: image.mimeType, data: image.data },
+      })),
+    ],
+  }));
+
+// Provider-neutral error fields: { status, kind } where kind is one of
+// the gateway's error kinds (config/llm/index.js)
+const describeError = (error) => {
+  if (error instanceof GoogleGenerativeAIAbortError) {
+    return { kind: "aborted" };
+  }
+  if (error instanceof GoogleGenerativeAIResponseError) {
+    return { kind: "blocked" };
+  }
+  if (error instanceof GoogleGenerativeAIFetchError) {
+    return { status: error.status };
+  }
+  if (error instanceof GoogleGenerativeAIRequestInputError) {
+    return { kind: "bad_request" };
+  }
+  // The request never reached the API (DNS, connection reset)
+  if (error instanceof GoogleGenerativeAIError) {
+    return { kind: "unavailable" };
+  }
+  return {};
+};
+
+// Request body shared by generate and stream
+const toRequest = ({ messages, temperature, maxTokens }) => ({
+  contents: toContents(messages),
+  generationConfig: {
+    ...(temperature !== undefined && { temperature }),
+    ...(maxTokens && { maxOutputTokens: maxTokens }),
+  },
+});
+
+const getUsage = (response) => ({
+  inputTokens: response.usageMetadata?.promptTokenCount ?? null,
+  outputTokens: response.usageMetadata?.candidatesTokenCount ?? null,
+});
+
+const getModel = ({ model, system }) =>
+  getClient().getGenerativeModel({
+    model,
+    ...(system && { systemInstruction: system }),
+  });
+
+module.exports = {
+  name: "gemini",
+  label: "Google Gemini",
+
+  isAvailable: () => !!getApiKey(),
+
+  // Model ids this provider answers for without a "gemini/" prefix
+  ownsModel: (model) => /^gemini-/.test(model),
+
+  generate: async (options) => {
+    const result = await getModel(options).generateContent(
+      toRequest(options),
+      { signal: options.signal }
+    );
+
+    const response = result.response;
+    const candidate = (response.candidates || [])[0];
+    return {
+      // Throws GoogleGenerativeAIResponseError when the answer was blocked
+      text: response.text(),
+      finishReason: candidate?.finishReason || null,
+      usage: getUsage(response),
+    };
+  },
+
+  stream: async (options) => {
+    const result = await getModel(options).generateContentStream(
+      toRequest(options),
+      { signal: options.signal }
+    );
+    // Rejects along with the stream; the error is thrown from the loop
+    result.response.catch(() => {});
+
+    let text = "";
+    for await (const chunk of result.stream) {
+      // Throws GoogleGenerativeAIResponseError when the answer was blocked
+      const piece = chunk.text();
+      if (piece) {
+        text += piece;
+        options.onToken(piece);
+      }
+    }
+
+    const response = await result.response;
+    const candidate = (response.candidates || [])[0];
+    return {
+      text,
+      finishReason: candidate?.finishReason || null,
+      usage: getUsage(response),
+    };
+  },
+
+  describeError,
+};
@@ -0,0 +1,223 @@
+//config/llm/index.js
+
+// LLM gateway. Every AI call goes through generate(), which resolves the
+// model to a provider, gives each attempt a timeout, retries transient
+// failures and maps provider errors to AI_* codes the routes answer with.
+// Every provider exposes the same interface:
+//   name, label, isAvailable(), ownsModel(model)
+//   generate({ model, system, messages, temperature, maxTokens, signal })
+//     resolving to { text, finishReason, usage }
+//   stream({ ...same, onToken }) calling onToken(text) for each piece of
+//     the reply as it arrives, resolving like generate
+//   describeError(error) -> { status, kind }
+// Messages are { role: "user" | "model", content, images }, where images
+// (optional, vision models only) are [{ mimeType, data (base64) }].
+
+const gemini = require("./gemini");
+const openai = require("./openai");
+const local = require("./local");
+require("dotenv").config();
+
+const LLM_PROVIDERS = { gemini, openai, local };
+
+const DEFAULT_MODEL = process.env.LLM_DEFAULT_MODEL || "gemini-2.0-flash";
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || "60000");
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || "2");
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Error kinds with their code and the HTTP status routes answer with
+const LLM_ERRORS = {
+  not_configured: { code: "AI_NOT_CONFIGURED", status: 503, retryable: false },
+  unknown_model: { code: "AI_MODEL_NOT_FOUND", status: 400, retryable: false },
+  bad_request: { code: "AI_BAD_REQUEST", status: 400, retryable: false },
+  auth: { code: "AI_AUTH_ERROR", status: 502, retryable: false },
+  blocked: { code: "AI_RESPONSE_BLOCKED", status: 422, retryable: false },
+  rate_limited: { code: "AI_RATE_LIMITED", status: 429, retryable: true },
+  timeout: { code: "AI_TIMEOUT", status: 504, retryable: true },
+  unavailable: { code: "AI_UNAVAILABLE", status: 503, retryable: true },
+  not_allowed: { code: "AI_MODEL_NOT_ALLOWED", status: 403, retryable: false },
+  aborted: { code: "AI_ABORTED", status: 499, retryable: false },
+  error: { code: "AI_ERROR", status: 502, retryable: false },
+};
+
+const LLM_ERROR_CODES = Object.values(LLM_ERRORS).map((kind) => kind.code);
+
+const llmError = (kind, message, fields = {}) => {
+  const { code, status, retryable } = LLM_ERRORS[kind];
+  return Object.assign(new Error(message), {
+    code,
+    status,
+    retryable,
+    ...fields,
+  });
+};
+
+const kindForStatus = (status) => {
+  if (status === 400 || status === 422) return "bad_request";
+  if (status === 401 || status === 403) return "auth";
+  if (status === 404) return "unknown_model";
+  if (status === 408) return "timeout";
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "unavailable";
+  return "error";
+};
+
+// Gateway error for a failed provider call
+const mapProviderError = (provider, error, { timedOut, aborted }) => {
+  const described = provider.describeError(error);
+  let kind = described.kind || kindForStatus(described.status);
+  if (aborted) kind = "aborted";
+  else if (timedOut) kind = "timeout";
+
+  return llmError(kind, `${provider.label}: ${error.message}`, {
+    provider: provider.name,
+    cause: error,
+  });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Provider and provider-side model name for a model id. "provider/model"
+// picks the provider explicitly; bare ids go to the provider that owns
+// them. Throws AI_MODEL_NOT_FOUND or AI_NOT_CONFIGURED.
+const resolveModel = (requested) => {
+  const id = requested || DEFAULT_MODEL;
+  const prefix = id.split("/")[0];
+
+  let provider;
+  let model = id;
+  if (id.includes("/") && LLM_PROVIDERS[prefix]) {
+    provider = LLM_PROVIDERS[prefix];
+    model = id.slice(prefix.length + 1);
+  } else {
+    provider = Object.values(LLM_PROVIDERS).find((candidate) =>
+      candidate.ownsModel(id)
+    );
+  }
+
+  if (!provider || !model) {
+    throw llmError("unknown_model", `Unknown AI model: ${id}`);
+  }
+  if (!provider.isAvailable()) {
+    throw llmError("not_configured", `${provider.label} is not configured`, {
+      provider: provider.name,
+    });
+  }
+  return { id, provider, model };
+};
+
+// Generate a reply. Options: { model (id, defaults to LLM_DEFAULT_MODEL),
+// system, messages or prompt, temperature, maxTokens, timeoutMs, retries,
+// signal, onToken }. With onToken(text) the reply is streamed: timeoutMs
+// then limits the wait for each token, and a failure after the first token
+// is not retried and carries the text received so far as partialText.
+// Resolves to { text, model, provider, finishReason, usage, attempts };
+// rejects with an AI_* coded error (see LLM_ERRORS).
+const generate = async ({
+  model: requested,
+  system,
+  messages,
+  prompt,
+  temperature,
+  maxTokens,
+  timeoutMs = LLM_TIMEOUT_MS,
+  retries = LLM_MAX_RETRIES,
+  signal,
+  onToken,
+}) => {
+  const { id, provider, model } = resolveModel(requested);
+  const conversation = messages || [{ role: "user", content: prompt }];
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal && signal.aborted) {
+      throw llmError("aborted", "AI request aborted", {
+        provider: provider.name,
+      });
+    }
+
+    // One controller per attempt: aborted by the timeout or the caller
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const startTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+    startTimer();
+    const forwardAbort = () => controller.abort();
+    if (signal) signal.addEventListener("abort", forwardAbort);
+
+    const request = {
+      model,
+      system,
+      messages: conversation,
+      temperature,
+      maxTokens,
+      signal: controller.signal,
+    };
+    let partialText = "";
+
+    try {
+      const result = onToken
+        ? await provider.stream({
+            ...request,
+            onToken: (text) => {
+              partialText += text;
+              startTimer();
+              onToken(text);
+            },
+          })
+        : await provider.generate(request);
+      return {
+        ...result,
+        model: id,
+        provider: provider.name,
+        attempts: attempt,
+      };
+    } catch (error) {
+      const mapped = mapProviderError(provider, error, {
+        timedOut,
+        aborted: !!(signal && signal.aborted),
+      });
+      // Streamed tokens cannot be taken back, so only retry before the first
+      if (partialText) {
+        mapped.partialText = partialText;
+        throw mapped;
+      }
+      if (!mapped.retryable || attempt > retries) throw mapped;
+
+      console.warn(
+        `AI request to ${id} failed (attempt ${attempt}/${retries + 1}), retrying:`,
+        mapped.message
+      );
+      await sleep(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", forwardAbort);
+    }
+  }
+};
+
+// Whether an error came from the gateway (and carries code and status)
+const isLLMError = (error) => LLM_ERROR_CODES.includes(error.code);
+
+const listLLMProviders = () =>
+  Object.values(LLM_PROVIDERS).map((provider) => ({
+    name: provider.name,
+    label: provider.label,
+    available: provider.isAvailable(),
+  }));
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_ERRORS,
+  DEFAULT_MODEL,
+  llmError,
+  resolveModel,
+  generate,
+  isLLMError,
+  listLLMProviders,
+};
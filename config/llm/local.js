@@ -0,0 +1,27 @@
+//config/llm/local.js
+
+// On-premises models behind an OpenAI-compatible endpoint, for clients
+// that may not send clinical text to a cloud provider:
+//   Ollama     LLM_LOCAL_BASE_URL=http://localhost:11434/v1
+//   llama.cpp  LLM_LOCAL_BASE_URL=http://localhost:8080/v1
+// Local model names carry a "local/" prefix (e.g. "local/llama3.1:8b");
+// LLM_LOCAL_MODELS lists bare names that belong here too.
+
+const { createOpenAICompatibleProvider } = require("./openai");
+require("dotenv").config();
+
+const localModels = () =>
+  (process.env.LLM_LOCAL_MODELS || "")
+    .split(",")
+    .map((model) => model.trim())
+    .filter(Boolean);
+
+module.exports = createOpenAICompatibleProvider({
+  name: "local",
+  label: "On-premises (Ollama / llama.cpp)",
+  // Local servers ignore the key but the client requires one
+  getApiKey: () => process.env.LLM_LOCAL_API_KEY || "local",
+  getBaseURL: () => process.env.LLM_LOCAL_BASE_URL,
+  ownsModel: (model) => localModels().includes(model),
+  isAvailable: () => !!process.env.LLM_LOCAL_BASE_URL,
+});
@@ -0,0 +1,240 @@
+//config/llm/models.js
+
+// Registry of the AI models users can choose. Each model lists its
+// capabilities, cost tier and the plans it is sold on; client admins can
+// narrow that further with settings.ai.allowedModels and pick a default
+// with settings.ai.defaultModel. Retired models point at the model that
+// replaced them so stored preferences keep working.
+// On-premises models come from LLM_LOCAL_MODELS
+// (LLM_LOCAL_CONTEXT_TOKENS, LLM_LOCAL_VISION_MODELS).
+
+const { LLM_PROVIDERS, DEFAULT_MODEL, llmError } = require("./index");
+require("dotenv").config();
+
+const PLANS = ["basic", "premium", "enterprise"];
+const COST_TIERS = ["free", "low", "medium", "high"];
+
+const HOSTED_MODELS = [
+  {
+    id: "gemini-2.5-pro",
+    label: "Gemini 2.5 Pro",
+    provider: "gemini",
+    vision: true,
+    contextTokens: 1048576,
+    costTier: "high",
+    plans: ["premium", "enterprise"],
+  },
+  {
+    id: "gemini-2.5-flash",
+    label: "Gemini 2.5 Flash",
+    provider: "gemini",
+    vision: true,
+    contextTokens: 1048576,
+    costTier: "medium",
+    plans: PLANS,
+  },
+  {
+    id: "gemini-2.0-flash",
+    label: "Gemini 2.0 Flash",
+    provider: "gemini",
+    vision: true,
+    contextTokens: 1048576,
+    costTier: "low",
+    plans: PLANS,
+  },
+  {
+    id: "gemini-1.5-pro",
+    label: "Gemini 1.5 Pro",
+    provider: "gemini",
+    vision: true,
+    contextTokens: 2097152,
+    costTier: "high",
+    plans: ["premium", "enterprise"],
+    replacedBy: "gemini-2.5-pro",
+  },
+  {
+    id: "gemini-1.5-flash",
+    label: "Gemini 1.5 Flash",
+    provider: "gemini",
+    vision: true,
+    contextTokens: 1048576,
+    costTier: "low",
+    plans: PLANS,
+    replacedBy: "gemini-2.0-flash",
+  },
+  {
+    id: "gpt-4o",
+    label: "GPT-4o",
+    provider: "openai",
+    vision: true,
+    contextTokens: 128000,
+    costTier: "high",
+    plans: ["premium", "enterprise"],
+  },
+  {
+    id: "gpt-4o-mini",
+    label: "GPT-4o mini",
+    provider: "openai",
+    vision: true,
+    contextTokens: 128000,
+    costTier: "low",
+    plans: PLANS,
+  },
+];
+
+const envList = (name) =>
+  (process.env[name] || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+// Local models cost nothing per request, so every plan gets them
+const localModels = () => {
+  const visionModels = envList("LLM_LOCAL_VISION_MODELS");
+  return envList("LLM_LOCAL_MODELS").map((name) => ({
+    id: `local/${name}`,
+    label: `${name} (on-premises)`,
+    provider: "local",
+    vision: visionModels.includes(name),
+    contextTokens: parseInt(process.env.LLM_LOCAL_CONTEXT_TOKENS || "8192"),
+    costTier: "free",
+    plans: PLANS,
+  }));
+};
+
+const listModels = () => [...HOSTED_MODELS, ...localModels()];
+
+const getModel = (id) =>
+  listModels().find((model) => model.id === id) || null;
+
+// Follow retirements to the model that is served today
+const currentModel = (model) => {
+  const seen = new Set();
+  while (model && model.replacedBy && !seen.has(model.id)) {
+    seen.add(model.id);
+    model = getModel(model.replacedBy);
+  }
+  return model;
+};
+
+const isKnownModel = (id) => !!getModel(id);
+
+// Plan and AI settings of a user's client (populated or not)
+const clientContext = (client) => ({
+  plan: (client && client.plan) || "basic",
+  allowedModels: (client && client.settings?.ai?.allowedModels) || [],
+  defaultModel: (client && client.settings?.ai?.defaultModel) || null,
+});
+
+// Why a model cannot be used by a client, or null. Options: { vision }
+// requires image input.
+const unavailableReason = (model, client, requires = {}) => {
+  const { plan, allowedModels } = clientContext(client);
+  if (!model) return "unknown";
+  if (!LLM_PROVIDERS[model.provider].isAvailable()) return "not_configured";
+  if (!model.plans.includes(plan)) return "plan";
+  if (allowedModels.length > 0 && !allowedModels.includes(model.id)) {
+    return "client";
+  }
+  if (requires.vision && !model.vision) return "vision";
+  return null;
+};
+
+// Models as listed to a user, with whether they can use each one
+const listModelsForClient = (client) =>
+  listModels().map((model) => {
+    const reason = unavailableReason(currentModel(model), client);
+    return {
+      id: model.id,
+      label: model.label,
+      provider: model.provider,
+      capabilities: {
+        vision: model.vision,
+        contextTokens: model.contextTokens,
+      },
+      costTier: model.costTier,
+      plans: model.plans,
+      retired: !!model.replacedBy,
+      replacedBy: model.replacedBy || null,
+      available: !reason,
+      unavailableReason: reason,
+    };
+  });
+
+// Model to use for a user's request. Tries the requested model (or the
+// user's preference), then the client's default, then the server default,
+// then the cheapest model the client may use. Options: { model, vision }.
+// Returns { model (registry entry), requested, fallback } or throws
+// AI_MODEL_NOT_ALLOWED when no model fits.
+const resolveUserModel = (user, options = {}) => {
+  const client = user.clientId;
+  const requires = { vision: !!options.vision };
+  const requested =
+    options.model || user.preferences?.aiConfig?.model || null;
+
+  const candidates = [
+    requested,
+    clientContext(client).defaultModel,
+    DEFAULT_MODEL,
+  ].filter(Boolean);
+
+  for (const id of candidates) {
+    const model = currentModel(getModel(id));
+    if (!unavailableReason(model, client, requires)) {
+      const fallback = !!requested && model.id !== requested;
+      return { model, requested, fallback };
+    }
+  }
+
+  const cheapest = listModels()
+    .filter((model) => !model.replacedBy)
+    .filter((model) => !unavailableReason(model, client, requires))
+    .sort(
+      (a, b) => COST_TIERS.indexOf(a.costTier) - COST_TIERS.indexOf(b.costTier)
+    )[0];
+  if (cheapest) {
+    return { model: cheapest, requested, fallback: !!requested };
+  }
+
+  throw llmError(
+    "not_allowed",
+    requires.vision
+      ? "No image-capable AI model is available for your plan"
+      : "No AI model is available for your plan"
+  );
+};
+
+// Rough context cost of one image, in characters of text
+const IMAGE_CONTEXT_CHARS = 4000;
+
+// Drop the oldest messages until the conversation fits the model's
+// context window (estimated at four characters per token), keeping the
+// newest message and leaving a quarter of the window for the reply
+const fitToContext = (model, system, messages) => {
+  const budget = Math.floor(model.contextTokens * 0.75) * 4;
+  let used = (system || "").length;
+  const kept = [];
+
+  for (let index = messages.length - 1; index >= 0; index--) {
+    const message = messages[index];
+    used +=
+      message.content.length +
+      (message.images || []).length * IMAGE_CONTEXT_CHARS;
+    if (used > budget && kept.length > 0) break;
+    kept.unshift(message);
+  }
+  // Gemini wants the conversation to open with the user
+  while (kept.length > 1 && kept[0].role !== "user") kept.shift();
+  return kept;
+};
+
+module.exports = {
+  PLANS,
+  COST_TIERS,
+  listModels,
+  getModel,
+  isKnownModel,
+  listModelsForClient,
+  resolveUserModel,
+  fitToContext,
+};
@@ -0,0 +1,153 @@
+//config/llm/openai.js
+
+// Adapter for the OpenAI chat completions API. Local servers that speak
+// the same API (Ollama, llama.cpp) reuse it through
+// createOpenAICompatibleProvider.
+
+const OpenAI = require("openai");
+require("dotenv").config();
+
+const describeError = (error) => {
+  if (error.code === "content_filter") return { kind: "blocked" };
+  if (error instanceof OpenAI.APIUserAbortError) return { kind: "aborted" };
+  if (error instanceof OpenAI.APIConnectionTimeoutError) {
+    return { kind: "timeout" };
+  }
+  if (error instanceof OpenAI.APIConnectionError) {
+    return { kind: "unavailable" };
+  }
+  if (error instanceof OpenAI.APIError) return { status: error.status };
+  return {};
+};
+
+// Images go in as data URLs alongside the text
+const toContent = (message) =>
+  message.images && message.images.length > 0
+    ? [
+        { type: "text", text: message.content },
+        ...message.images.map((image) => ({
+          type: "image_url",
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+        })),
+      ]
+    : message.content;
+
+// Chat completions role names
+const toMessages = (system, messages) => [
+  ...(system ? [{ role: "system", content: system }] : []),
+  ...messages.map((message) => ({
+    role: message.role === "user" ? "user" : "assistant",
+    content: toContent(message),
+  })),
+];
+
+const contentFilterError = () =>
+  Object.assign(new Error("Response blocked by content filter"), {
+    code: "content_filter",
+  });
+
+// Request body shared by generate and stream
+const toBody = ({ model, system, messages, temperature, maxTokens }) => ({
+  model,
+  messages: toMessages(system, messages),
+  ...(temperature !== undefined && { temperature }),
+  ...(maxTokens && { max_tokens: maxTokens }),
+});
+
+const getUsage = (usage) => ({
+  inputTokens: usage?.prompt_tokens ?? null,
+  outputTokens: usage?.completion_tokens ?? null,
+});
+
+// Options: { name, label, getApiKey, getBaseURL, ownsModel, isAvailable }
+const createOpenAICompatibleProvider = ({
+  name,
+  label,
+  getApiKey,
+  getBaseURL = () => undefined,
+  ownsModel,
+  isAvailable,
+}) => {
+  let client = null;
+  let clientConfig = null;
+
+  const getClient = () => {
+    const config = `${getApiKey()}|${getBaseURL()}`;
+    if (!client || clientConfig !== config) {
+      // Timeouts and retries are handled by the gateway
+      client = new OpenAI({
+        apiKey: getApiKey(),
+        baseURL: getBaseURL(),
+        maxRetries: 0,
+      });
+      clientConfig = config;
+    }
+    return client;
+  };
+
+  return {
+    name,
+    label,
+    isAvailable,
+    ownsModel,
+
+    generate: async (options) => {
+      const completion = await getClient().chat.completions.create(
+        toBody(options),
+        { signal: options.signal }
+      );
+
+      const choice = completion.choices[0];
+      if (choice?.finish_reason === "content_filter") {
+        throw contentFilterError();
+      }
+      return {
+        text: choice?.message?.content || "",
+        finishReason: choice?.finish_reason || null,
+        usage: getUsage(completion.usage),
+      };
+    },
+
+    stream: async (options) => {
+      const stream = await getClient().chat.completions.create(
+        {
+          ...toBody(options),
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal: options.signal }
+      );
+
+      let text = "";
+      let finishReason = null;
+      let usage = null;
+      for await (const chunk of stream) {
+        const choice = chunk.choices[0];
+        const piece = choice?.delta?.content;
+        if (piece) {
+          text += piece;
+          options.onToken(piece);
+        }
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        // Sent in a final chunk without choices
+        if (chunk.usage) usage = chunk.usage;
+      }
+
+      if (finishReason === "content_filter") throw contentFilterError();
+      return { text, finishReason, usage: getUsage(usage) };
+    },
+
+    describeError,
+  };
+};
+
+module.exports = createOpenAICompatibleProvider({
+  name: "openai",
+  label: "OpenAI",
+  getApiKey: () => process.env.OPENAI_API_KEY,
+  getBaseURL: () => process.env.OPENAI_BASE_URL || undefined,
+  ownsModel: (model) => /^(gpt-|o\d)/.test(model),
+  isAvailable: () => !!process.env.OPENAI_API_KEY,
+});
+
+module.exports.createOpenAICompatibleProvider = createOpenAICompatibleProvider;
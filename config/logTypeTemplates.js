@@ -0,0 +1,335 @@
+//config/logTypeTemplates.js
+
+// Built-in log type templates. These seed the global template library on
+// first start; after that platform admins curate the library through
+// /api/log-type-templates. Templates flagged isDefault are installed by
+// POST /api/log-types/seed-defaults and by utils/setupDatabase.js.
+
+const BUILT_IN_TEMPLATES = [
+  {
+    key: "procedure",
+    name: "Procedure",
+    description: "Medical procedures and operations",
+    category: "procedure",
+    color: "#3B82F6",
+    icon: "scissors",
+    specialties: ["general", "surgery"],
+    isDefault: true,
+    fields: [
+      {
+        fieldName: "procedure_type",
+        fieldType: "select",
+        label: "Procedure Type",
+        required: true,
+        options: ["Minor", "Major", "Emergency"],
+        order: 1,
+      },
+      {
+        fieldName: "supervisor",
+        fieldType: "text",
+        label: "Supervisor",
+        required: true,
+        order: 2,
+      },
+      {
+        fieldName: "patient_age",
+        fieldType: "number",
+        label: "Patient Age",
+        required: false,
+        order: 3,
+      },
+      {
+        fieldName: "complications",
+        fieldType: "textarea",
+        label: "Complications",
+        required: false,
+        order: 4,
+      },
+    ],
+  },
+  {
+    key: "consultation",
+    name: "Consultation",
+    description: "Patient consultations and assessments",
+    category: "consultation",
+    color: "#10B981",
+    icon: "user-group",
+    specialties: ["general"],
+    isDefault: true,
+    fields: [
+      {
+        fieldName: "consultation_type",
+        fieldType: "select",
+        label: "Type",
+        required: true,
+        options: ["Initial", "Follow-up", "Emergency"],
+        order: 1,
+      },
+      {
+        fieldName: "diagnosis",
+        fieldType: "text",
+        label: "Primary Diagnosis",
+        required: false,
+        order: 2,
+      },
+      {
+        fieldName: "treatment_plan",
+        fieldType: "textarea",
+        label: "Treatment Plan",
+        required: false,
+        order: 3,
+      },
+    ],
+  },
+  {
+    key: "teaching-session",
+    name: "Teaching Session",
+    description: "Medical education and training activities",
+    category: "teaching",
+    color: "#F59E0B",
+    icon: "academic-cap",
+    specialties: ["general", "education"],
+    isDefault: true,
+    fields: [
+      {
+        fieldName: "session_type",
+        fieldType: "select",
+        label: "Session Type",
+        required: true,
+        options: ["Lecture", "Tutorial", "Bedside Teaching"],
+        order: 1,
+      },
+      {
+        fieldName: "topic",
+        fieldType: "text",
+        label: "Topic",
+        required: true,
+        order: 2,
+      },
+      {
+        fieldName: "participants",
+        fieldType: "number",
+        label: "Number of Participants",
+        required: false,
+        order: 3,
+      },
+    ],
+  },
+  {
+    key: "ward-round",
+    name: "Ward Round",
+    description: "Ward rounds and patient reviews",
+    category: "consultation",
+    color: "#8B5CF6",
+    icon: "clipboard-document-list",
+    specialties: ["general", "medicine"],
+    isDefault: true,
+    fields: [
+      {
+        fieldName: "ward",
+        fieldType: "text",
+        label: "Ward",
+        required: true,
+        order: 1,
+      },
+      {
+        fieldName: "patients_seen",
+        fieldType: "number",
+        label: "Patients Seen",
+        required: false,
+        order: 2,
+      },
+      {
+        fieldName: "consultant",
+        fieldType: "text",
+        label: "Consultant",
+        required: false,
+        order: 3,
+      },
+    ],
+  },
+  {
+    key: "frog-ai-assistant",
+    name: "Frog AI Assistant",
+    description: "AI-powered clinical partner",
+    category: "ai_assistant",
+    color: "#7C3AED", // Violet-600
+    icon: "sparkles",
+    specialties: ["general"],
+    isDefault: true,
+    fields: [],
+    settings: {
+      autoTranscribe: true,
+      allowAudio: true,
+      requireAudio: false,
+      allowAttachments: true,
+    },
+  },
+  {
+    key: "anaesthetic-case",
+    name: "Anaesthetic Case",
+    description: "Anaesthetic cases with airway, technique and drugs given",
+    category: "procedure",
+    color: "#0EA5E9",
+    icon: "beaker",
+    specialties: ["anaesthetics"],
+    isDefault: false,
+    fields: [
+      {
+        fieldName: "asa_grade",
+        fieldType: "select",
+        label: "ASA Grade",
+        required: true,
+        options: ["I", "II", "III", "IV", "V", "VI"],
+        order: 1,
+      },
+      {
+        fieldName: "technique",
+        fieldType: "multiselect",
+        label: "Technique",
+        required: true,
+        options: [
+          "General",
+          "Spinal",
+          "Epidural",
+          "Regional block",
+          "Sedation",
+        ],
+        order: 2,
+      },
+      {
+        fieldName: "airway",
+        fieldType: "select",
+        label: "Airway",
+        options: ["Facemask", "LMA", "ETT", "Tracheostomy", "None"],
+        order: 3,
+      },
+      {
+        fieldName: "start_time",
+        fieldType: "datetime",
+        label: "Anaesthetic Start",
+        order: 4,
+      },
+      {
+        fieldName: "end_time",
+        fieldType: "datetime",
+        label: "Anaesthetic End",
+        order: 5,
+      },
+      {
+        fieldName: "duration",
+        fieldType: "duration",
+        label: "Duration",
+        order: 6,
+        computed: {
+          operation: "duration_between",
+          sources: ["start_time", "end_time"],
+        },
+      },
+      {
+        fieldName: "drugs",
+        fieldType: "group",
+        label: "Drugs Given",
+        order: 7,
+        subFields: [
+          {
+            fieldName: "drug",
+            fieldType: "text",
+            label: "Drug",
+            required: true,
+            order: 1,
+          },
+          {
+            fieldName: "dose",
+            fieldType: "text",
+            label: "Dose",
+            order: 2,
+          },
+        ],
+      },
+      {
+        fieldName: "supervision",
+        fieldType: "select",
+        label: "Supervision",
+        required: true,
+        options: ["Direct", "Local", "Distant", "Solo"],
+        order: 8,
+      },
+      {
+        fieldName: "complications",
+        fieldType: "boolean",
+        label: "Complications",
+        order: 9,
+      },
+      {
+        fieldName: "complications_detail",
+        fieldType: "textarea",
+        label: "Complication Details",
+        required: true,
+        order: 10,
+        showWhen: { field: "complications", operator: "equals", value: true },
+      },
+    ],
+  },
+  {
+    key: "gp-consultation",
+    name: "GP Consultation",
+    description: "Primary care consultations",
+    category: "consultation",
+    color: "#14B8A6",
+    icon: "home-modern",
+    specialties: ["gp"],
+    isDefault: false,
+    fields: [
+      {
+        fieldName: "consultation_mode",
+        fieldType: "select",
+        label: "Mode",
+        required: true,
+        options: ["Face to face", "Telephone", "Video", "Home visit"],
+        order: 1,
+      },
+      {
+        fieldName: "presenting_complaint",
+        fieldType: "text",
+        label: "Presenting Complaint",
+        required: true,
+        order: 2,
+      },
+      {
+        fieldName: "outcome",
+        fieldType: "select",
+        label: "Outcome",
+        options: [
+          "Managed in practice",
+          "Referred",
+          "Admitted",
+          "Follow-up booked",
+        ],
+        order: 3,
+      },
+      {
+        fieldName: "referral_specialty",
+        fieldType: "text",
+        label: "Referred To",
+        required: true,
+        order: 4,
+        showWhen: { field: "outcome", operator: "equals", value: "Referred" },
+      },
+      {
+        fieldName: "confidence",
+        fieldType: "scale",
+        label: "Confidence",
+        order: 5,
+        scale: {
+          min: 1,
+          max: 5,
+          minLabel: "Not confident",
+          maxLabel: "Very confident",
+        },
+      },
+    ],
+  },
+];
+
+module.exports = { BUILT_IN_TEMPLATES };
@@ -24,42 +24,52 @@ const redisConfig = {
     },
 };
 
-// Create transcription queue with error handling
-let transcriptionQueue = null;
 let redisAvailable = false;
 
 // Check if Redis is configured
 const isRedisConfigured = process.env.REDIS_URL || (process.env.REDIS_HOST && process.env.REDIS_HOST !== 'localhost');
 
-try {
-    if (isRedisConfigured) {
-        transcriptionQueue = new Bull('transcription', redisConfig);
-        redisAvailable = true;
+// Create a named queue with the shared event handlers
+const createQueue = (name) => {
+    const queue = new Bull(name, redisConfig);
+
+    // Queue event handlers
+    queue.on('error', (error) => {
+        console.error(`Queue ${name} error:`, error);
+        redisAvailable = false;
+    });
+
+    queue.on('failed', (job, error) => {
+        console.error(`${name} job ${job.id} failed:`, error.message);
+    });
+
+    queue.on('completed', (job, result) => {
+        console.log(`${name} job ${job.id} completed successfully`);
+    });
 
-        // Queue event handlers
-        transcriptionQueue.on('error', (error) => {
-            console.error('Queue error:', error);
-            redisAvailable = false;
-        });
+    queue.on('stalled', (job) => {
+        console.warn(`${name} job ${job.id} stalled`);
+    });
 
-        transcriptionQueue.on('failed', (job, error) => {
-            console.error(`Job ${job.id} failed:`, error.message);
-        });
+    return queue;
+};
 
-        transcriptionQueue.on('completed', (job, result) => {
-            console.log(`Job ${job.id} completed successfully`);
-        });
+// Create queues with error handling
+let transcriptionQueue = null;
+let exportQueue = null;
 
-        transcriptionQueue.on('stalled', (job) => {
-            console.warn(`Job ${job.id} stalled`);
-        });
+try {
+    if (isRedisConfigured) {
+        transcriptionQueue = createQueue('transcription');
+        exportQueue = createQueue('export');
+        redisAvailable = true;
 
-        console.log('Bull queue initialized - Redis available');
+        console.log('Bull queues initialized - Redis available');
     } else {
         console.log('Redis not configured - Background jobs disabled (using synchronous processing)');
     }
 } catch (error) {
-    console.warn('Failed to initialize Redis queue - falling back to synchronous transcription');
+    console.warn('Failed to initialize Redis queues - falling back to synchronous processing');
     redisAvailable = false;
 }
 
@@ -74,9 +84,17 @@ const defaultJobOptions = {
     removeOnFail: 200, // Keep last 200 failed jobs
 };
 
+// Export rendering is deterministic, so one retry is enough
+const exportJobOptions = {
+    ...defaultJobOptions,
+    attempts: 2,
+};
+
 module.exports = {
     transcriptionQueue,
+    exportQueue,
     defaultJobOptions,
+    exportJobOptions,
     redisConfig,
     redisAvailable,
 };
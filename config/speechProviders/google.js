@@ -0,0 +1,104 @@
+//config/speechProviders/google.js
+
+const {
+  transcribeAudio,
+  transcribeLongAudio,
+  getSpeechClient,
+} = require("../googleCloud");
+
+// Google returns durations as { seconds, nanos }
+const toSeconds = (time) =>
+  time ? Number(time.seconds || 0) + (time.nanos || 0) / 1e9 : 0;
+
+// The medical model labels speakers by role ("provider", "patient"); other
+// models number them
+const speakerOf = (word) =>
+  word.speakerLabel || (word.speakerTag ? String(word.speakerTag) : null);
+
+const normalizeWords = (words) =>
+  (words || []).map((word) => ({
+    word: word.word,
+    startTime: toSeconds(word.startTime),
+    endTime: toSeconds(word.endTime),
+    confidence: typeof word.confidence === "number" ? word.confidence : null,
+    speaker: speakerOf(word),
+  }));
+
+const averageConfidence = (results) => {
+  const scores = (results || [])
+    .map((result) => result.alternatives[0]?.confidence)
+    .filter((confidence) => typeof confidence === "number");
+  return scores.length > 0
+    ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+    : 0;
+};
+
+module.exports = {
+  name: "google",
+  label: "Google Cloud Speech-to-Text",
+  capabilities: {
+    cloud: true,
+    encodings: [
+      "LINEAR16",
+      "FLAC",
+      "OGG_OPUS",
+      "WEBM_OPUS",
+      "AMR",
+      "AMR_WB",
+      "MULAW",
+    ],
+    sampleRates: null, // any rate between 8000 and 48000 Hz
+    maxSyncSeconds: 60,
+    wordTimestamps: true,
+    wordConfidence: true,
+    diarization: true,
+    adaptation: true,
+    languageDetection: true,
+  },
+
+  isAvailable: () => !!getSpeechClient(),
+
+  transcribe: async (audioBuffer, options = {}) => {
+    const result = await transcribeAudio(
+      audioBuffer,
+      options.encoding,
+      options.sampleRateHertz,
+      options.languageCode,
+      {
+        diarization: options.diarization,
+        vocabulary: options.vocabulary,
+        alternativeLanguageCodes: options.alternativeLanguageCodes,
+      }
+    );
+
+    return {
+      provider: "google",
+      transcript: result.transcript,
+      confidence: result.confidence,
+      words: normalizeWords(result.words),
+      language: result.language,
+    };
+  },
+
+  transcribeLong: async (audioBuffer, options = {}) => {
+    const result = await transcribeLongAudio(
+      audioBuffer,
+      options.encoding,
+      options.sampleRateHertz,
+      options.languageCode,
+      {
+        diarization: options.diarization,
+        vocabulary: options.vocabulary,
+        alternativeLanguageCodes: options.alternativeLanguageCodes,
+      }
+    );
+
+    return {
+      provider: "google",
+      transcript: result.transcript,
+      confidence: averageConfidence(result.results),
+      words: normalizeWords(result.words),
+      language: result.language,
+    };
+  },
+};
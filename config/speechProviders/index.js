@@ -0,0 +1,78 @@
+//config/speechProviders/index.js
+
+// Speech-to-text providers. Every provider exposes the same interface:
+//   name, label, capabilities, isAvailable()
+//   transcribe(audioBuffer, { encoding, sampleRateHertz, languageCode,
+//     alternativeLanguageCodes, diarization, vocabulary })
+//   transcribeLong(audioBuffer, options)
+// and resolves to { provider, transcript, confidence, words, language }.
+
+const Client = require("../../models/Client");
+const google = require("./google");
+const local = require("./local");
+require("dotenv").config();
+
+const SPEECH_PROVIDERS = { google, local };
+const SPEECH_PROVIDER_NAMES = Object.keys(SPEECH_PROVIDERS);
+
+const getDefaultProviderName = () =>
+  SPEECH_PROVIDERS[process.env.STT_PROVIDER]
+    ? process.env.STT_PROVIDER
+    : "google";
+
+const getSpeechProvider = (name) => SPEECH_PROVIDERS[name] || null;
+
+const listSpeechProviders = () =>
+  SPEECH_PROVIDER_NAMES.map((name) => ({
+    name,
+    label: SPEECH_PROVIDERS[name].label,
+    available: SPEECH_PROVIDERS[name].isAvailable(),
+    isDefault: name === getDefaultProviderName(),
+    capabilities: SPEECH_PROVIDERS[name].capabilities,
+  }));
+
+const unavailableError = (message) =>
+  Object.assign(new Error(message), { code: "STT_PROVIDER_UNAVAILABLE" });
+
+// Pick the provider for a client (document or id). A provider chosen by the
+// client admin is used strictly, so audio never leaves the box for clients
+// that require local transcription. Otherwise the server default is used,
+// falling back to any provider that is available.
+const resolveSpeechProvider = async (client) => {
+  let settings = client && client.settings;
+  if (client && !settings) {
+    const clientDoc = await Client.findById(client._id || client)
+      .select("settings.transcription")
+      .lean();
+    settings = clientDoc && clientDoc.settings;
+  }
+
+  const chosen = settings && settings.transcription?.provider;
+  if (chosen) {
+    const provider = getSpeechProvider(chosen);
+    if (!provider || !provider.isAvailable()) {
+      throw unavailableError(
+        `Transcription provider "${chosen}" is not available on this server`
+      );
+    }
+    return provider;
+  }
+
+  const defaultProvider = getSpeechProvider(getDefaultProviderName());
+  if (defaultProvider.isAvailable()) return defaultProvider;
+
+  const fallback = Object.values(SPEECH_PROVIDERS).find((provider) =>
+    provider.isAvailable()
+  );
+  if (!fallback) {
+    throw unavailableError("No transcription provider is configured");
+  }
+  return fallback;
+};
+
+module.exports = {
+  SPEECH_PROVIDER_NAMES,
+  getSpeechProvider,
+  listSpeechProviders,
+  resolveSpeechProvider,
+};
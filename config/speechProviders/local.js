@@ -0,0 +1,183 @@
+//config/speechProviders/local.js
+
+// On-box transcription for clients that may not send audio to the cloud.
+// Shells out to whisper.cpp or Vosk installed on the server:
+//   LOCAL_STT_ENGINE=whisper.cpp  WHISPER_CPP_BIN, WHISPER_CPP_MODEL
+//   LOCAL_STT_ENGINE=vosk         VOSK_BIN, VOSK_MODEL
+// Both engines read 16 kHz mono WAV files.
+
+const { execFile } = require("child_process");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+require("dotenv").config();
+
+const LOCAL_STT_TIMEOUT_MS = parseInt(
+  process.env.LOCAL_STT_TIMEOUT_MS || String(15 * 60 * 1000)
+);
+
+// whisper.cpp reports "HH:MM:SS,mmm" timestamps and millisecond offsets
+const parseWhisperJson = (raw) => {
+  const output = JSON.parse(raw);
+  const segments = (output.transcription || []).map((segment) => ({
+    text: segment.text.trim(),
+    startTime: (segment.offsets?.from || 0) / 1000,
+    endTime: (segment.offsets?.to || 0) / 1000,
+  }));
+
+  return {
+    transcript: segments
+      .map((segment) => segment.text)
+      .filter(Boolean)
+      .join(" "),
+    language: output.result?.language || null,
+    segments,
+  };
+};
+
+const ENGINES = {
+  "whisper.cpp": {
+    binary: () => process.env.WHISPER_CPP_BIN || "whisper-cli",
+    isConfigured: () =>
+      !!process.env.WHISPER_CPP_MODEL &&
+      fsSync.existsSync(process.env.WHISPER_CPP_MODEL),
+    args: ({ inputPath, outputBase, language }) => [
+      "-m",
+      process.env.WHISPER_CPP_MODEL,
+      "-f",
+      inputPath,
+      "-l",
+      language,
+      "-oj",
+      "-of",
+      outputBase,
+      "-np",
+    ],
+    outputFile: (outputBase) => `${outputBase}.json`,
+    parse: parseWhisperJson,
+    languageDetection: true,
+  },
+  vosk: {
+    binary: () => process.env.VOSK_BIN || "vosk-transcriber",
+    isConfigured: () =>
+      !!process.env.VOSK_MODEL && fsSync.existsSync(process.env.VOSK_MODEL),
+    args: ({ inputPath, outputBase }) => [
+      "-m",
+      process.env.VOSK_MODEL,
+      "-i",
+      inputPath,
+      "-o",
+      `${outputBase}.txt`,
+    ],
+    outputFile: (outputBase) => `${outputBase}.txt`,
+    parse: (raw) => ({
+      transcript: raw.replace(/\s+/g, " ").trim(),
+      language: null,
+      segments: [],
+    }),
+    // Vosk models are single-language and report no language
+    languageDetection: false,
+  },
+};
+
+const getEngine = () => ENGINES[process.env.LOCAL_STT_ENGINE] || null;
+
+const runEngine = (binary, args) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      binary,
+      args,
+      { timeout: LOCAL_STT_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          error.message = `${binary} failed: ${
+            (stderr || "").trim().split("\n").pop() || error.message
+          }`;
+          return reject(error);
+        }
+        resolve(stdout);
+      }
+    );
+  });
+
+const capabilities = {
+  cloud: false,
+  encodings: ["LINEAR16"],
+  sampleRates: [16000],
+  channels: 1,
+  maxSyncSeconds: null, // no limit, long audio runs the same way
+  wordTimestamps: false,
+  wordConfidence: false,
+  diarization: false,
+  adaptation: false,
+  // Depends on the engine configured when the provider is used
+  get languageDetection() {
+    const engine = getEngine();
+    return !!engine && engine.languageDetection;
+  },
+};
+
+const transcribe = async (audioBuffer, options = {}) => {
+  const engine = getEngine();
+  if (!engine || !engine.isConfigured()) {
+    throw Object.assign(new Error("Local transcription engine not configured"), {
+      code: "STT_PROVIDER_UNAVAILABLE",
+    });
+  }
+
+  if (options.encoding && !capabilities.encodings.includes(options.encoding)) {
+    throw Object.assign(
+      new Error(
+        `Local transcription needs 16 kHz mono WAV audio, got ${options.encoding}`
+      ),
+      { code: "UNSUPPORTED_AUDIO_FORMAT" }
+    );
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "froglog-stt-"));
+  try {
+    const inputPath = path.join(workDir, "input.wav");
+    const outputBase = path.join(workDir, "output");
+    await fs.writeFile(inputPath, audioBuffer);
+
+    // Engines take a bare language ("en"), not a locale ("en-GB"), and
+    // can only detect among every language they know
+    const detect = (options.alternativeLanguageCodes || []).length > 0;
+    const language =
+      options.languageCode && !detect
+        ? options.languageCode.split("-")[0].toLowerCase()
+        : "auto";
+
+    await runEngine(
+      engine.binary(),
+      engine.args({ inputPath, outputBase, language })
+    );
+
+    const raw = await fs.readFile(engine.outputFile(outputBase), "utf8");
+    const result = engine.parse(raw);
+
+    return {
+      provider: "local",
+      transcript: result.transcript,
+      confidence: null,
+      words: [],
+      segments: result.segments,
+      language: result.language,
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  name: "local",
+  label: "On-premises (whisper.cpp / Vosk)",
+  capabilities,
+  isAvailable: () => {
+    const engine = getEngine();
+    return !!engine && engine.isConfigured();
+  },
+  transcribe,
+  transcribeLong: transcribe,
+};
@@ -0,0 +1,247 @@
+//jobs/exportProcessor.js
+
+const { exportQueue, redisAvailable, exportJobOptions } = require('../config/queue');
+const Export = require('../models/Export');
+const User = require('../models/User');
+const { publishUserEvent } = require('../utils/userEvents');
+const {
+    EXPORT_FORMATS,
+    findExportEntries,
+    buildExportFilename,
+    renderExport,
+} = require('../utils/exportRenderers');
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream').promises;
+
+// Rendered files live outside /uploads so they are never served statically
+const EXPORTS_DIR = process.env.EXPORTS_DIR || path.join(__dirname, '..', 'storage', 'exports');
+const EXPORT_RETENTION_DAYS = parseInt(process.env.EXPORT_RETENTION_DAYS || '7');
+const EXPIRY_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+// Local exports last updated before this process started were orphaned by a restart
+const PROCESS_STARTED_AT = new Date();
+
+// Remove a rendered file, ignoring files that are already gone
+const removeExportFile = async (filePath) => {
+    if (!filePath) return;
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to delete export file ${filePath}:`, error.message);
+        }
+    }
+};
+
+// Render an export to disk and record the result on the Export document.
+// fromQueue is set for runs Bull will retry on failure.
+const processExport = async (exportId, { fromQueue = false } = {}) => {
+    const exportDoc = await Export.findById(exportId);
+
+    if (!exportDoc) {
+        console.warn(`Export ${exportId} no longer exists, skipping`);
+        return null;
+    }
+
+    console.log(`Processing ${exportDoc.format} export ${exportId}`);
+
+    exportDoc.status = 'processing';
+    exportDoc.startedAt = new Date();
+    exportDoc.attempts += 1;
+    exportDoc.error = null;
+    await exportDoc.save();
+
+    const format = EXPORT_FORMATS[exportDoc.format];
+    const userDir = path.join(EXPORTS_DIR, exportDoc.userId.toString());
+    const filePath = path.join(userDir, `${exportDoc._id}.${format.extension}`);
+
+    let output = null;
+    try {
+        const user = await User.findById(exportDoc.userId).select('name email');
+        const entries = await findExportEntries(exportDoc.userId, exportDoc.filters);
+
+        await fs.promises.mkdir(userDir, { recursive: true });
+
+        // Wait on both together so a stream error after a render failure
+        // is still handled
+        output = fs.createWriteStream(filePath);
+        await Promise.all([
+            finished(output),
+            renderExport(exportDoc.format, entries, output, {
+                user,
+                options: exportDoc.options || {},
+            }),
+        ]);
+
+        const stats = await fs.promises.stat(filePath);
+
+        // The export may have been deleted while it was rendering
+        const stillExists = await Export.exists({ _id: exportDoc._id });
+        if (!stillExists) {
+            await removeExportFile(filePath);
+            return null;
+        }
+
+        exportDoc.status = 'completed';
+        exportDoc.entryCount = entries.length;
+        exportDoc.filePath = filePath;
+        exportDoc.filename = buildExportFilename(exportDoc.format, exportDoc.createdAt);
+        exportDoc.fileSize = stats.size;
+        exportDoc.mimeType = format.mimeType;
+        exportDoc.completedAt = new Date();
+        exportDoc.expiresAt = new Date(
+            Date.now() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        );
+        await exportDoc.save();
+
+        publishUserEvent(exportDoc.userId, 'export.completed', {
+            exportId: exportDoc._id.toString(),
+            name: exportDoc.name,
+            format: exportDoc.format,
+            entryCount: entries.length,
+            downloadUrl: `/api/exports/${exportDoc._id}/download`,
+        });
+        console.log(`Export ${exportId} completed (${entries.length} entries)`);
+
+        return {
+            exportId: exportDoc._id.toString(),
+            entryCount: entries.length,
+            fileSize: stats.size,
+        };
+    } catch (error) {
+        console.error(`Export ${exportId} failed:`, error);
+
+        // Close the file before deleting it
+        if (output && !output.closed) {
+            await new Promise((resolve) => {
+                output.once('close', resolve);
+                output.destroy();
+            });
+        }
+        await removeExportFile(filePath);
+        await Export.updateOne(
+            { _id: exportDoc._id },
+            { $set: { status: 'failed', error: error.message } }
+        );
+
+        // Bull retries failed exports; only report the last attempt
+        if (!fromQueue || exportDoc.attempts >= exportJobOptions.attempts) {
+            publishUserEvent(exportDoc.userId, 'export.failed', {
+                exportId: exportDoc._id.toString(),
+                name: exportDoc.name,
+                format: exportDoc.format,
+                error: error.message,
+            });
+        }
+
+        throw error; // Re-throw for Bull to handle retries
+    }
+};
+
+// In-process fallback runs exports one at a time so a large export
+// cannot starve the HTTP server
+let localChain = Promise.resolve();
+
+const runLocally = (exportId) => {
+    localChain = localChain
+        .then(() => processExport(exportId))
+        .catch((error) => {
+            console.error(`Local export ${exportId} failed:`, error.message);
+        });
+    return localChain;
+};
+
+// Queue an export for rendering, in Redis when available
+const enqueueExport = async (exportId) => {
+    const id = exportId.toString();
+
+    if (redisAvailable && exportQueue) {
+        try {
+            await exportQueue.add({ exportId: id }, exportJobOptions);
+            await Export.updateOne({ _id: id }, { $set: { backend: 'bull' } });
+            console.log(`Queued export job ${id}`);
+            return;
+        } catch (queueError) {
+            console.warn('Failed to queue export, processing in-process:', queueError.message);
+        }
+    }
+
+    await Export.updateOne({ _id: id }, { $set: { backend: 'local' } });
+    runLocally(id);
+};
+
+// Run again the in-process exports a previous run of the server left
+// queued or processing, or fail those already out of attempts. Without
+// Redis, exports queued in Bull are orphaned too. Resolves to the number
+// of exports recovered.
+const recoverLocalExports = async () => {
+    const stale = await Export.find({
+        ...(exportQueue ? { backend: 'local' } : {}),
+        status: { $in: ['queued', 'processing'] },
+        updatedAt: { $lt: PROCESS_STARTED_AT },
+    }).select('_id attempts');
+
+    for (const exportDoc of stale) {
+        if (exportDoc.attempts >= exportJobOptions.attempts) {
+            await Export.updateOne(
+                { _id: exportDoc._id },
+                { $set: { status: 'failed', error: 'Export was interrupted by a server restart' } }
+            );
+        } else {
+            await Export.updateOne({ _id: exportDoc._id }, { $set: { status: 'queued', backend: 'local' } });
+            runLocally(exportDoc._id.toString());
+        }
+    }
+
+    if (stale.length > 0) {
+        console.log(`Recovered ${stale.length} interrupted export(s)`);
+    }
+
+    return stale.length;
+};
+
+// Mark completed exports past their retention period as expired and
+// delete their files
+const expireExports = async () => {
+    const expired = await Export.find({
+        status: 'completed',
+        expiresAt: { $lte: new Date() },
+    });
+
+    for (const exportDoc of expired) {
+        await removeExportFile(exportDoc.filePath);
+        exportDoc.status = 'expired';
+        exportDoc.filePath = null;
+        await exportDoc.save();
+    }
+
+    if (expired.length > 0) {
+        console.log(`Expired ${expired.length} export(s)`);
+    }
+
+    return expired.length;
+};
+
+// Process export jobs only if queue is initialized
+if (exportQueue) {
+    exportQueue.process(async (job) => processExport(job.data.exportId, { fromQueue: true }));
+}
+
+// Expiry sweep (only meaningful once the database is connected)
+const expiryTimer = setInterval(() => {
+    if (!global.dbConnected) return;
+    expireExports().catch((error) => {
+        console.error('Export expiry sweep failed:', error.message);
+    });
+}, EXPIRY_SWEEP_INTERVAL);
+expiryTimer.unref();
+
+module.exports = {
+    exportQueue,
+    enqueueExport,
+    recoverLocalExports,
+    processExport,
+    expireExports,
+    removeExportFile,
+    EXPORTS_DIR,
+};
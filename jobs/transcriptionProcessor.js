@@ -1,94 +1,477 @@
 //jobs/transcriptionProcessor.js
 
-const { transcriptionQueue } = require('../config/queue');
-const { transcribeAudio } = require('../config/googleCloud');
+// One transcription job service for every upload path. Jobs are recorded
+// in MongoDB (TranscriptionJob) and run by Bull when Redis is available,
+// otherwise by an in-process worker that polls the same collection, so
+// queued work survives a restart either way. The local queue serves a
+// single server process; run several instances with Redis.
+
+const { transcriptionQueue, redisAvailable, defaultJobOptions } = require('../config/queue');
+const { resolveSpeechProvider } = require('../config/speechProviders');
+const { transcribeRecording, applyTranscriptionResult } = require('../utils/transcription');
 const LogEntry = require('../models/LogEntry');
-const fs = require('fs').promises;
-const path = require('path');
+const User = require('../models/User');
+const TranscriptionJob = require('../models/TranscriptionJob');
+const { publishUserEvent } = require('../utils/userEvents');
+const { ADAPTATION_ENABLED, buildEntryVocabulary, filterRedactedTerms } = require('../utils/vocabulary');
+const { resolveTranscriptionLanguage } = require('../utils/transcriptionLanguage');
+const { createEntryRedactor, recordRedactionReport } = require('../utils/phiRedaction');
 
-// Process transcription jobs only if queue is initialized
-if (transcriptionQueue) {
-    transcriptionQueue.process(async (job) => {
-        const { entryId, audioUrl } = job.data;
+const { JOB_PRIORITIES, ACTIVE_JOB_STATUSES } = TranscriptionJob;
 
-        console.log(`Processing transcription for entry ${entryId}`);
+const LOCAL_POLL_INTERVAL = 2000;
+const LOCAL_CONCURRENCY = parseInt(process.env.TRANSCRIPTION_LOCAL_CONCURRENCY || '1');
+const WAIT_POLL_INTERVAL = 1000;
+// Local jobs locked before this process started were orphaned by a restart
+const PROCESS_STARTED_AT = new Date();
 
-        try {
-            // Find the log entry
-            const logEntry = await LogEntry.findById(entryId);
-
-            if (!logEntry) {
-                throw new Error(`Log entry ${entryId} not found`);
-            }
-
-            // Determine which recording to process
-            // If index is passed in job data, use it. Otherwise default to 0.
-            const index = job.data.recordingIndex || 0;
-
-            if (!logEntry.audioRecordings || !logEntry.audioRecordings[index]) {
-                throw new Error(`No audio recording found at index ${index} for entry ${entryId}`);
-            }
-
-            const recording = logEntry.audioRecordings[index];
-
-            if (!recording.url) {
-                throw new Error(`No audio URL found for recording ${index} in entry ${entryId}`);
-            }
-
-            // Update status to processing
-            recording.transcriptionStatus = 'processing';
-            logEntry.markModified('audioRecordings');
-            await logEntry.save();
-
-            // Read audio file
-            const audioPath = path.join(__dirname, '..', recording.url);
-            const audioBuffer = await fs.readFile(audioPath);
-
-            // Transcribe audio
-            const transcriptionResult = await transcribeAudio(
-                audioBuffer,
-                'WEBM_OPUS', // Adjust based on your audio format
-                48000, // Sample rate
-                'en-US' // Language code
+// Same backoff as Bull: exponential from the configured delay
+const retryDelay = (attempts) => defaultJobOptions.backoff.delay * Math.pow(2, attempts - 1);
+
+// Update fields of the job's recording without saving the whole entry
+const setRecordingFields = (job, fields) => {
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        update[`audioRecordings.$.${key}`] = value;
+    });
+    return LogEntry.updateOne(
+        { _id: job.entryId, 'audioRecordings._id': job.recordingId },
+        { $set: update }
+    );
+};
+
+// Tell the job's owner about progress over their event stream
+const notifyJob = (job, type, data = {}) =>
+    publishUserEvent(job.userId, type, {
+        jobId: job._id.toString(),
+        entryId: job.entryId.toString(),
+        recordingId: job.recordingId.toString(),
+        recordingIndex: job.recordingIndex,
+        attempt: job.attempts,
+        ...data,
+    });
+
+// Speech language for a recording: the options or the recording's own
+// override, then the user's preferences. Options: { languageCode,
+// detectLanguage, alternativeLanguageCodes } - alternatives already
+// resolved for an earlier job are kept.
+const resolveJobLanguage = async (userId, recording, options = {}) => {
+    const user = await User.findById(userId)
+        .select('preferences.language preferences.transcription')
+        .lean();
+
+    const language = resolveTranscriptionLanguage(user?.preferences || {}, {
+        languageCode: options.languageCode || recording.languageCode,
+        detectLanguage: options.detectLanguage,
+    });
+    if (options.alternativeLanguageCodes && options.detectLanguage === undefined) {
+        language.alternativeLanguageCodes = options.alternativeLanguageCodes;
+    }
+    return language;
+};
+
+// Update a job only while it is still running, so a cancellation that
+// arrives mid-transcription is not overwritten
+const updateRunningJob = (job, fields) =>
+    TranscriptionJob.updateOne({ _id: job._id, status: 'processing' }, { $set: fields });
+
+// Vocabulary hints for the job's recording. Assembled at run time so
+// edits to the vocabulary apply to queued jobs and retries; a lookup
+// failure transcribes without hints rather than failing the job. The
+// hints are the only text sent to the speech provider, so the user's own
+// terms that carry a patient identifier are left out.
+const loadJobVocabulary = async (job, logEntry, provider) => {
+    try {
+        const vocabulary = await buildEntryVocabulary(logEntry, job.userId);
+        const redactor = await createEntryRedactor(logEntry);
+        const safe = filterRedactedTerms(vocabulary, redactor);
+        recordRedactionReport(redactor, {
+            userId: job.userId,
+            clientId: logEntry.clientId,
+            entryId: logEntry._id,
+            recordingId: job.recordingId,
+            purpose: 'transcription',
+            destination: provider.name,
+        });
+        return safe;
+    } catch (error) {
+        console.warn(`Failed to load vocabulary for transcription job ${job._id}:`, error.message);
+        return [];
+    }
+};
+
+// Transcribe the recording of a claimed job and store the result
+const runJob = async (job) => {
+    const logEntry = await LogEntry.findById(job.entryId);
+    const recording = logEntry && logEntry.audioRecordings.id(job.recordingId);
+
+    if (!recording || !recording.url) {
+        // Nothing to retry
+        await updateRunningJob(job, {
+            status: 'failed',
+            error: 'Audio recording no longer exists',
+            completedAt: new Date(),
+            lockedAt: null,
+        });
+        notifyJob(job, 'transcription.failed', { error: 'Audio recording no longer exists' });
+        return null;
+    }
+
+    console.log(`Processing transcription job ${job._id} for entry ${job.entryId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+        await setRecordingFields(job, {
+            transcriptionStatus: 'processing',
+            transcriptionError: null,
+        });
+        notifyJob(job, 'transcription.processing');
+
+        // Transcribe with the client's speech provider; long recordings
+        // are split into chunks and transcribed in parallel
+        const provider = await resolveSpeechProvider(logEntry.clientId);
+        const options = { ...(job.options || {}) };
+        if (ADAPTATION_ENABLED && provider.capabilities.adaptation) {
+            options.vocabulary = (await loadJobVocabulary(job, logEntry, provider))
+                .map(({ phrase, boost }) => ({ phrase, boost }));
+        }
+        const result = await transcribeRecording(recording, provider, options);
+
+        const current = await TranscriptionJob.findById(job._id).select('status');
+        if (!current || current.status === 'cancelled') {
+            console.log(`Transcription job ${job._id} was cancelled, discarding result`);
+            return null;
+        }
+
+        // Apply to a fresh copy so edits made while transcribing are kept
+        const freshEntry = await LogEntry.findById(job.entryId);
+        const freshRecording = freshEntry && freshEntry.audioRecordings.id(job.recordingId);
+        if (!freshRecording) {
+            throw new Error('Audio recording was deleted during transcription');
+        }
+        if (recording.audioInfo && recording.audioInfo.codec) {
+            freshRecording.audioInfo = recording.audioInfo;
+            freshRecording.duration = recording.duration;
+        }
+        applyTranscriptionResult(freshRecording, result);
+        freshEntry.markModified('audioRecordings');
+        await freshEntry.save();
+
+        await updateRunningJob(job, {
+            status: 'completed',
+            error: null,
+            completedAt: new Date(),
+            lockedAt: null,
+            result: {
+                provider: result.provider,
+                confidence: result.confidence,
+                partial: freshRecording.transcriptionPartial,
+                vocabularySize: (options.vocabulary || []).length,
+                language: result.language,
+            },
+        });
+
+        notifyJob(job, 'transcription.completed', {
+            confidence: result.confidence,
+            partial: freshRecording.transcriptionPartial,
+            language: result.language,
+        });
+        console.log(`Transcription job ${job._id} completed`);
+
+        return {
+            jobId: job._id.toString(),
+            entryId: job.entryId.toString(),
+            confidence: result.confidence,
+        };
+    } catch (error) {
+        console.error(`Transcription job ${job._id} failed:`, error.message);
+
+        const willRetry = job.attempts < job.maxAttempts;
+        const jobFields = {
+            status: willRetry ? 'queued' : 'failed',
+            error: error.message,
+            lockedAt: null,
+        };
+        if (willRetry && job.backend === 'local') {
+            jobFields.runAfter = new Date(Date.now() + retryDelay(job.attempts));
+        }
+        if (!willRetry) jobFields.completedAt = new Date();
+
+        const updated = await updateRunningJob(job, jobFields);
+        if (updated.modifiedCount > 0) {
+            await setRecordingFields(job, {
+                transcriptionStatus: willRetry ? 'pending' : 'failed',
+                transcriptionError: willRetry
+                    ? `Attempt ${job.attempts} failed, retrying: ${error.message}`
+                    : error.message,
+            });
+            notifyJob(job, willRetry ? 'transcription.queued' : 'transcription.failed', {
+                error: error.message,
+                retrying: willRetry,
+            });
+        }
+
+        throw error; // Re-throw for Bull to handle retries
+    }
+};
+
+// Mark a queued job as running and count the attempt. Resolves to null
+// when the job was cancelled or has already finished.
+const claimJob = (filter, options = {}) =>
+    TranscriptionJob.findOneAndUpdate(
+        filter,
+        {
+            $set: { status: 'processing', lockedAt: new Date(), startedAt: new Date() },
+            $inc: { attempts: 1 },
+        },
+        { ...options, new: true }
+    );
+
+// Run a job by id (used by the Bull worker)
+const processTranscriptionJob = async (jobId) => {
+    const job = await claimJob({ _id: jobId, status: { $in: ACTIVE_JOB_STATUSES } });
+    if (!job) {
+        console.warn(`Transcription job ${jobId} is no longer active, skipping`);
+        return null;
+    }
+    return runJob(job);
+};
+
+// Jobs queued before the job service existed only carry the entry and
+// recording index
+const adoptLegacyBullJob = async (bullJob) => {
+    const { entryId, recordingIndex } = bullJob.data;
+
+    // Bull retries reuse the job adopted on the first attempt
+    const adopted = await TranscriptionJob.findOne({ bullJobId: String(bullJob.id) });
+    if (adopted) return adopted._id;
+
+    const logEntry = await LogEntry.findById(entryId);
+    const recording = logEntry && logEntry.audioRecordings[recordingIndex || 0];
+    if (!recording) {
+        throw new Error(`No audio recording found at index ${recordingIndex || 0} for entry ${entryId}`);
+    }
+
+    const job = await TranscriptionJob.create({
+        userId: logEntry.userId,
+        clientId: logEntry.clientId,
+        entryId: logEntry._id,
+        recordingId: recording._id,
+        recordingIndex: recordingIndex || 0,
+        source: 'entry_create',
+        backend: 'bull',
+        bullJobId: String(bullJob.id),
+        maxAttempts: defaultJobOptions.attempts,
+        options: await resolveJobLanguage(logEntry.userId, recording),
+    });
+    return job._id;
+};
+
+// Local queue worker
+let localRunning = 0;
+let localPolling = false;
+
+const pollLocalQueue = async () => {
+    if (!global.dbConnected || localPolling) return;
+    localPolling = true;
+
+    try {
+        // Requeue jobs a previous run of the server was working on
+        await TranscriptionJob.updateMany(
+            { backend: 'local', status: 'processing', lockedAt: { $lt: PROCESS_STARTED_AT } },
+            { $set: { status: 'queued', lockedAt: null, runAfter: new Date() } }
+        );
+
+        while (localRunning < LOCAL_CONCURRENCY) {
+            const job = await claimJob(
+                { backend: 'local', status: 'queued', runAfter: { $lte: new Date() } },
+                { sort: { priority: 1, createdAt: 1 } }
             );
+            if (!job) break;
+
+            localRunning++;
+            runJob(job)
+                .catch(() => {}) // already recorded on the job
+                .finally(() => {
+                    localRunning--;
+                    wakeLocalWorker();
+                });
+        }
+    } catch (error) {
+        console.error('Local transcription queue poll failed:', error.message);
+    } finally {
+        localPolling = false;
+    }
+};
 
-            // Update log entry with transcript
-            // Re-fetch to avoid race conditions? Mongoose document is in memory.
-            // Ideally we should re-fetch but for now let's use the instance.
-            recording.transcript = transcriptionResult.transcript;
-            recording.transcriptionStatus = 'completed';
-            recording.transcriptionTimestamp = new Date();
-            recording.transcriptionError = null;
+const wakeLocalWorker = () => {
+    setImmediate(() => {
+        pollLocalQueue();
+    });
+};
 
-            logEntry.markModified('audioRecordings');
-            await logEntry.save();
+// Queue a recording for transcription. Options: { userId, source,
+// priority ('high' | 'normal' | 'low'), options (speech options, with
+// detectLanguage to override the user's auto-detection setting) }.
+// Throws with code TRANSCRIPTION_IN_PROGRESS when the recording already
+// has an active job (attached as error.job).
+const enqueueTranscription = async (logEntry, recording, { userId, source, priority = 'normal', options = {} }) => {
+    const activeJob = await TranscriptionJob.findOne({
+        entryId: logEntry._id,
+        recordingId: recording._id,
+        status: { $in: ACTIVE_JOB_STATUSES },
+    });
+    if (activeJob) {
+        throw Object.assign(new Error('Transcription already in progress'), {
+            code: 'TRANSCRIPTION_IN_PROGRESS',
+            job: activeJob,
+        });
+    }
 
-            console.log(`Transcription completed for entry ${entryId} recording ${index}`);
+    const { detectLanguage, ...speechOptions } = options;
+    const language = await resolveJobLanguage(userId || logEntry.userId, recording, options);
+
+    const useBull = !!(redisAvailable && transcriptionQueue);
+    const job = await TranscriptionJob.create({
+        userId: userId || logEntry.userId,
+        clientId: logEntry.clientId._id || logEntry.clientId,
+        entryId: logEntry._id,
+        recordingId: recording._id,
+        recordingIndex: logEntry.audioRecordings.indexOf(recording),
+        source,
+        priority: JOB_PRIORITIES[priority] || JOB_PRIORITIES.normal,
+        backend: useBull ? 'bull' : 'local',
+        maxAttempts: defaultJobOptions.attempts,
+        options: { ...speechOptions, ...language },
+    });
 
-            return {
-                entryId,
-                transcript: transcriptionResult.transcript,
-                confidence: transcriptionResult.confidence,
-            };
+    recording.transcriptionStatus = 'pending';
+    recording.transcriptionError = null;
+    await setRecordingFields(job, {
+        transcriptionStatus: 'pending',
+        transcriptionError: null,
+    });
+
+    if (useBull) {
+        try {
+            await transcriptionQueue.add(
+                {
+                    jobId: job._id.toString(),
+                    entryId: job.entryId.toString(),
+                    recordingId: job.recordingId.toString(),
+                },
+                { ...defaultJobOptions, priority: job.priority, jobId: job._id.toString() }
+            );
+            job.bullJobId = job._id.toString();
+            await job.save();
+            console.log(`Queued transcription job ${job._id} for entry ${logEntry._id}`);
+            notifyJob(job, 'transcription.queued', { retrying: false });
+            return job;
+        } catch (queueError) {
+            console.warn('Failed to queue transcription in Redis, using local queue:', queueError.message);
+            job.backend = 'local';
+            await job.save();
+        }
+    }
+
+    notifyJob(job, 'transcription.queued', { retrying: false });
+    wakeLocalWorker();
+    return job;
+};
+
+// Cancel a queued or running job. A running transcription finishes but
+// its result is discarded. Throws with code JOB_NOT_CANCELLABLE once the
+// job has finished.
+const cancelTranscriptionJob = async (job) => {
+    const cancelled = await TranscriptionJob.findOneAndUpdate(
+        { _id: job._id, status: { $in: ACTIVE_JOB_STATUSES } },
+        { $set: { status: 'cancelled', cancelledAt: new Date(), lockedAt: null } },
+        { new: true }
+    );
+    if (!cancelled) {
+        throw Object.assign(new Error(`Cannot cancel a job that is ${job.status}`), {
+            code: 'JOB_NOT_CANCELLABLE',
+        });
+    }
+
+    if (cancelled.backend === 'bull' && cancelled.bullJobId && transcriptionQueue) {
+        try {
+            const bullJob = await transcriptionQueue.getJob(cancelled.bullJobId);
+            // Active jobs are locked by the worker and discard their result
+            if (bullJob && !(await bullJob.isActive())) await bullJob.remove();
         } catch (error) {
-            console.error(`Transcription error for entry ${entryId}:`, error);
-
-            // Update log entry with error
-            const logEntry = await LogEntry.findById(entryId);
-            if (logEntry && logEntry.audioRecordings) {
-                const index = job.data.recordingIndex || 0;
-                if (logEntry.audioRecordings[index]) {
-                    logEntry.audioRecordings[index].transcriptionStatus = 'failed';
-                    logEntry.audioRecordings[index].transcriptionError = error.message;
-                    logEntry.markModified('audioRecordings');
-                    await logEntry.save();
-                }
-            }
-
-            throw error; // Re-throw for Bull to handle retries
+            console.warn(`Failed to remove Bull job ${cancelled.bullJobId}:`, error.message);
         }
+    }
+
+    // Fall back to whatever transcript the recording already had
+    const logEntry = await LogEntry.findById(cancelled.entryId);
+    const recording = logEntry && logEntry.audioRecordings.id(cancelled.recordingId);
+    if (recording) {
+        await setRecordingFields(cancelled, {
+            transcriptionStatus: recording.transcript ? 'completed' : 'not_requested',
+            transcriptionError: recording.transcript ? null : 'Transcription cancelled',
+        });
+    }
+
+    notifyJob(cancelled, 'transcription.cancelled');
+    return cancelled;
+};
+
+// Queue a failed or cancelled job again as a new job
+const retryTranscriptionJob = async (job) => {
+    if (!['failed', 'cancelled'].includes(job.status)) {
+        throw Object.assign(new Error(`Cannot retry a job that is ${job.status}`), {
+            code: 'JOB_NOT_RETRYABLE',
+        });
+    }
+
+    const logEntry = await LogEntry.findById(job.entryId);
+    const recording = logEntry && logEntry.audioRecordings.id(job.recordingId);
+    if (!recording) {
+        throw Object.assign(new Error('Audio recording no longer exists'), {
+            code: 'AUDIO_NOT_FOUND',
+        });
+    }
+
+    const priority = Object.keys(JOB_PRIORITIES).find((name) => JOB_PRIORITIES[name] === job.priority);
+    return enqueueTranscription(logEntry, recording, {
+        userId: job.userId,
+        source: 'retry',
+        priority,
+        options: job.options,
+    });
+};
+
+// Resolve to the job once it has finished, or as it stands after timeoutMs
+const waitForTranscriptionJob = async (jobId, timeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+    let job = await TranscriptionJob.findById(jobId);
+
+    while (job && ACTIVE_JOB_STATUSES.includes(job.status) && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, WAIT_POLL_INTERVAL));
+        job = await TranscriptionJob.findById(jobId);
+    }
+    return job;
+};
+
+// Process transcription jobs only if queue is initialized
+if (transcriptionQueue) {
+    transcriptionQueue.process(async (bullJob) => {
+        const jobId = bullJob.data.jobId || (await adoptLegacyBullJob(bullJob));
+        return processTranscriptionJob(jobId);
     });
 }
 
-// Export for graceful shutdown
-module.exports = transcriptionQueue;
+// Local queue poll (only meaningful once the database is connected). It
+// also picks up local jobs left behind when Redis was unavailable.
+const localQueueTimer = setInterval(pollLocalQueue, LOCAL_POLL_INTERVAL);
+localQueueTimer.unref();
+
+module.exports = {
+    transcriptionQueue,
+    enqueueTranscription,
+    processTranscriptionJob,
+    cancelTranscriptionJob,
+    retryTranscriptionJob,
+    waitForTranscriptionJob,
+};
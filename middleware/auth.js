@@ -180,6 +180,28 @@ const requireClientAdmin = (req, res, next) => {
   }
 };
 
+// Middleware to check if user is a platform admin (not a client admin)
+const requirePlatformAdmin = (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Platform admin access required',
+        code: 'PLATFORM_ADMIN_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Platform admin check error:', error);
+    res.status(500).json({
+      error: 'Platform admin check failed',
+      code: 'PLATFORM_ADMIN_CHECK_ERROR'
+    });
+  }
+};
+
 // Middleware to ensure resource belongs to user's client
 const requireSameClient = (paramName = 'clientId') => {
   return (req, res, next) => {
@@ -261,6 +283,7 @@ module.exports = {
   requireActiveSubscription,
   requireAdmin,
   requireClientAdmin,
+  requirePlatformAdmin,
   requireSameClient,
   requireOwnership
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+//middleware/recordings.js
+
+const mongoose = require("mongoose");
+const LogEntry = require("../models/LogEntry");
+
+// Load the user's log entry and one of its audio recordings into
+// req.logEntry, req.recording and req.recordingIndex.
+//
+// The recording is addressed by its subdocument _id. Array indexes are
+// still accepted from older clients but are deprecated: an index points at
+// a different recording once an earlier one is deleted.
+const loadEntryRecording = (paramName = "recordingId") => async (
+  req,
+  res,
+  next
+) => {
+  try {
+    const { entryId } = req.params;
+    const reference = req.params[paramName];
+
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({
+        error: "entryId must be a valid ObjectId",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const isIndex = /^\d+$/.test(reference);
+    if (!isIndex && !mongoose.Types.ObjectId.isValid(reference)) {
+      return res.status(400).json({
+        error: `${paramName} must be a recording ID`,
+        code: "INVALID_RECORDING_ID",
+      });
+    }
+
+    const logEntry = await LogEntry.findOne({
+      _id: entryId,
+      userId: req.user._id,
+    });
+
+    if (!logEntry) {
+      return res.status(404).json({
+        error: "Log entry not found",
+        code: "ENTRY_NOT_FOUND",
+      });
+    }
+
+    const recordings = logEntry.audioRecordings || [];
+    const recording = isIndex
+      ? recordings[parseInt(reference)]
+      : recordings.id(reference);
+
+    if (!recording) {
+      return res.status(404).json({
+        error: "Audio recording not found",
+        code: "AUDIO_NOT_FOUND",
+      });
+    }
+
+    if (isIndex) {
+      res.set({
+        Deprecation: "true",
+        Warning:
+          '299 - "Addressing recordings by index is deprecated; ' +
+          'use the recording _id"',
+      });
+    }
+
+    req.logEntry = logEntry;
+    req.recording = recording;
+    req.recordingIndex = recordings.indexOf(recording);
+    next();
+  } catch (error) {
+    console.error("Load recording error:", error);
+    res.status(500).json({
+      error: "Failed to load audio recording",
+      code: "LOAD_RECORDING_ERROR",
+    });
+  }
+};
+
+module.exports = {
+  loadEntryRecording,
+};
@@ -128,6 +128,41 @@ const uploadAttachment = multer({
   },
 });
 
+// Configure multer for data import files
+const importStorage = multer.memoryStorage();
+
+const importFileFilter = (req, file, cb) => {
+  const allowedExtensions = [
+    ".json",
+    ".ndjson",
+    ".jsonl",
+    ".csv",
+    ".xlsx",
+  ];
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedExtensions.includes(fileExtension)) {
+    cb(null, true);
+  } else {
+    cb(
+      new Error(
+        `Invalid import file type. Allowed types: ${allowedExtensions.join(
+          ", "
+        )}`
+      ),
+      false
+    );
+  }
+};
+
+const uploadImport = multer({
+  storage: importStorage,
+  fileFilter: importFileFilter,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit for imports
+  },
+});
+
 // Middleware to handle upload errors
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -198,6 +233,7 @@ module.exports = {
   uploadAudio: uploadAudio.single("audio"),
   uploadAttachment: uploadAttachment.single("attachment"),
   uploadMultipleAttachments: uploadAttachment.array("attachments", 10),
+  uploadImportFile: uploadImport.single("file"),
   handleUploadError,
   getFileMetadata,
   generateUniqueFilename,
@@ -1,5 +1,7 @@
 const { body, param, query, validationResult } = require("express-validator");
 const mongoose = require("mongoose");
+const { validateFieldDefinitions } = require("../utils/logTypeFields");
+const { isKnownModel } = require("../config/llm/models");
 
 // Middleware to parse JSON fields from FormData
 const parseFormDataJSON = (req, res, next) => {
@@ -101,6 +103,25 @@ const validateClient = [
     .optional()
     .isIn(["basic", "premium", "enterprise"])
     .withMessage("Plan must be basic, premium, or enterprise"),
+  body("settings.transcription.provider")
+    .optional({ nullable: true })
+    .isIn(["google", "local"])
+    .withMessage("Transcription provider must be google or local"),
+  body("settings.ai.allowedModels")
+    .optional()
+    .isArray()
+    .withMessage("Allowed models must be an array"),
+  body("settings.ai.allowedModels.*")
+    .custom(isKnownModel)
+    .withMessage("Unknown AI model"),
+  body("settings.ai.defaultModel")
+    .optional({ nullable: true })
+    .custom(isKnownModel)
+    .withMessage("Unknown AI model"),
+  body("settings.redaction.strictness")
+    .optional({ nullable: true })
+    .isIn(["basic", "standard", "strict"])
+    .withMessage("Redaction strictness must be basic, standard or strict"),
   handleValidationErrors,
 ];
 
@@ -150,6 +171,11 @@ const validateLogType = [
       "number",
       "boolean",
       "file",
+      "time",
+      "duration",
+      "scale",
+      "reference",
+      "group",
     ])
     .withMessage("Invalid field type"),
   body("fields.*.label")
@@ -159,9 +185,48 @@ const validateLogType = [
     .withMessage(
       "Field label is required and must be less than 100 characters"
     ),
+  body("fields")
+    .optional()
+    .custom((fields) => {
+      const problems = validateFieldDefinitions(fields);
+      if (problems.length > 0) {
+        throw new Error(problems.join("; "));
+      }
+      return true;
+    }),
   handleValidationErrors,
 ];
 
+// Library template validation rules (platform admin)
+const validateLogTypeTemplate = [
+  body("key")
+    .if((value, { req }) => req.method === "POST")
+    .notEmpty()
+    .withMessage("Template key is required"),
+  body("key")
+    .optional()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/i)
+    .withMessage("Template key may only contain letters, numbers and dashes"),
+  body("specialties")
+    .optional()
+    .isArray()
+    .withMessage("Specialties must be an array"),
+  body("specialties.*")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Specialty must be less than 50 characters"),
+  body("isDefault").optional().isBoolean(),
+  body("isPublished").optional().isBoolean(),
+  body("releaseNotes")
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage("Release notes must be less than 1000 characters"),
+  ...validateLogType,
+];
+
 // Log entry validation rules
 const validateLogEntry = (req, res, next) => {
   try {
@@ -271,6 +336,59 @@ const validateReflection = [
   handleValidationErrors,
 ];
 
+// AI chat message validation rules
+const validateAIChatMessage = [
+  body("message")
+    .isString()
+    .withMessage("Message must be text")
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage("Message is required and must be less than 10000 characters"),
+  handleValidationErrors,
+];
+
+// Speech vocabulary term validation rules (phrase is optional on update)
+const validateVocabularyTerm = [
+  body("phrase")
+    .if((value, { req }) => req.method === "POST" || value !== undefined)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Phrase is required and must be less than 100 characters"),
+  body("boost")
+    .optional()
+    .isFloat({ min: 0, max: 20 })
+    .withMessage("Boost must be between 0 and 20"),
+  body("category")
+    .optional()
+    .isIn(["drug", "procedure", "person", "place", "other"])
+    .withMessage("Category must be drug, procedure, person, place or other"),
+  body("scope")
+    .optional()
+    .isIn(["client", "user"])
+    .withMessage("Scope must be client or user"),
+  body("specialties")
+    .optional()
+    .isArray()
+    .withMessage("Specialties must be an array"),
+  body("specialties.*")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Specialty must be less than 100 characters"),
+  body("logTypeIds")
+    .optional()
+    .isArray()
+    .withMessage("Log type IDs must be an array"),
+  body("logTypeIds.*")
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage("Log type IDs must be valid ObjectIds"),
+  body("isActive").optional().isBoolean(),
+  handleValidationErrors,
+];
+
 // Parameter validation rules
 const validateObjectIdParam = (paramName = "id") => [
   param(paramName)
@@ -336,9 +454,12 @@ module.exports = {
   validateUserUpdate,
   validateClient,
   validateLogType,
+  validateLogTypeTemplate,
   validateLogEntry,
   validateLogEntryUpdate,
   validateReflection,
+  validateAIChatMessage,
+  validateVocabularyTerm,
   validateObjectIdParam,
   validatePaginationQuery,
   validateSearchQuery,
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { isKnownModel } = require("../config/llm/models");
 
 const clientSchema = new mongoose.Schema(
   {
@@ -48,6 +49,46 @@ const clientSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      transcription: {
+        // Speech provider for this client's audio. null uses the server
+        // default; "local" keeps audio on the server.
+        provider: {
+          type: String,
+          enum: ["google", "local", null],
+          default: null,
+        },
+      },
+      ai: {
+        // Models the client's users may choose (empty allows every model
+        // on the plan) and the one used when a user has not chosen
+        allowedModels: [
+          {
+            type: String,
+            validate: {
+              validator: isKnownModel,
+              message: (props) => `Unknown AI model: ${props.value}`,
+            },
+          },
+        ],
+        defaultModel: {
+          type: String,
+          default: null,
+          validate: {
+            validator: (id) => id === null || isKnownModel(id),
+            message: (props) => `Unknown AI model: ${props.value}`,
+          },
+        },
+      },
+      redaction: {
+        // How much patient-identifying text is pseudonymised before it
+        // goes to an AI or speech provider (utils/phiRedaction.js). null
+        // uses the server default.
+        strictness: {
+          type: String,
+          enum: ["basic", "standard", "strict", null],
+          default: null,
+        },
+      },
     },
     contact: {
       adminEmail: {
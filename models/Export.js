@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+
+const exportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "excel", "pdf", "zip", "json", "ndjson"],
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Entry selection used when rendering the file
+    filters: {
+      dateFrom: {
+        type: Date,
+        default: null,
+      },
+      dateTo: {
+        type: Date,
+        default: null,
+      },
+      logType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LogType",
+        default: null,
+      },
+      status: {
+        type: String,
+        default: null,
+      },
+    },
+    // Renderer options (kept loose so new formats can add their own)
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed", "expired"],
+      default: "queued",
+    },
+    entryCount: {
+      type: Number,
+      default: 0,
+    },
+    // Output file
+    filename: {
+      type: String,
+      default: null,
+    },
+    filePath: {
+      type: String,
+      default: null,
+    },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    mimeType: {
+      type: String,
+      default: null,
+    },
+    // Processing
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Bull (kept in Redis across restarts) or the in-process runner
+    backend: {
+      type: String,
+      enum: ["bull", "local", null],
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual to check if the file can be downloaded
+exportSchema.virtual("isDownloadable").get(function () {
+  return (
+    this.status === "completed" &&
+    !!this.filePath &&
+    (!this.expiresAt || this.expiresAt > new Date())
+  );
+});
+
+// Indexes for efficient queries
+exportSchema.index({ userId: 1, createdAt: -1 });
+exportSchema.index({ status: 1, expiresAt: 1 });
+
+exportSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model("Export", exportSchema);
@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+
+// Row-level problem found while importing
+const importErrorSchema = new mongoose.Schema(
+  {
+    row: {
+      type: Number,
+      default: null,
+    },
+    externalId: {
+      type: String,
+      default: null,
+    },
+    field: {
+      type: String,
+      default: null,
+    },
+    // Offending cell value for spreadsheet imports
+    value: {
+      type: String,
+      default: null,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const importSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["json", "ndjson", "csv", "xlsx"],
+      required: true,
+    },
+    filename: {
+      type: String,
+      default: null,
+    },
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["completed", "completed_with_errors", "failed"],
+      default: "completed",
+    },
+    totals: {
+      rows: {
+        type: Number,
+        default: 0,
+      },
+      created: {
+        type: Number,
+        default: 0,
+      },
+      skipped: {
+        type: Number,
+        default: 0,
+      },
+      failed: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Target log type for spreadsheet imports
+    logTypeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LogType",
+      default: null,
+    },
+    // Spreadsheet column header -> entry field used for the import
+    columnMapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Log types created or matched while remapping logTypeIds
+    logTypeMap: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    createdEntryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LogEntry",
+      },
+    ],
+    rowErrors: [importErrorSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importSchema.index({ userId: 1, createdAt: -1 });
+
+importSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model("Import", importSchema);
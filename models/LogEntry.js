@@ -79,10 +79,21 @@ const logEntrySchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Stable id carried through JSON exports/imports for deduplication
+    externalId: {
+      type: String,
+      default: null,
+      trim: true,
+    },
     data: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // LogType.schemaVersion the data was captured or last migrated with
+    logTypeVersion: {
+      type: Number,
+      default: null,
+    },
     // Audio Recordings (multiple audio support)
     audioRecordings: [
       {
@@ -102,6 +113,16 @@ const logEntrySchema = new mongoose.Schema(
           type: Number,
           default: null,
         },
+        // Facts read from the file itself (duration above comes from here)
+        audioInfo: {
+          container: String,
+          codec: String,
+          sampleRate: Number,
+          channels: Number,
+          duration: Number, // seconds
+          bitRate: Number,
+          probedAt: Date,
+        },
         uploadedAt: {
           type: Date,
           default: Date.now,
@@ -124,6 +145,92 @@ const logEntrySchema = new mongoose.Schema(
           type: Date,
           default: null,
         },
+        // Long recordings are transcribed in chunks; chunks that failed
+        // leave gaps (seconds into the recording)
+        transcriptionPartial: {
+          type: Boolean,
+          default: false,
+        },
+        transcriptionGaps: [
+          {
+            _id: false,
+            start: Number,
+            end: Number,
+            error: String,
+          },
+        ],
+        // Speech provider that produced the transcript (google, local)
+        transcriptionProvider: {
+          type: String,
+          default: null,
+        },
+        // Language requested for this recording (null uses the user's
+        // preference) and the language the transcript came back in
+        languageCode: {
+          type: String,
+          default: null,
+        },
+        transcriptLanguage: {
+          type: String,
+          default: null,
+        },
+        // Time-coded transcript (seconds into the recording). Speakers are
+        // roles ("provider", "patient") or numbers, depending on the model.
+        transcriptWords: [
+          {
+            _id: false,
+            word: String,
+            startTime: Number,
+            endTime: Number,
+            confidence: Number,
+            speaker: String,
+            lowConfidence: Boolean,
+          },
+        ],
+        transcriptSegments: [
+          {
+            _id: false,
+            startTime: Number,
+            endTime: Number,
+            speaker: String,
+            text: String,
+            confidence: Number,
+          },
+        ],
+        speakerCount: {
+          type: Number,
+          default: 0,
+        },
+        lowConfidenceCount: {
+          type: Number,
+          default: 0,
+        },
+        // Every version of the transcript; transcript above is the latest
+        // accepted one (utils/transcriptRevisions.js)
+        transcriptRevisions: [
+          {
+            _id: false,
+            number: Number,
+            text: String,
+            source: {
+              type: String,
+              enum: ["stt", "ai_improve", "manual"],
+            },
+            authorId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "User",
+              default: null,
+            },
+            note: String,
+            restoredFrom: Number,
+            accepted: Boolean,
+            createdAt: Date,
+          },
+        ],
+        transcriptRevision: {
+          type: Number,
+          default: null,
+        },
         // Improved transcript
         improvedTranscript: {
           type: String,
@@ -167,6 +274,27 @@ const logEntrySchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        // Recording the message is about, if any
+        recordingId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        // Images sent with a user message: entry attachments by id, and
+        // how many were uploaded with the request itself
+        attachmentIds: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+          },
+        ],
+        inlineImageCount: {
+          type: Number,
+          default: 0,
+        },
+        // A streamed reply cut off before it finished
+        interrupted: {
+          type: Boolean,
+          default: false,
+        },
         timestamp: {
           type: Date,
           default: Date.now,
@@ -282,11 +410,16 @@ logEntrySchema.virtual("hasTranscript").get(function () {
 logEntrySchema.index({ userId: 1, createdAt: -1 });
 logEntrySchema.index({ clientId: 1, createdAt: -1 });
 logEntrySchema.index({ logTypeId: 1, createdAt: -1 });
+logEntrySchema.index({ logTypeId: 1, logTypeVersion: 1 });
 logEntrySchema.index({ userId: 1, logTypeId: 1, createdAt: -1 });
 logEntrySchema.index({ clientId: 1, status: 1 });
 logEntrySchema.index({ tags: 1 });
 logEntrySchema.index({ "location.department": 1 });
 logEntrySchema.index({ transcriptionStatus: 1 });
+logEntrySchema.index(
+  { userId: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: "string" } } }
+);
 
 // Text search index
 logEntrySchema.index({
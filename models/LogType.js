@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const LogTypeVersion = require('./LogTypeVersion');
+const { definitionSignature } = require('../utils/logTypeFields');
 
 const fieldSchema = new mongoose.Schema({
   fieldName: {
@@ -8,7 +10,11 @@ const fieldSchema = new mongoose.Schema({
   },
   fieldType: {
     type: String,
-    enum: ['text', 'textarea', 'select', 'multiselect', 'date', 'datetime', 'number', 'boolean', 'file'],
+    enum: [
+      'text', 'textarea', 'select', 'multiselect', 'date', 'datetime',
+      'number', 'boolean', 'file', 'time', 'duration', 'scale', 'reference',
+      'group'
+    ],
     required: true
   },
   label: {
@@ -33,12 +39,56 @@ const fieldSchema = new mongoose.Schema({
     max: Number,
     minLength: Number,
     maxLength: Number,
-    pattern: String
+    pattern: String,
+    minItems: Number, // For group fields
+    maxItems: Number
   },
   defaultValue: mongoose.Schema.Types.Mixed,
   order: {
     type: Number,
     default: 0
+  },
+  // Only show (and require) this field when another field matches
+  showWhen: {
+    field: String,
+    operator: {
+      type: String,
+      enum: ['equals', 'not_equals', 'in', 'not_in', 'is_empty', 'is_not_empty']
+    },
+    value: mongoose.Schema.Types.Mixed
+  },
+  // Value derived from other fields when the entry is saved
+  computed: {
+    operation: {
+      type: String,
+      enum: ['duration_between', 'sum', 'difference']
+    },
+    sources: {
+      type: [String],
+      default: undefined
+    }
+  },
+  // For scale fields (e.g. a 1-5 rating)
+  scale: {
+    min: Number,
+    max: Number,
+    step: Number,
+    minLabel: String,
+    maxLabel: String
+  },
+  // For reference fields: restrict linked entries to one log type
+  referenceLogTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LogType',
+    default: undefined
+  }
+});
+
+// Fields repeated for each item of a group field
+fieldSchema.add({
+  subFields: {
+    type: [fieldSchema],
+    default: undefined
   }
 });
 
@@ -72,6 +122,11 @@ const logTypeSchema = new mongoose.Schema({
     default: 'clipboard-document-list'
   },
   fields: [fieldSchema],
+  // Incremented whenever the field list changes (see LogTypeVersion)
+  schemaVersion: {
+    type: Number,
+    default: 1
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -80,6 +135,30 @@ const logTypeSchema = new mongoose.Schema({
     type: Boolean,
     default: false // System log types cannot be deleted
   },
+  // Library template this log type was installed from
+  template: {
+    type: new mongoose.Schema({
+      templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LogTypeTemplate',
+        required: true
+      },
+      key: String,
+      version: {
+        type: Number,
+        default: 1
+      },
+      installedAt: {
+        type: Date,
+        default: Date.now
+      },
+      updatedAt: {
+        type: Date,
+        default: null
+      }
+    }, { _id: false }),
+    default: undefined
+  },
   settings: {
     allowAudio: {
       type: Boolean,
@@ -128,6 +207,18 @@ logTypeSchema.virtual('entryCount', {
 logTypeSchema.index({ clientId: 1, name: 1 }, { unique: true });
 logTypeSchema.index({ clientId: 1, category: 1 });
 logTypeSchema.index({ clientId: 1, isActive: 1 });
+logTypeSchema.index({ clientId: 1, 'template.templateId': 1 });
+
+
+const snapshotFields = (fields) =>
+  (fields || []).map((field) => (field.toObject ? field.toObject() : field));
+
+const fieldsSignature = (fields) => definitionSignature(snapshotFields(fields));
+
+// Remember the field list as loaded so saves can tell if it really changed
+logTypeSchema.post('init', function () {
+  this.$locals.originalFields = snapshotFields(this.fields);
+});
 
 // Pre-save middleware to update usage stats
 logTypeSchema.pre('save', function (next) {
@@ -135,7 +226,58 @@ logTypeSchema.pre('save', function (next) {
     // Sort fields by order
     this.fields.sort((a, b) => a.order - b.order);
   }
+
+  this.$locals.versionCreated = false;
+  if (this.isNew) {
+    this.$locals.versionCreated = true;
+  } else if (
+    this.isModified('fields') &&
+    fieldsSignature(this.fields) !== fieldsSignature(this.$locals.originalFields)
+  ) {
+    this.$locals.previousVersion = this.schemaVersion || 1;
+    this.schemaVersion = (this.schemaVersion || 1) + 1;
+    this.$locals.versionCreated = true;
+  }
   next();
 });
 
+// Snapshot the field list for every new schema version
+logTypeSchema.post('save', async function (doc) {
+  if (!doc.$locals.versionCreated) return;
+
+  try {
+    // Log types created before versioning have no snapshot of their
+    // original fields yet
+    if (doc.$locals.previousVersion) {
+      await LogTypeVersion.updateOne(
+        { logTypeId: doc._id, version: doc.$locals.previousVersion },
+        {
+          $setOnInsert: {
+            clientId: doc.clientId,
+            fields: doc.$locals.originalFields
+          }
+        },
+        { upsert: true }
+      );
+    }
+
+    await LogTypeVersion.updateOne(
+      { logTypeId: doc._id, version: doc.schemaVersion },
+      {
+        $set: {
+          clientId: doc.clientId,
+          fields: snapshotFields(doc.fields),
+          createdBy: doc.$locals.changedBy || null
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Error saving log type version:', error);
+  }
+
+  doc.$locals.originalFields = snapshotFields(doc.fields);
+  doc.$locals.previousVersion = null;
+});
+
 module.exports = mongoose.model('LogType', logTypeSchema);
\ No newline at end of file
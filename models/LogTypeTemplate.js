@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const LogType = require("./LogType");
+const { definitionSignature } = require("../utils/logTypeFields");
+
+// Same field definition schema as client log types
+const fieldSchema = LogType.schema.path("fields").schema;
+
+// Content copied into a client's log type on install. Changing any of it
+// publishes a new template version.
+const TEMPLATE_CONTENT_PATHS = [
+  "name",
+  "description",
+  "category",
+  "color",
+  "icon",
+  "fields",
+  "settings",
+];
+
+// Global log type template curated by platform admins
+const logTypeTemplateSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    category: {
+      type: String,
+      enum: [
+        "procedure",
+        "consultation",
+        "teaching",
+        "meeting",
+        "research",
+        "other",
+        "ai_assistant",
+      ],
+      default: "procedure",
+    },
+    color: {
+      type: String,
+      default: "#3B82F6",
+    },
+    icon: {
+      type: String,
+      default: "clipboard-document-list",
+    },
+    fields: [fieldSchema],
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // e.g. surgery, anaesthetics, gp
+    specialties: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    // Installed for every new client by seed-defaults
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isPublished: {
+      type: Boolean,
+      default: true,
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    releaseNotes: {
+      type: String,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const contentSignature = (doc) =>
+  definitionSignature(
+    TEMPLATE_CONTENT_PATHS.reduce((content, path) => {
+      content[path] = doc.get(path);
+      return content;
+    }, {})
+  );
+
+logTypeTemplateSchema.post("init", function () {
+  this.$locals.contentSignature = contentSignature(this);
+});
+
+// Publish a new version whenever the installed content changes
+logTypeTemplateSchema.pre("save", function (next) {
+  if (
+    !this.isNew &&
+    this.isModified(TEMPLATE_CONTENT_PATHS.join(" ")) &&
+    contentSignature(this) !== this.$locals.contentSignature
+  ) {
+    this.version += 1;
+  }
+  next();
+});
+
+logTypeTemplateSchema.post("save", function (doc) {
+  doc.$locals.contentSignature = contentSignature(doc);
+});
+
+logTypeTemplateSchema.index({ isPublished: 1, specialties: 1 });
+
+module.exports = mongoose.model("LogTypeTemplate", logTypeTemplateSchema);
+module.exports.TEMPLATE_CONTENT_PATHS = TEMPLATE_CONTENT_PATHS;
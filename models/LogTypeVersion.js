@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// Migration run against entries captured with older schema versions
+const migrationRunSchema = new mongoose.Schema(
+  {
+    operations: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    fromVersions: [
+      {
+        type: Number,
+      },
+    ],
+    entriesMatched: {
+      type: Number,
+      default: 0,
+    },
+    entriesUpdated: {
+      type: Number,
+      default: 0,
+    },
+    entriesInvalid: {
+      type: Number,
+      default: 0,
+    },
+    runBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Snapshot of a log type's field list. A new version is written every time
+// the fields change so existing entries keep a record of what their data
+// meant when it was captured.
+const logTypeVersionSchema = new mongoose.Schema(
+  {
+    logTypeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LogType",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    fields: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    migrations: [migrationRunSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+logTypeVersionSchema.index({ logTypeId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("LogTypeVersion", logTypeVersionSchema);
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+
+const REDACTION_STRICTNESS = ["basic", "standard", "strict"];
+const REDACTION_PURPOSES = [
+  "chat",
+  "audio_response",
+  "improve_transcript",
+  "transcription",
+];
+const IDENTIFIER_TYPES = [
+  "name",
+  "nhs_number",
+  "dob",
+  "mrn",
+  "address",
+  "phone",
+  "email",
+  "date",
+  "id_number",
+  "age",
+];
+
+// What was pseudonymised in one request to an AI or speech provider.
+// Only counts are kept; the identifiers themselves never leave the
+// request that found them.
+const redactionReportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      default: null,
+    },
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LogEntry",
+      default: null,
+    },
+    recordingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    purpose: {
+      type: String,
+      enum: REDACTION_PURPOSES,
+      required: true,
+    },
+    // AI model id or speech provider name the text was sent to
+    destination: {
+      type: String,
+      default: null,
+    },
+    strictness: {
+      type: String,
+      enum: REDACTION_STRICTNESS,
+      required: true,
+    },
+    // Identifiers replaced, by type
+    counts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    // Placeholders in the response that were swapped back for the original
+    reidentified: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+redactionReportSchema.index({ clientId: 1, createdAt: -1 });
+redactionReportSchema.index({ userId: 1, createdAt: -1 });
+
+redactionReportSchema.plugin(mongoosePaginate);
+
+const RedactionReport = mongoose.model(
+  "RedactionReport",
+  redactionReportSchema
+);
+
+RedactionReport.REDACTION_STRICTNESS = REDACTION_STRICTNESS;
+RedactionReport.REDACTION_PURPOSES = REDACTION_PURPOSES;
+RedactionReport.IDENTIFIER_TYPES = IDENTIFIER_TYPES;
+
+module.exports = RedactionReport;
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+
+// Named priorities; lower numbers run first (Bull's convention)
+const JOB_PRIORITIES = {
+  high: 1,
+  normal: 5,
+  low: 10,
+};
+
+const ACTIVE_JOB_STATUSES = ["queued", "processing"];
+
+const transcriptionJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LogEntry",
+      required: true,
+    },
+    // audioRecordings subdocument; the index is a hint for display only
+    recordingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    recordingIndex: {
+      type: Number,
+      default: null,
+    },
+    // Upload path that asked for the transcription
+    source: {
+      type: String,
+      enum: ["entry_create", "audio_upload", "transcribe_request", "retry"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed", "cancelled"],
+      default: "queued",
+    },
+    priority: {
+      type: Number,
+      default: JOB_PRIORITIES.normal,
+    },
+    // Where the job runs: Redis (Bull) or the in-process MongoDB queue
+    backend: {
+      type: String,
+      enum: ["bull", "local"],
+      required: true,
+    },
+    bullJobId: {
+      type: String,
+      default: null,
+    },
+    // Speech recognition options, e.g. { languageCode }
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Processing
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // Local queue: not picked up before this time (retry backoff)
+    runAfter: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    result: {
+      provider: String,
+      confidence: Number,
+      partial: Boolean,
+      // Vocabulary phrases sent to the provider
+      vocabularySize: Number,
+      // Language the transcript came back in
+      language: String,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+transcriptionJobSchema.index({ userId: 1, createdAt: -1 });
+transcriptionJobSchema.index({ entryId: 1, recordingId: 1, status: 1 });
+transcriptionJobSchema.index({ backend: 1, status: 1, priority: 1, runAfter: 1 });
+
+transcriptionJobSchema.plugin(mongoosePaginate);
+
+const TranscriptionJob = mongoose.model(
+  "TranscriptionJob",
+  transcriptionJobSchema
+);
+
+TranscriptionJob.JOB_PRIORITIES = JOB_PRIORITIES;
+TranscriptionJob.ACTIVE_JOB_STATUSES = ACTIVE_JOB_STATUSES;
+
+module.exports = TranscriptionJob;
@@ -2,6 +2,7 @@
 
 const mongoose = require("mongoose");
 const mongoosePaginate = require("mongoose-paginate-v2");
+const { isKnownModel } = require("../config/llm/models");
 
 const userSchema = new mongoose.Schema(
   {
@@ -136,6 +137,23 @@ const userSchema = new mongoose.Schema(
         type: Number,
         default: 300, // 5 minutes in seconds
       },
+      // Speech-to-text language (utils/transcriptionLanguage.js). Without
+      // a languageCode the locale for the interface language is used.
+      transcription: {
+        languageCode: {
+          type: String,
+          default: null,
+        },
+        autoDetectLanguage: {
+          type: Boolean,
+          default: false,
+        },
+        alternativeLanguageCodes: [
+          {
+            type: String,
+          },
+        ],
+      },
       // Export settings
       defaultExportFormat: {
         type: String,
@@ -162,10 +180,15 @@ const userSchema = new mongoose.Schema(
           default: "",
           trim: true,
         },
+        // Registry model id (config/llm/models.js); null uses the
+        // client's or the server's default
         model: {
           type: String,
-          default: "gemini-1.5-pro",
-          enum: ["gemini-1.5-pro", "gemini-1.5-flash", "gemini-2.0-flash"],
+          default: null,
+          validate: {
+            validator: (id) => id === null || isKnownModel(id),
+            message: (props) => `Unknown AI model: ${props.value}`,
+          },
         },
       },
     },
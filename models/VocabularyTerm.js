@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+
+const VOCABULARY_CATEGORIES = ["drug", "procedure", "person", "place", "other"];
+const VOCABULARY_SCOPES = ["client", "user"];
+
+// Speech recognition hint (drug, procedure or consultant name). Client
+// terms are maintained by client admins for everyone at the client; user
+// terms only apply to their owner's recordings.
+const vocabularyTermSchema = new mongoose.Schema(
+  {
+    phrase: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // How strongly the recogniser favours the phrase (0-20, Google's range)
+    boost: {
+      type: Number,
+      min: 0,
+      max: 20,
+      default: 10,
+    },
+    category: {
+      type: String,
+      enum: VOCABULARY_CATEGORIES,
+      default: "other",
+    },
+    scope: {
+      type: String,
+      enum: VOCABULARY_SCOPES,
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    // Owner of a user term
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Specialties (matched against aiConfig.medicalSpecialty) and log
+    // types the term applies to; empty means all
+    specialties: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    logTypeIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LogType",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Phrases are unique per client vocabulary and per user vocabulary
+vocabularyTermSchema.index(
+  { clientId: 1, scope: 1, userId: 1, phrase: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+vocabularyTermSchema.index({ clientId: 1, isActive: 1 });
+
+vocabularyTermSchema.plugin(mongoosePaginate);
+
+const VocabularyTerm = mongoose.model("VocabularyTerm", vocabularyTermSchema);
+VocabularyTerm.VOCABULARY_CATEGORIES = VOCABULARY_CATEGORIES;
+VocabularyTerm.VOCABULARY_SCOPES = VOCABULARY_SCOPES;
+
+module.exports = VocabularyTerm;
@@ -1,76 +1,137 @@
 const express = require("express");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const LogEntry = require("../models/LogEntry");
 const User = require("../models/User");
+const { publishUserEvent } = require("../utils/userEvents");
+const { isLLMError } = require("../config/llm");
+const {
+    listModelsForClient,
+    resolveUserModel,
+    fitToContext,
+} = require("../config/llm/models");
 const { authenticateToken, requireActiveSubscription } = require("../middleware/auth");
-const { validateObjectIdParam } = require("../middleware/validation");
+const {
+    validateObjectIdParam,
+    validateAIChatMessage,
+} = require("../middleware/validation");
+const { loadEntryRecording } = require("../middleware/recordings");
+const { loadChatImages } = require("../utils/aiImages");
+const {
+    createEntryRedactor,
+    generateRedacted,
+} = require("../utils/phiRedaction");
 const path = require("path");
 const fs = require("fs").promises;
 
 const router = express.Router();
 
-// Initialize Google Generative AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-
-// @route   POST /api/ai/chat/:entryId
-// @desc    Chat with AI about a specific log entry
-// @access  Private
-router.post(
-    "/chat/:entryId",
-    authenticateToken,
-    requireActiveSubscription,
-    validateObjectIdParam("entryId"),
-    async (req, res) => {
-        try {
-            const { message, image } = req.body; // image is optional base64 string or url
-            const entryId = req.params.entryId;
-            const user = req.user;
-
-            // 1. Fetch Log Entry and User Preferences
-            const logEntry = await LogEntry.findOne({
-                _id: entryId,
-                userId: user._id,
-            });
-
-            if (!logEntry) {
-                return res.status(404).json({ error: "Log entry not found" });
+const STREAM_HEARTBEAT_INTERVAL = 15 * 1000;
+
+// Statuses for problems with images sent to the chat
+const IMAGE_ERROR_STATUSES = {
+    INVALID_IMAGE: 400,
+    UNSUPPORTED_IMAGE_TYPE: 400,
+    IMAGE_TOO_LARGE: 413,
+    TOO_MANY_IMAGES: 400,
+    ATTACHMENT_NOT_FOUND: 404,
+};
+
+const sendChatError = (res, error) => {
+    const status = isLLMError(error)
+        ? error.status
+        : IMAGE_ERROR_STATUSES[error.code] || 500;
+    res.status(status).json({
+        error: "Failed to process AI request",
+        code: status === 500 ? "AI_CHAT_ERROR" : error.code,
+        details: error.message,
+    });
+};
+
+const sendEvent = (res, type, data) => {
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    // Push through the compression middleware's buffer
+    if (res.flush) res.flush();
+};
+
+// AI preferences with defaults for anything the user has not set
+const aiPreferences = (user) => {
+    const aiConfig = user.preferences?.aiConfig || {};
+    return {
+        medicalSpecialty: aiConfig.medicalSpecialty || "General Practitioner",
+        customInstructions: aiConfig.customInstructions || "",
+        model: aiConfig.model || null,
+    };
+};
+
+// History messages about a recording are numbered by its position when they
+// were written; renumber them to match the recording list in the context
+const labelRecordingMessage = (logEntry, msg) => {
+    if (!msg.recordingId) return msg.content;
+    const index = logEntry.audioRecordings.findIndex((audio) =>
+        audio._id.equals(msg.recordingId)
+    );
+    const label = index === -1 ? "Deleted Audio Recording" : `Audio Recording ${index + 1}`;
+    return msg.content.replace(/^\[Audio Recording \d+\]/, `[${label}]`);
+};
+
+// Images are only sent with the message they belong to; earlier messages
+// say which were attached so the model can refer back to them
+const describeMessageImages = (logEntry, msg) => {
+    const names = (msg.attachmentIds || []).map((attachmentId) => {
+        const attachment = logEntry.attachments.id(attachmentId);
+        return attachment ? attachment.originalName : "deleted attachment";
+    });
+    if (msg.inlineImageCount) {
+        names.push(`${msg.inlineImageCount} uploaded image(s)`);
+    }
+    return names.length > 0 ? `\n[Images attached: ${names.join(", ")}]` : "";
+};
+
+// Chat history entry for a user message and the images sent with it
+const userHistoryMessage = (message, chatImages) => ({
+    role: "user",
+    content: message,
+    attachmentIds: chatImages.attachments.map((used) => used.attachmentId),
+    inlineImageCount: chatImages.inlineCount,
+});
+
+// Model, system instruction and messages for a chat message (and its
+// images) about a log entry, with patient identifiers pseudonymised by the
+// request's redactor. Images need a vision model; throws
+// AI_MODEL_NOT_ALLOWED when the user has no usable model.
+const buildChatRequest = (logEntry, user, message, images, redactor) => {
+    const userPrefs = aiPreferences(user);
+    const resolved = resolveUserModel(user, { vision: images.length > 0 });
+
+    // Context (System Instruction)
+    const contextCategory = logEntry.aiContextCategory
+        ? logEntry.aiContextCategory.charAt(0).toUpperCase() + logEntry.aiContextCategory.slice(1)
+        : "General";
+
+    // Build comprehensive audio context
+    let audioContext = "";
+    if (logEntry.audioRecordings && logEntry.audioRecordings.length > 0) {
+        audioContext = "\n\nAUDIO RECORDINGS:\n";
+        logEntry.audioRecordings.forEach((audio, index) => {
+            audioContext += `\nRecording ${index + 1} (${new Date(audio.uploadedAt).toLocaleString()}):\n`;
+            if (audio.transcript) {
+                audioContext += `Transcript: "${redactor.redact(audio.transcript)}"\n`;
             }
-
-            const userPrefs = user.preferences?.aiConfig || {
-                medicalSpecialty: "General Practitioner",
-                customInstructions: "",
-                model: "gemini-2.5-pro",
-            };
-
-            // 2. Prepare Context (System Instruction)
-            const contextCategory = logEntry.aiContextCategory
-                ? logEntry.aiContextCategory.charAt(0).toUpperCase() + logEntry.aiContextCategory.slice(1)
-                : "General";
-
-            // Build comprehensive audio context
-            let audioContext = "";
-            if (logEntry.audioRecordings && logEntry.audioRecordings.length > 0) {
-                audioContext = "\n\nAUDIO RECORDINGS:\n";
-                logEntry.audioRecordings.forEach((audio, index) => {
-                    audioContext += `\nRecording ${index + 1} (${new Date(audio.uploadedAt).toLocaleString()}):\n`;
-                    if (audio.transcript) {
-                        audioContext += `Transcript: "${audio.transcript}"\n`;
-                    }
-                    if (audio.aiResponse) {
-                        audioContext += `Your previous response to this audio: "${audio.aiResponse}"\n`;
-                    }
-                });
+            if (audio.aiResponse) {
+                audioContext += `Your previous response to this audio: "${redactor.redact(audio.aiResponse)}"\n`;
             }
+        });
+    }
 
-            const systemInstruction = `
+    const context = `
 You are an expert AI Clinical Partner assisting a ${userPrefs.medicalSpecialty}.
 Your goal is to provide helpful, accurate, and safe clinical decision support based on the provided context.
 
 CONTEXT:
-- Log Title: "${logEntry.title}"
+- Log Title: "${redactor.redact(logEntry.title)}"
 - Category: ${contextCategory}
-- Notes: "${logEntry.notes || "No notes available."}"
-- Patient Data: ${JSON.stringify(logEntry.data || {})}${audioContext}
+- Notes: "${redactor.redact(logEntry.notes) || "No notes available."}"
+- Patient Data: ${JSON.stringify(redactor.redactData(logEntry.data || {}))}${audioContext}
 
 USER INSTRUCTIONS:
 ${userPrefs.customInstructions || "Provide concise, evidence-based insights."}
@@ -83,40 +144,116 @@ IMPORTANT:
 - When the user references "the audio" or "the recording", consider ALL audio recordings in context.
 `;
 
-            // 3. Initialize Generative Model
-            const model = genAI.getGenerativeModel({
-                model: userPrefs.model,
-                systemInstruction: systemInstruction,
-            });
+    // Chat History, ending with the new message and trimmed to the
+    // model's context window
+    const history = logEntry.aiChatHistory.map((msg) => ({
+        role: msg.role,
+        content: redactor.redact(
+            labelRecordingMessage(logEntry, msg) +
+            describeMessageImages(logEntry, msg)
+        ),
+    }));
+    history.push({ role: "user", content: redactor.redact(message), images });
+
+    // Tell the model about placeholders once everything is redacted
+    const systemInstruction = context + redactor.instructions();
+    const messages = fitToContext(resolved.model, systemInstruction, history);
+
+    return { resolved, systemInstruction, messages };
+};
+
+// @route   GET /api/ai/models
+// @desc    List AI models with their capabilities and whether the user's
+//          plan and client allow them, plus the model the user's requests
+//          will use
+// @access  Private
+router.get("/models", authenticateToken, async (req, res) => {
+    try {
+        const user = req.user;
+        const selected = aiPreferences(user).model;
 
-            // 4. Prepare Chat History
-            // Convert stored history to Google Generative AI format
-            const history = logEntry.aiChatHistory.map((msg) => ({
-                role: msg.role,
-                parts: [{ text: msg.content }],
-            }));
+        let resolved = null;
+        try {
+            resolved = resolveUserModel(user);
+        } catch (error) {
+            if (!isLLMError(error)) throw error;
+        }
+
+        res.json({
+            models: listModelsForClient(user.clientId),
+            selected,
+            resolved: resolved && {
+                model: resolved.model.id,
+                fallback: resolved.fallback,
+            },
+        });
+    } catch (error) {
+        console.error("List AI Models Error:", error);
+        res.status(500).json({
+            error: "Failed to list AI models",
+            code: "AI_MODELS_ERROR",
+            details: error.message,
+        });
+    }
+});
 
-            const chat = model.startChat({
-                history: history,
+// @route   POST /api/ai/chat/:entryId
+// @desc    Chat with AI about a specific log entry
+// @access  Private
+router.post(
+    "/chat/:entryId",
+    authenticateToken,
+    requireActiveSubscription,
+    validateObjectIdParam("entryId"),
+    validateAIChatMessage,
+    async (req, res) => {
+        try {
+            // Images: attachmentIds (entry attachments), images (base64
+            // strings or data URLs) and image (a single base64 image)
+            const { message } = req.body;
+            const entryId = req.params.entryId;
+            const user = req.user;
+
+            // 1. Fetch Log Entry and User Preferences
+            const logEntry = await LogEntry.findOne({
+                _id: entryId,
+                userId: user._id,
             });
 
-            // 5. Send Message
-            let chatResult;
-            if (image) {
-                // Handle image input (assuming base64 for now)
-                // TODO: Implement image handling logic
-                chatResult = await chat.sendMessage(message);
-            } else {
-                chatResult = await chat.sendMessage(message);
+            if (!logEntry) {
+                return res.status(404).json({ error: "Log entry not found" });
             }
 
-            const responseContent = chatResult.response.text();
-
-            // 6. Save History
-            logEntry.aiChatHistory.push({
-                role: "user",
-                content: message,
-            });
+            // 2. Check and strip Images, then prepare Context and Chat
+            // History with patient identifiers pseudonymised
+            const chatImages = await loadChatImages(logEntry, req.body);
+            const redactor = await createEntryRedactor(logEntry, user.clientId);
+            const { resolved, systemInstruction, messages } = buildChatRequest(
+                logEntry,
+                user,
+                message,
+                chatImages.images,
+                redactor
+            );
+
+            // 3. Send Message through the LLM gateway, re-identifying the reply
+            const { text: responseContent } = await generateRedacted(
+                redactor,
+                {
+                    userId: user._id,
+                    clientId: user.clientId,
+                    entryId: logEntry._id,
+                    purpose: "chat",
+                },
+                {
+                    model: resolved.model.id,
+                    system: systemInstruction,
+                    messages,
+                }
+            );
+
+            // 4. Save History
+            logEntry.aiChatHistory.push(userHistoryMessage(message, chatImages));
             logEntry.aiChatHistory.push({
                 role: "model",
                 content: responseContent,
@@ -124,38 +261,53 @@ IMPORTANT:
 
             await logEntry.save();
 
+            publishUserEvent(user._id, "ai.response", {
+                entryId: logEntry._id.toString(),
+                source: "chat",
+            });
+
             res.json({
                 role: "model",
                 content: responseContent,
+                model: resolved.model.id,
+                modelFallback: resolved.fallback,
+                attachments: chatImages.attachments,
+                inlineImageCount: chatImages.inlineCount,
+                redaction: redactor.report(),
             });
 
         } catch (error) {
             console.error("AI Chat Error:", error);
-            res.status(500).json({
-                error: "Failed to process AI request",
-                details: error.message,
-            });
+            sendChatError(res, error);
         }
     }
 );
 
-// @route   POST /api/ai/audio-response/:entryId/:audioIndex
-// @desc    Get AI response for a specific audio recording
+// @route   POST /api/ai/chat/:entryId/stream
+// @desc    Chat with AI about a log entry, streaming the reply as
+//          Server-Sent Events: "start", a "token" per piece of the reply,
+//          then "done" or "error". Takes images like the chat route.
+//          Closing the connection aborts the request; a partial reply is
+//          saved flagged as interrupted.
 // @access  Private
 router.post(
-    "/audio-response/:entryId/:audioIndex",
+    "/chat/:entryId/stream",
     authenticateToken,
     requireActiveSubscription,
     validateObjectIdParam("entryId"),
+    validateAIChatMessage,
     async (req, res) => {
+        const { message } = req.body;
+        const user = req.user;
+
+        // Until the stream opens, failures are answered like the chat route
+        let logEntry;
+        let chatImages;
+        let redactor;
+        let chatRequest;
         try {
-            const entryId = req.params.entryId;
-            const audioIndex = parseInt(req.params.audioIndex);
-            const user = req.user;
-
-            // 1. Fetch Log Entry
-            const logEntry = await LogEntry.findOne({
-                _id: entryId,
+            logEntry = await LogEntry.findOne({
+                _id: req.params.entryId,
                 userId: user._id,
             });
 
@@ -163,22 +315,162 @@ router.post(
                 return res.status(404).json({ error: "Log entry not found" });
             }
 
-            const audio = logEntry.audioRecordings[audioIndex];
-            if (!audio) {
-                return res.status(404).json({ error: "Audio recording not found" });
+            chatImages = await loadChatImages(logEntry, req.body);
+            redactor = await createEntryRedactor(logEntry, user.clientId);
+            chatRequest = buildChatRequest(
+                logEntry,
+                user,
+                message,
+                chatImages.images,
+                redactor
+            );
+        } catch (error) {
+            console.error("AI Chat Stream Error:", error);
+            return sendChatError(res, error);
+        }
+        const { resolved, systemInstruction, messages } = chatRequest;
+
+        res.set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+            // Stop nginx buffering the stream
+            "X-Accel-Buffering": "no",
+        });
+        res.flushHeaders();
+        sendEvent(res, "start", {
+            model: resolved.model.id,
+            modelFallback: resolved.fallback,
+        });
+
+        // The response closes early only when the client goes away
+        const controller = new AbortController();
+        res.on("close", () => {
+            if (!res.writableEnded) controller.abort();
+        });
+        // Comment lines keep the connection open while the model thinks
+        const heartbeat = setInterval(() => {
+            res.write(": heartbeat\n\n");
+            if (res.flush) res.flush();
+        }, STREAM_HEARTBEAT_INTERVAL);
+
+        // Placeholders are swapped back before tokens reach the client
+        const tokens = redactor.reidentifyStream((text) =>
+            sendEvent(res, "token", { text })
+        );
+        let content = "";
+        let failure = null;
+        try {
+            const result = await generateRedacted(
+                redactor,
+                {
+                    userId: user._id,
+                    clientId: user.clientId,
+                    entryId: logEntry._id,
+                    purpose: "chat",
+                },
+                {
+                    model: resolved.model.id,
+                    system: systemInstruction,
+                    messages,
+                    signal: controller.signal,
+                    onToken: tokens.write,
+                }
+            );
+            content = result.text;
+        } catch (error) {
+            failure = error;
+            content = error.partialText || "";
+        } finally {
+            tokens.end();
+            clearInterval(heartbeat);
+        }
+
+        // Save the exchange once the stream has ended, by pushing so that
+        // changes made to the entry meanwhile are kept
+        const interrupted = !!failure;
+        if (content) {
+            try {
+                await LogEntry.updateOne(
+                    { _id: logEntry._id },
+                    {
+                        $push: {
+                            aiChatHistory: {
+                                $each: [
+                                    userHistoryMessage(message, chatImages),
+                                    { role: "model", content, interrupted },
+                                ],
+                            },
+                        },
+                    }
+                );
+
+                publishUserEvent(user._id, "ai.response", {
+                    entryId: logEntry._id.toString(),
+                    source: "chat",
+                    ...(interrupted && { interrupted }),
+                });
+            } catch (error) {
+                console.error("AI Chat Stream Save Error:", error);
+                failure = failure || error;
             }
+        }
+
+        if (failure && !(isLLMError(failure) && failure.code === "AI_ABORTED")) {
+            console.error("AI Chat Stream Error:", failure);
+        }
+        // Nobody is listening after a client abort
+        if (res.destroyed) return;
+
+        if (failure) {
+            sendEvent(res, "error", {
+                error: "Failed to process AI request",
+                code: isLLMError(failure) ? failure.code : "AI_CHAT_ERROR",
+                details: failure.message,
+                partial: interrupted && !!content,
+                redaction: redactor.report(),
+            });
+        } else {
+            sendEvent(res, "done", {
+                role: "model",
+                content,
+                model: resolved.model.id,
+                modelFallback: resolved.fallback,
+                attachments: chatImages.attachments,
+                inlineImageCount: chatImages.inlineCount,
+                redaction: redactor.report(),
+            });
+        }
+        res.end();
+    }
+);
+
+// @route   POST /api/ai/audio-response/:entryId/:recordingId
+// @desc    Get AI response for a specific audio recording (a numeric
+//          recording index is accepted but deprecated)
+// @access  Private
+router.post(
+    "/audio-response/:entryId/:recordingId",
+    authenticateToken,
+    requireActiveSubscription,
+    loadEntryRecording(),
+    async (req, res) => {
+        try {
+            const user = req.user;
+
+            // 1. Fetch Log Entry
+            const { logEntry, recording: audio, recordingIndex: audioIndex } = req;
 
             if (!audio.transcript) {
                 return res.status(400).json({ error: "Audio must be transcribed first" });
             }
 
-            const userPrefs = user.preferences?.aiConfig || {
-                medicalSpecialty: "General Practitioner",
-                customInstructions: "",
-                model: "gemini-2.5-pro",
-            };
+            const userPrefs = aiPreferences(user);
+            const resolved = resolveUserModel(user);
 
-            // 2. Prepare Context
+            // 2. Prepare Context with patient identifiers pseudonymised
+            const redactor = await createEntryRedactor(logEntry, user.clientId);
+            const transcript = redactor.redact(audio.transcript);
             const contextCategory = logEntry.aiContextCategory
                 ? logEntry.aiContextCategory.charAt(0).toUpperCase() + logEntry.aiContextCategory.slice(1)
                 : "General";
@@ -188,10 +480,10 @@ You are an expert AI Clinical Partner assisting a ${userPrefs.medicalSpecialty}.
 Your goal is to provide helpful, accurate, and safe clinical decision support based on audio recordings.
 
 CONTEXT:
-- Log Title: "${logEntry.title}"
+- Log Title: "${redactor.redact(logEntry.title)}"
 - Category: ${contextCategory}
-- Notes: "${logEntry.notes || "No notes available."}"
-- Patient Data: ${JSON.stringify(logEntry.data || {})}\n
+- Notes: "${redactor.redact(logEntry.notes) || "No notes available."}"
+- Patient Data: ${JSON.stringify(redactor.redactData(logEntry.data || {}))}\n
 USER INSTRUCTIONS:
 ${userPrefs.customInstructions || "Provide concise, evidence-based insights."}
 
@@ -199,46 +491,77 @@ IMPORTANT:
 - Analyze the audio transcript and provide clinical insights.
 - Maintain patient confidentiality.
 - Do not provide definitive medical diagnoses; offer differential diagnoses and suggestions.
-`;
-
-            // 3. Initialize Model
-            const model = genAI.getGenerativeModel({
-                model: userPrefs.model,
-                systemInstruction: systemInstruction,
-            });
-
-            // 4. Generate Response
-            const prompt = `Please analyze the following audio transcript and provide clinical insights:\n\n"${audio.transcript}"`;
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            const responseContent = response.text();
-
-            // 5. Save AI Response
-            logEntry.audioRecordings[audioIndex].aiResponse = responseContent;
-            logEntry.audioRecordings[audioIndex].aiResponseTimestamp = new Date();
-
-            // Also add to chat history for context continuity
-            logEntry.aiChatHistory.push({
-                role: "user",
-                content: `[Audio Recording ${audioIndex + 1}]: ${audio.transcript}`,
+${redactor.instructions()}`;
+
+            // 3. Generate Response, re-identifying the reply
+            const prompt = `Please analyze the following audio transcript and provide clinical insights:\n\n"${transcript}"`;
+            const { text: responseContent } = await generateRedacted(
+                redactor,
+                {
+                    userId: user._id,
+                    clientId: user.clientId,
+                    entryId: logEntry._id,
+                    recordingId: audio._id,
+                    purpose: "audio_response",
+                },
+                {
+                    model: resolved.model.id,
+                    system: systemInstruction,
+                    prompt,
+                }
+            );
+
+            // 4. Save AI Response by recording id (the array may have
+            // changed while the model was working), and add it to chat
+            // history for context continuity
+            await LogEntry.updateOne(
+                { _id: logEntry._id, "audioRecordings._id": audio._id },
+                {
+                    $set: {
+                        "audioRecordings.$.aiResponse": responseContent,
+                        "audioRecordings.$.aiResponseTimestamp": new Date(),
+                    },
+                    $push: {
+                        aiChatHistory: {
+                            $each: [
+                                {
+                                    role: "user",
+                                    content: `[Audio Recording ${audioIndex + 1}]: ${audio.transcript}`,
+                                    recordingId: audio._id,
+                                },
+                                {
+                                    role: "model",
+                                    content: responseContent,
+                                    recordingId: audio._id,
+                                },
+                            ],
+                        },
+                    },
+                }
+            );
+
+            publishUserEvent(user._id, "ai.response", {
+                entryId: logEntry._id.toString(),
+                source: "audio",
+                recordingId: audio._id.toString(),
+                recordingIndex: audioIndex,
             });
-            logEntry.aiChatHistory.push({
-                role: "model",
-                content: responseContent,
-            });
-
-            await logEntry.save();
 
             res.json({
                 role: "model",
                 content: responseContent,
+                recordingId: audio._id,
                 audioIndex,
+                model: resolved.model.id,
+                modelFallback: resolved.fallback,
+                redaction: redactor.report(),
             });
 
         } catch (error) {
             console.error("AI Audio Response Error:", error);
-            res.status(500).json({
+            res.status(isLLMError(error) ? error.status : 500).json({
                 error: "Failed to generate AI response",
+                code: isLLMError(error) ? error.code : "AI_AUDIO_RESPONSE_ERROR",
                 details: error.message,
             });
         }
@@ -6,15 +6,98 @@ const {
   requireActiveSubscription,
 } = require("../middleware/auth");
 const { uploadAudio, handleUploadError } = require("../middleware/upload");
-const { validateObjectIdParam } = require("../middleware/validation");
 const {
-  transcribeAudio,
-  transcribeLongAudio,
-} = require("../config/googleCloud");
+  listSpeechProviders,
+  resolveSpeechProvider,
+} = require("../config/speechProviders");
+const {
+  probeUpload,
+  recordingAudioFields,
+} = require("../utils/audioProcessing");
+const {
+  LOW_CONFIDENCE_THRESHOLD,
+  isLowConfidence,
+} = require("../utils/transcription");
+const {
+  enqueueTranscription,
+  cancelTranscriptionJob,
+  waitForTranscriptionJob,
+} = require("../jobs/transcriptionProcessor");
+const {
+  ensureBaselineRevision,
+  addTranscriptRevision,
+  findRevision,
+  restoreTranscriptRevision,
+  diffTranscripts,
+} = require("../utils/transcriptRevisions");
+const {
+  parseLanguageOverride,
+  describeLanguage,
+} = require("../utils/transcriptionLanguage");
+const { publishUserEvent } = require("../utils/userEvents");
+const { isLLMError } = require("../config/llm");
+const { resolveUserModel } = require("../config/llm/models");
+const {
+  createEntryRedactor,
+  generateRedacted,
+} = require("../utils/phiRedaction");
+const { loadEntryRecording } = require("../middleware/recordings");
 const LogEntry = require("../models/LogEntry");
+const TranscriptionJob = require("../models/TranscriptionJob");
 
 const router = express.Router();
 
+// Routes address a recording by its _id. Array indexes in the same position
+// still work for older clients but are deprecated (middleware/recordings.js).
+
+// How long POST /transcribe holds the request open for the result
+const TRANSCRIBE_WAIT_MS =
+  parseInt(process.env.TRANSCRIBE_WAIT_SECONDS || "120") * 1000;
+const MAX_TRANSCRIPT_LENGTH = 200000;
+
+// Revision as listed by the history endpoints
+const formatRevision = (revision, current, includeText = true) => ({
+  number: revision.number,
+  source: revision.source,
+  authorId: revision.authorId,
+  note: revision.note,
+  restoredFrom: revision.restoredFrom,
+  accepted: revision.accepted,
+  current: revision.number === current,
+  createdAt: revision.createdAt,
+  length: (revision.text || "").length,
+  ...(includeText && { text: revision.text }),
+});
+
+// @route   GET /api/audio/providers
+// @desc    List speech-to-text providers and the one used for user's client
+// @access  Private
+router.get("/providers", authenticateToken, async (req, res) => {
+  try {
+    const providers = listSpeechProviders();
+
+    let activeProvider = null;
+    try {
+      activeProvider = (await resolveSpeechProvider(req.user.clientId)).name;
+    } catch (error) {
+      // No usable provider; reported as null
+    }
+
+    res.json({
+      providers,
+      clientProvider:
+        req.user.clientId.settings?.transcription?.provider || null,
+      activeProvider,
+    });
+  } catch (error) {
+    console.error("Get speech providers error:", error);
+    res.status(500).json({
+      error: "Failed to get transcription providers",
+      code: "GET_PROVIDERS_ERROR",
+    });
+  }
+});
+
 // @route   POST /api/audio/upload/:entryId
 // @desc    Upload audio file for a log entry
 // @access  Private
@@ -37,6 +120,14 @@ router.post(
         });
       }
 
+      const languageOverride = parseLanguageOverride(req.body);
+      if (languageOverride.error) {
+        return res.status(400).json({
+          error: languageOverride.error,
+          code: "INVALID_LANGUAGE_CODE",
+        });
+      }
+
       const logEntry = await LogEntry.findOne({
         _id: entryId,
         userId: user._id,
@@ -69,12 +160,26 @@ router.post(
       // Write file to disk
       await fs.writeFile(audioPath, audioFile.buffer);
 
+      // Read the real format and duration from the file
+      let audioInfo;
+      try {
+        audioInfo = await probeUpload(audioPath);
+      } catch (probeError) {
+        await fs.unlink(audioPath).catch(() => {});
+        return res.status(400).json({
+          error: "Audio file could not be read",
+          code: "INVALID_AUDIO_FILE",
+          details: probeError.message,
+        });
+      }
+
       // Add new audio recording to array
       const newAudio = {
         url: `/uploads/audio/${filename}`,
         filename: audioFile.originalname,
         size: audioFile.size,
-        duration: parseInt(req.body.duration) || null,
+        ...recordingAudioFields(audioInfo),
+        languageCode: languageOverride.languageCode || null,
         uploadedAt: new Date(),
       };
 
@@ -89,23 +194,30 @@ router.post(
       await logEntry.save();
 
       const audioIndex = logEntry.audioRecordings.length - 1;
+      const recording = logEntry.audioRecordings[audioIndex];
 
       // Auto-trigger transcription
-      logEntry.audioRecordings[audioIndex].transcriptionStatus = "processing";
-      await logEntry.save();
-
-      // Start transcription asynchronously (don't wait for it)
-      ProcessTranscription(logEntry, audioIndex).catch(err => {
-        console.error("Auto-transcription failed:", err);
-      });
+      let transcriptionJob = null;
+      try {
+        transcriptionJob = await enqueueTranscription(logEntry, recording, {
+          userId: user._id,
+          source: "audio_upload",
+          options: { detectLanguage: languageOverride.detectLanguage },
+        });
+      } catch (queueError) {
+        console.error("Auto-transcription could not be queued:", queueError);
+      }
 
       res.json({
         message: "Audio uploaded successfully",
+        recordingId: recording._id,
         audioIndex,
         audio: {
           ...newAudio,
-          transcriptionStatus: "processing"
+          _id: recording._id,
+          transcriptionStatus: recording.transcriptionStatus,
         },
+        transcriptionJobId: transcriptionJob ? transcriptionJob._id : null,
       });
     } catch (error) {
       console.error("Upload audio error:", error);
@@ -118,64 +230,95 @@ router.post(
   }
 );
 
-// @route   POST /api/audio/transcribe/:entryId/:audioIndex
-// @desc    Request transcription for specific audio
+// @route   POST /api/audio/transcribe/:entryId/:recordingId
+// @desc    Request transcription for specific audio. Waits for the result
+//          (up to TRANSCRIBE_WAIT_SECONDS) unless ?wait=false; answers 202
+//          with the job when it is still running. Body languageCode sets
+//          the recording's language and detectLanguage overrides the
+//          user's auto-detection setting.
 // @access  Private
 router.post(
-  "/transcribe/:entryId/:audioIndex",
+  "/transcribe/:entryId/:recordingId",
   authenticateToken,
   requireActiveSubscription,
+  loadEntryRecording(),
   async (req, res) => {
     try {
       const user = req.user;
-      const entryId = req.params.entryId;
-      const audioIndex = parseInt(req.params.audioIndex);
-
-      const logEntry = await LogEntry.findOne({
-        _id: entryId,
-        userId: user._id,
-      });
+      const { logEntry, recording, recordingIndex } = req;
 
-      if (!logEntry) {
-        return res.status(404).json({
-          error: "Log entry not found",
-          code: "ENTRY_NOT_FOUND",
+      const languageOverride = parseLanguageOverride(req.body);
+      if (languageOverride.error) {
+        return res.status(400).json({
+          error: languageOverride.error,
+          code: "INVALID_LANGUAGE_CODE",
         });
       }
 
-      if (!logEntry.audioRecordings || !logEntry.audioRecordings[audioIndex]) {
-        return res.status(400).json({
-          error: "Audio recording not found",
-          code: "AUDIO_NOT_FOUND",
+      let job;
+      try {
+        job = await enqueueTranscription(logEntry, recording, {
+          userId: user._id,
+          source: "transcribe_request",
+          // Someone is waiting on this one
+          priority: req.query.wait === "false" ? "normal" : "high",
+          options: languageOverride,
         });
+      } catch (queueError) {
+        if (queueError.code === "TRANSCRIPTION_IN_PROGRESS") {
+          return res.status(400).json({
+            error: "Transcription already in progress",
+            code: "TRANSCRIPTION_IN_PROGRESS",
+            details: { jobId: queueError.job._id },
+          });
+        }
+        throw queueError;
       }
 
-      const audio = logEntry.audioRecordings[audioIndex];
-
-      if (audio.transcriptionStatus === "processing") {
-        return res.status(400).json({
-          error: "Transcription already in progress",
-          code: "TRANSCRIPTION_IN_PROGRESS",
-        });
+      // Later transcriptions of the recording use the same language
+      if (languageOverride.languageCode) {
+        await LogEntry.updateOne(
+          { _id: logEntry._id, "audioRecordings._id": recording._id },
+          {
+            $set: {
+              "audioRecordings.$.languageCode": languageOverride.languageCode,
+            },
+          }
+        );
       }
 
-      // Update status to processing
-      logEntry.audioRecordings[audioIndex].transcriptionStatus = "processing";
-      await logEntry.save();
+      if (req.query.wait !== "false") {
+        job = await waitForTranscriptionJob(job._id, TRANSCRIBE_WAIT_MS);
+      }
 
-      // Process transcription synchronously (for simplicity)
-      try {
-        await ProcessTranscription(logEntry, audioIndex);
+      if (job.status === "failed") {
+        return res.status(500).json({
+          error: "Failed to transcribe audio",
+          code: "TRANSCRIPTION_ERROR",
+          details: job.error,
+        });
+      }
 
-        res.json({
-          message: "Transcription completed",
-          audioIndex,
-          transcript: logEntry.audioRecordings[audioIndex].transcript,
+      if (job.status !== "completed") {
+        return res.status(202).json({
+          message: "Transcription queued",
+          recordingId: recording._id,
+          audioIndex: recordingIndex,
+          jobId: job._id,
+          status: job.status,
         });
-      } catch (transcriptionError) {
-        // Error already saved in ProcessTranscription
-        throw transcriptionError;
       }
+
+      const updatedEntry = await LogEntry.findById(logEntry._id);
+      const updatedRecording = updatedEntry.audioRecordings.id(recording._id);
+      res.json({
+        message: "Transcription completed",
+        recordingId: recording._id,
+        audioIndex: updatedEntry.audioRecordings.indexOf(updatedRecording),
+        jobId: job._id,
+        transcript: updatedRecording.transcript,
+        transcriptLanguage: updatedRecording.transcriptLanguage,
+      });
     } catch (error) {
       console.error("Transcription error:", error);
       res.status(500).json({
@@ -186,44 +329,24 @@ router.post(
     }
   }
 );
-// @route   POST /api/audio/improve-transcript/:entryId/:audioIndex
+// @route   POST /api/audio/improve-transcript/:entryId/:recordingId
 // @desc    Use AI to improve/restructure transcript
 // @access  Private
 router.post(
-  "/improve-transcript/:entryId/:audioIndex",
+  "/improve-transcript/:entryId/:recordingId",
   authenticateToken,
   requireActiveSubscription,
-  validateObjectIdParam("entryId"),
+  loadEntryRecording(),
   async (req, res) => {
     try {
-      const entryId = req.params.entryId;
-      const audioIndex = parseInt(req.params.audioIndex);
       const user = req.user;
-
-      // Find log entry
-      const logEntry = await LogEntry.findOne({
-        _id: entryId,
-        userId: user._id,
-      });
-
-      if (!logEntry) {
-        return res.status(404).json({ error: "Log entry not found" });
-      }
-
-      const audio = logEntry.audioRecordings[audioIndex];
-      if (!audio) {
-        return res.status(404).json({ error: "Audio recording not found" });
-      }
+      const { logEntry, recording: audio, recordingIndex } = req;
 
       if (!audio.transcript) {
         return res.status(400).json({ error: "Audio must be transcribed first" });
       }
 
-      // Use Gemini to improve transcript
-      const { genAI } = require("../config/ai");
-      const model = genAI.getGenerativeModel({
-        model: "gemini-2.0-flash-exp",
-        systemInstruction: `You are a professional medical transcript editor. Your task is to restructure and format medical transcripts for clarity and professionalism.
+      const system = `You are a professional medical transcript editor. Your task is to restructure and format medical transcripts for clarity and professionalism.
 
 INSTRUCTIONS:
 - Add clear headlines and subheadings using markdown (## for sections, ### for subsections)
@@ -235,28 +358,76 @@ INSTRUCTIONS:
 - DO NOT add information that wasn't in the original transcript
 - DO NOT remove any important medical details
 
-Format output in clean markdown that will be rendered as HTML.`,
+Format output in clean markdown that will be rendered as HTML.`;
+
+      // Keep the transcript's own language and spelling conventions
+      const language = describeLanguage(
+        audio.transcriptLanguage || audio.languageCode
+      );
+      const languageInstruction = language
+        ? ` The transcript is in ${language}; write the improved version in the same language and regional spelling, and do not translate it.`
+        : "";
+
+      // Patient identifiers go out as placeholders and are put back in
+      // the improved version
+      const redactor = await createEntryRedactor(logEntry, user.clientId);
+      const prompt = `Please restructure and improve the following medical transcript. Add appropriate headings, organize into sections, and improve readability while preserving all clinical information.${languageInstruction}\n\n${redactor.redact(audio.transcript)}`;
+
+      const { model } = resolveUserModel(user);
+      const { text: improvedTranscript } = await generateRedacted(
+        redactor,
+        {
+          userId: user._id,
+          clientId: user.clientId,
+          entryId: logEntry._id,
+          recordingId: audio._id,
+          purpose: "improve_transcript",
+        },
+        {
+          model: model.id,
+          system: system + redactor.instructions(),
+          prompt,
+        }
+      );
+
+      // Save onto a fresh copy found by recording id; the entry may have
+      // changed while the model was working. The improved version is kept
+      // as a proposed revision until someone restores it.
+      const freshEntry = await LogEntry.findById(logEntry._id);
+      const freshAudio = freshEntry && freshEntry.audioRecordings.id(audio._id);
+      if (!freshAudio) {
+        return res.status(404).json({
+          error: "Audio recording was deleted",
+          code: "AUDIO_NOT_FOUND",
+        });
+      }
+      freshAudio.improvedTranscript = improvedTranscript;
+      freshAudio.improvedTranscriptTimestamp = new Date();
+      const revision = addTranscriptRevision(freshAudio, {
+        text: improvedTranscript,
+        source: "ai_improve",
+        authorId: user._id,
       });
+      await freshEntry.save();
 
-      const prompt = `Please restructure and improve the following medical transcript. Add appropriate headings, organize into sections, and improve readability while preserving all clinical information:\n\n${audio.transcript}`;
-
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const improvedTranscript = response.text();
-
-      // Save improved transcript
-      logEntry.audioRecordings[audioIndex].improvedTranscript = improvedTranscript;
-      logEntry.audioRecordings[audioIndex].improvedTranscriptTimestamp = new Date();
-      await logEntry.save();
+      publishUserEvent(user._id, "transcript.improved", {
+        entryId: logEntry._id.toString(),
+        recordingId: audio._id.toString(),
+        recordingIndex,
+      });
 
       res.json({
         message: "Transcript improved successfully",
+        recordingId: audio._id,
+        revision: revision.number,
         improvedTranscript,
+        redaction: redactor.report(),
       });
     } catch (error) {
       console.error("Improve transcript error:", error);
-      res.status(500).json({
+      res.status(isLLMError(error) ? error.status : 500).json({
         error: "Failed to improve transcript",
+        code: isLLMError(error) ? error.code : "IMPROVE_TRANSCRIPT_ERROR",
         details: error.message,
       });
     }
@@ -264,139 +435,383 @@ Format output in clean markdown that will be rendered as HTML.`,
 );
 
 
-// Helper function for processing transcription
-async function ProcessTranscription(logEntry, audioIndex) {
-  try {
-    const fs = require("fs").promises;
-    const path = require("path");
-
-    const audio = logEntry.audioRecordings[audioIndex];
-    // Remove leading slash from URL for proper path.join
-    const relativeUrl = audio.url.startsWith('/') ? audio.url.substring(1) : audio.url;
-    const audioPath = path.join(__dirname, "..", relativeUrl);
-    console.log("Transcribing audio:", { audioPath, url: audio.url });
-
-    // Check file size to determine which API to use
-    const stats = await fs.stat(audioPath);
-    const fileSizeInMB = stats.size / (1024 * 1024);
-
-    const audioBuffer = await fs.readFile(audioPath);
-
-    let result;
-    // Use long-running API for files > 1MB (roughly 60 seconds of audio)
-    if (fileSizeInMB > 1) {
-      console.log(`Using long-running transcription for ${fileSizeInMB.toFixed(2)}MB file`);
-      result = await transcribeLongAudio(audioBuffer, "WEBM_OPUS", 48000, "en-US");
-    } else {
-      console.log(`Using sync transcription for ${fileSizeInMB.toFixed(2)}MB file`);
-      result = await transcribeAudio(audioBuffer, "WEBM_OPUS", 48000, "en-US");
+// @route   GET /api/audio/transcription/:entryId/:recordingId
+// @desc    Get transcription status and result for specific audio
+// @access  Private
+router.get(
+  "/transcription/:entryId/:recordingId",
+  authenticateToken,
+  loadEntryRecording(),
+  async (req, res) => {
+    try {
+      const audio = req.recording;
+
+      res.json({
+        recordingId: audio._id,
+        audioIndex: req.recordingIndex,
+        transcriptionStatus: audio.transcriptionStatus,
+        transcript: audio.transcript,
+        transcriptionError: audio.transcriptionError,
+        transcriptionTimestamp: audio.transcriptionTimestamp,
+        transcriptionPartial: audio.transcriptionPartial,
+        transcriptionGaps: audio.transcriptionGaps,
+        transcriptRevision: audio.transcriptRevision,
+        languageCode: audio.languageCode,
+        transcriptLanguage: audio.transcriptLanguage,
+      });
+    } catch (error) {
+      console.error("Get transcription error:", error);
+      res.status(500).json({
+        error: "Failed to get transcription",
+        code: "GET_TRANSCRIPTION_ERROR",
+      });
     }
+  }
+);
+
+// @route   GET /api/audio/transcription/:entryId/:recordingId/timeline
+// @desc    Time-coded transcript segments and words with speakers, for
+//          click-to-seek playback. Words below ?threshold= (default from
+//          STT_LOW_CONFIDENCE_THRESHOLD) are flagged for review.
+// @access  Private
+router.get(
+  "/transcription/:entryId/:recordingId/timeline",
+  authenticateToken,
+  loadEntryRecording(),
+  async (req, res) => {
+    try {
+      const audio = req.recording;
+
+      let threshold = LOW_CONFIDENCE_THRESHOLD;
+      if (req.query.threshold !== undefined) {
+        threshold = parseFloat(req.query.threshold);
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+          return res.status(400).json({
+            error: "Threshold must be a number between 0 and 1",
+            code: "INVALID_THRESHOLD",
+          });
+        }
+      }
 
-    const transcript = result.transcript || "";
+      if (audio.transcriptionStatus !== "completed") {
+        return res.status(409).json({
+          error: "Recording has not been transcribed",
+          code: "TRANSCRIPTION_NOT_COMPLETED",
+          details: { transcriptionStatus: audio.transcriptionStatus },
+        });
+      }
 
-    logEntry.audioRecordings[audioIndex].transcript = transcript;
-    logEntry.audioRecordings[audioIndex].transcriptionStatus = "completed";
-    logEntry.audioRecordings[audioIndex].transcriptionTimestamp = new Date();
-    await logEntry.save();
+      const words = audio.transcriptWords.map((word, index) => ({
+        index,
+        word: word.word,
+        startTime: word.startTime,
+        endTime: word.endTime,
+        confidence: word.confidence,
+        speaker: word.speaker,
+        lowConfidence: isLowConfidence(word, threshold),
+      }));
+      const segments = audio.transcriptSegments.map((segment) => ({
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        speaker: segment.speaker,
+        text: segment.text,
+        confidence: segment.confidence,
+        lowConfidenceWords: words.filter(
+          (word) =>
+            word.lowConfidence &&
+            word.startTime >= segment.startTime &&
+            word.endTime <= segment.endTime
+        ).length,
+      }));
+      const lowConfidenceWords = words.filter((word) => word.lowConfidence);
 
-    return result;
-  } catch (error) {
-    logEntry.audioRecordings[audioIndex].transcriptionStatus = "failed";
-    logEntry.audioRecordings[audioIndex].transcriptionError = error.message;
-    await logEntry.save();
-    throw error;
+      res.json({
+        recordingId: audio._id,
+        duration: audio.duration,
+        transcriptionProvider: audio.transcriptionProvider,
+        transcriptionPartial: audio.transcriptionPartial,
+        transcriptionGaps: audio.transcriptionGaps,
+        speakers: [
+          ...new Set(
+            segments.map((segment) => segment.speaker).filter(Boolean)
+          ),
+        ],
+        segments,
+        words: req.query.includeWords === "false" ? undefined : words,
+        lowConfidenceWords,
+        threshold,
+        // Older transcripts were stored without timings
+        hasTimings: segments.length > 0,
+        // Timings belong to the speech-to-text output, not later edits
+        transcriptEdited:
+          (findRevision(audio, audio.transcriptRevision) || {}).source ===
+          "manual",
+      });
+    } catch (error) {
+      console.error("Get transcript timeline error:", error);
+      res.status(500).json({
+        error: "Failed to get transcript timeline",
+        code: "GET_TIMELINE_ERROR",
+      });
+    }
   }
-}
+);
 
-// @route   GET /api/audio/transcription/:entryId/:audioIndex
-// @desc    Get transcription status and result for specific audio
+// @route   PATCH /api/audio/transcription/:entryId/:recordingId
+// @desc    Correct a transcript by hand. Stored as a new revision; pass
+//          baseRevision to be told (409) when someone else edited first.
 // @access  Private
-router.get(
-  "/transcription/:entryId/:audioIndex",
+router.patch(
+  "/transcription/:entryId/:recordingId",
   authenticateToken,
+  requireActiveSubscription,
+  loadEntryRecording(),
   async (req, res) => {
     try {
       const user = req.user;
-      const entryId = req.params.entryId;
-      const audioIndex = parseInt(req.params.audioIndex);
+      const { logEntry, recording: audio } = req;
+      const { transcript, note, baseRevision } = req.body;
 
-      const logEntry = await LogEntry.findOne({
-        _id: entryId,
-        userId: user._id,
-      });
+      if (typeof transcript !== "string" || !transcript.trim()) {
+        return res.status(400).json({
+          error: "Transcript text is required",
+          code: "VALIDATION_ERROR",
+        });
+      }
+      if (transcript.length > MAX_TRANSCRIPT_LENGTH) {
+        return res.status(400).json({
+          error: `Transcript cannot exceed ${MAX_TRANSCRIPT_LENGTH} characters`,
+          code: "VALIDATION_ERROR",
+        });
+      }
+      if (note !== undefined && note !== null && String(note).length > 500) {
+        return res.status(400).json({
+          error: "Note cannot exceed 500 characters",
+          code: "VALIDATION_ERROR",
+        });
+      }
 
-      if (!logEntry) {
-        return res.status(404).json({
-          error: "Log entry not found",
-          code: "ENTRY_NOT_FOUND",
+      if (["pending", "processing"].includes(audio.transcriptionStatus)) {
+        return res.status(409).json({
+          error: "Wait for the transcription to finish before editing",
+          code: "TRANSCRIPTION_IN_PROGRESS",
         });
       }
 
-      const audio = logEntry.audioRecordings[audioIndex];
-      if (!audio) {
-        return res.status(404).json({
-          error: "Audio recording not found",
-          code: "AUDIO_NOT_FOUND",
+      ensureBaselineRevision(audio);
+      if (
+        baseRevision !== undefined &&
+        baseRevision !== null &&
+        Number(baseRevision) !== audio.transcriptRevision
+      ) {
+        return res.status(409).json({
+          error: "The transcript has changed since you started editing",
+          code: "REVISION_CONFLICT",
+          details: { currentRevision: audio.transcriptRevision },
         });
       }
 
+      if (transcript === audio.transcript) {
+        return res.status(400).json({
+          error: "Transcript is unchanged",
+          code: "TRANSCRIPT_UNCHANGED",
+        });
+      }
+
+      const revision = addTranscriptRevision(audio, {
+        text: transcript,
+        source: "manual",
+        authorId: user._id,
+        note: note || null,
+      });
+      await logEntry.save();
+
       res.json({
-        transcriptionStatus: audio.transcriptionStatus,
+        message: "Transcript updated successfully",
+        recordingId: audio._id,
         transcript: audio.transcript,
-        transcriptionError: audio.transcriptionError,
-        transcriptionTimestamp: audio.transcriptionTimestamp,
+        revision: formatRevision(revision, audio.transcriptRevision, false),
       });
     } catch (error) {
-      console.error("Get transcription error:", error);
+      console.error("Update transcript error:", error);
       res.status(500).json({
-        error: "Failed to get transcription",
-        code: "GET_TRANSCRIPTION_ERROR",
+        error: "Failed to update transcript",
+        code: "UPDATE_TRANSCRIPT_ERROR",
       });
     }
   }
 );
 
-// @route   DELETE /api/audio/:entryId/:audioIndex
-// @desc    Delete specific audio recording
+// @route   GET /api/audio/transcription/:entryId/:recordingId/revisions
+// @desc    Transcript revision history, newest first (?includeText=true
+//          for the full text of each)
 // @access  Private
-router.delete(
-  "/:entryId/:audioIndex",
+router.get(
+  "/transcription/:entryId/:recordingId/revisions",
   authenticateToken,
+  loadEntryRecording(),
   async (req, res) => {
     try {
-      const user = req.user;
-      const entryId = req.params.entryId;
-      const audioIndex = parseInt(req.params.audioIndex);
+      const audio = req.recording;
+      ensureBaselineRevision(audio);
+
+      const revisions = [...audio.transcriptRevisions]
+        .sort((a, b) => b.number - a.number)
+        .map((revision) =>
+          formatRevision(
+            revision,
+            audio.transcriptRevision,
+            req.query.includeText === "true"
+          )
+        );
 
-      const logEntry = await LogEntry.findOne({
-        _id: entryId,
-        userId: user._id,
+      res.json({
+        recordingId: audio._id,
+        currentRevision: audio.transcriptRevision,
+        revisions,
       });
+    } catch (error) {
+      console.error("Get transcript revisions error:", error);
+      res.status(500).json({
+        error: "Failed to get transcript revisions",
+        code: "GET_REVISIONS_ERROR",
+      });
+    }
+  }
+);
 
-      if (!logEntry) {
+// @route   GET /api/audio/transcription/:entryId/:recordingId/revisions/diff
+// @desc    Word diff between two revisions (?from=&to=; defaults to the
+//          current revision against the one before it)
+// @access  Private
+router.get(
+  "/transcription/:entryId/:recordingId/revisions/diff",
+  authenticateToken,
+  loadEntryRecording(),
+  async (req, res) => {
+    try {
+      const audio = req.recording;
+      ensureBaselineRevision(audio);
+
+      const toNumber = req.query.to
+        ? parseInt(req.query.to)
+        : audio.transcriptRevision;
+      const fromNumber = req.query.from
+        ? parseInt(req.query.from)
+        : toNumber - 1;
+
+      const to = findRevision(audio, toNumber);
+      const from = findRevision(audio, fromNumber);
+      if (!to || !from) {
         return res.status(404).json({
-          error: "Log entry not found",
-          code: "ENTRY_NOT_FOUND",
+          error: "Revision not found",
+          code: "REVISION_NOT_FOUND",
+          details: { from: fromNumber, to: toNumber },
         });
       }
 
-      if (!logEntry.audioRecordings || !logEntry.audioRecordings[audioIndex]) {
+      const diff = diffTranscripts(from.text, to.text);
+
+      res.json({
+        recordingId: audio._id,
+        from: formatRevision(from, audio.transcriptRevision, false),
+        to: formatRevision(to, audio.transcriptRevision, false),
+        ...diff,
+      });
+    } catch (error) {
+      console.error("Diff transcript revisions error:", error);
+      res.status(500).json({
+        error: "Failed to diff transcript revisions",
+        code: "DIFF_REVISIONS_ERROR",
+      });
+    }
+  }
+);
+
+// @route   POST /api/audio/transcription/:entryId/:recordingId/revisions/:revision/restore
+// @desc    Make an earlier revision (or an AI-improved proposal) the
+//          current transcript
+// @access  Private
+router.post(
+  "/transcription/:entryId/:recordingId/revisions/:revision/restore",
+  authenticateToken,
+  requireActiveSubscription,
+  loadEntryRecording(),
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const { logEntry, recording: audio } = req;
+      const number = parseInt(req.params.revision);
+
+      ensureBaselineRevision(audio);
+      if (number === audio.transcriptRevision) {
         return res.status(400).json({
-          error: "Audio recording not found",
-          code: "AUDIO_NOT_FOUND",
+          error: "Revision is already the current transcript",
+          code: "REVISION_ALREADY_CURRENT",
+        });
+      }
+
+      const revision = restoreTranscriptRevision(audio, number, user._id);
+      if (!revision) {
+        return res.status(404).json({
+          error: "Revision not found",
+          code: "REVISION_NOT_FOUND",
+        });
+      }
+      await logEntry.save();
+
+      res.json({
+        message: `Revision ${number} restored`,
+        recordingId: audio._id,
+        transcript: audio.transcript,
+        revision: formatRevision(revision, audio.transcriptRevision, false),
+      });
+    } catch (error) {
+      console.error("Restore transcript revision error:", error);
+      res.status(500).json({
+        error: "Failed to restore transcript revision",
+        code: "RESTORE_REVISION_ERROR",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/audio/:entryId/:recordingId
+// @desc    Delete specific audio recording
+// @access  Private
+router.delete(
+  "/:entryId/:recordingId",
+  authenticateToken,
+  loadEntryRecording(),
+  async (req, res) => {
+    try {
+      const { logEntry, recording } = req;
+
+      // Stop work on the recording before it goes
+      const activeJobs = await TranscriptionJob.find({
+        entryId: logEntry._id,
+        recordingId: recording._id,
+        status: { $in: TranscriptionJob.ACTIVE_JOB_STATUSES },
+      });
+      for (const job of activeJobs) {
+        await cancelTranscriptionJob(job).catch((error) => {
+          console.warn(`Failed to cancel job ${job._id}:`, error.message);
         });
       }
 
       // TODO: Delete audio file from storage
-      const audioUrl = logEntry.audioRecordings[audioIndex].url;
-      console.log(`TODO: Delete audio file: ${audioUrl}`);
+      console.log(`TODO: Delete audio file: ${recording.url}`);
 
-      // Remove from array
-      logEntry.audioRecordings.splice(audioIndex, 1);
-      await logEntry.save();
+      // Remove by id so a concurrent change to the array cannot shift it
+      await LogEntry.updateOne(
+        { _id: logEntry._id },
+        { $pull: { audioRecordings: { _id: recording._id } } }
+      );
 
       res.json({
         message: "Audio recording deleted successfully",
+        recordingId: recording._id,
+        cancelledJobs: activeJobs.length,
       });
     } catch (error) {
       console.error("Delete audio error:", error);
@@ -0,0 +1,79 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  EVENT_TYPES,
+  subscribeUserEvents,
+  getEventsSince,
+} = require("../utils/userEvents");
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// Client reconnect delay sent with the stream (milliseconds)
+const RECONNECT_DELAY = 5000;
+
+// EventSource cannot set headers, so browsers pass the token as
+// ?access_token=. Request logging only records the path.
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+const writeEvent = (res, event) => {
+  const data = { ...event.data, createdAt: event.createdAt };
+  // Events without an id leave the client's Last-Event-ID alone
+  if (event.id) res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+  // Push through the compression middleware's buffer
+  if (res.flush) res.flush();
+};
+
+// @route   GET /api/events
+// @desc    Server-Sent Events stream of the user's transcription, AI and
+//          export progress. Send Last-Event-ID (or ?lastEventId=) to
+//          receive events missed while disconnected.
+// @access  Private
+router.get("/", allowQueryToken, authenticateToken, (req, res) => {
+  const userId = req.user._id.toString();
+  const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+  writeEvent(res, {
+    type: "ready",
+    data: { eventTypes: EVENT_TYPES },
+    createdAt: new Date().toISOString(),
+  });
+
+  getEventsSince(userId, lastEventId).forEach((event) =>
+    writeEvent(res, event)
+  );
+
+  const unsubscribe = subscribeUserEvents(userId, (event) =>
+    writeEvent(res, event)
+  );
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+    if (res.flush) res.flush();
+  }, HEARTBEAT_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
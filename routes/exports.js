@@ -1,15 +1,86 @@
 const express = require("express");
+const fs = require("fs");
+const mongoose = require("mongoose");
 const {
   authenticateToken,
   requireActiveSubscription,
 } = require("../middleware/auth");
+const { validateObjectIdParam } = require("../middleware/validation");
+const Export = require("../models/Export");
 const LogEntry = require("../models/LogEntry");
-const LogType = require("../models/LogType");
-const PDFDocument = require("pdfkit");
-const ExcelJS = require("exceljs");
+const {
+  EXPORT_FORMATS,
+  normalizeExportFormat,
+  resolveExportOptions,
+  buildExportQuery,
+  findExportEntries,
+  buildExportFilename,
+  renderExport,
+} = require("../utils/exportRenderers");
+const { enqueueExport, removeExportFile } = require("../jobs/exportProcessor");
 
 const router = express.Router();
 
+// Shape returned to the frontend for an export job
+const formatExport = (exportDoc) => ({
+  id: exportDoc._id,
+  type: exportDoc.format,
+  name: exportDoc.name,
+  status: exportDoc.status,
+  entries: exportDoc.entryCount,
+  fileSize: exportDoc.fileSize,
+  error: exportDoc.error,
+  createdAt: exportDoc.createdAt,
+  completedAt: exportDoc.completedAt,
+  expiresAt: exportDoc.expiresAt,
+  downloadUrl: exportDoc.isDownloadable
+    ? `/api/exports/${exportDoc._id}/download`
+    : null,
+});
+
+// Check an export's format and entry filters (dateFrom, dateTo, logType).
+// Returns the 400 response body, or null when the request is valid.
+const checkExportRequest = (format, { dateFrom, dateTo, logType } = {}) => {
+  if (!format) {
+    return {
+      error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(
+        ", "
+      )}`,
+      code: "INVALID_EXPORT_FORMAT",
+    };
+  }
+
+  if (logType && !mongoose.Types.ObjectId.isValid(logType)) {
+    return {
+      error: "Log type must be a valid ObjectId",
+      code: "INVALID_LOG_TYPE",
+    };
+  }
+
+  const invalidDate = Object.entries({ dateFrom, dateTo }).find(
+    ([, value]) => value && Number.isNaN(new Date(value).getTime())
+  );
+  if (invalidDate) {
+    return {
+      error: `${invalidDate[0]} must be a valid date`,
+      code: "INVALID_DATE",
+    };
+  }
+
+  return null;
+};
+
+// Reject exports for clients that have them switched off
+const requireExportsEnabled = (req, res, next) => {
+  if (req.user.clientId?.settings?.allowExports === false) {
+    return res.status(403).json({
+      error: "Exports are disabled for your organisation",
+      code: "EXPORTS_DISABLED",
+    });
+  }
+  next();
+};
+
 // @route   POST /api/exports/:id/retry
 // @desc    Retry failed export
 // @access  Private
@@ -17,19 +88,43 @@ router.post(
   "/:id/retry",
   authenticateToken,
   requireActiveSubscription,
+  requireExportsEnabled,
+  validateObjectIdParam("id"),
   async (req, res) => {
     try {
-      // In production, you'd requeue the job
+      const exportDoc = await Export.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
+
+      if (!exportDoc) {
+        return res.status(404).json({
+          error: "Export not found",
+          code: "EXPORT_NOT_FOUND",
+        });
+      }
+
+      if (!["failed", "expired"].includes(exportDoc.status)) {
+        return res.status(400).json({
+          error: `Cannot retry an export that is ${exportDoc.status}`,
+          code: "EXPORT_NOT_RETRYABLE",
+        });
+      }
+
+      exportDoc.status = "queued";
+      exportDoc.attempts = 0;
+      exportDoc.error = null;
+      exportDoc.filePath = null;
+      exportDoc.fileSize = null;
+      exportDoc.completedAt = null;
+      exportDoc.expiresAt = null;
+      await exportDoc.save();
+
+      await enqueueExport(exportDoc._id);
+
       res.json({
         message: "Export retry initiated",
-        export: {
-          id: req.params.id,
-          type: "pdf",
-          name: `Export - ${new Date().toISOString().split("T")[0]}`,
-          status: "processing",
-          entries: 0,
-          createdAt: new Date().toISOString(),
-        },
+        export: formatExport(exportDoc),
       });
     } catch (error) {
       console.error("Retry export error:", error);
@@ -48,41 +143,43 @@ router.post(
   "/",
   authenticateToken,
   requireActiveSubscription,
+  requireExportsEnabled,
   async (req, res) => {
     try {
       const user = req.user;
-      const { format, dateFrom, dateTo, logType, status } = req.body;
+      const { dateFrom, dateTo, logType, status, name, options } = req.body;
+      const format = normalizeExportFormat(req.body.format);
 
-      // Build query
-      let query = { userId: user._id };
+      const requestError = checkExportRequest(format, req.body);
+      if (requestError) return res.status(400).json(requestError);
 
-      if (dateFrom || dateTo) {
-        query.createdAt = {};
-        if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-        if (dateTo) query.createdAt.$lte = new Date(dateTo);
-      }
+      const filters = {
+        dateFrom: dateFrom || null,
+        dateTo: dateTo || null,
+        logType: logType || null,
+        status: status || null,
+      };
+
+      const entryCount = await LogEntry.countDocuments(
+        buildExportQuery(user._id, filters)
+      );
 
-      if (logType) query.logTypeId = logType;
-      if (status) query.status = status;
+      const exportDoc = new Export({
+        userId: user._id,
+        clientId: user.clientId._id,
+        format,
+        name: name || `Export - ${new Date().toISOString().split("T")[0]}`,
+        filters,
+        options: resolveExportOptions(options || {}, user, format),
+        entryCount,
+      });
+      await exportDoc.save();
 
-      const entries = await LogEntry.find(query)
-        .populate("logTypeId", "name category")
-        .sort("-createdAt");
+      await enqueueExport(exportDoc._id);
 
-      // For now, return job info
-      // In production, you'd create a background job
       res.status(201).json({
         message: "Export job created",
-        export: {
-          id: Date.now().toString(),
-          type: format,
-          name: `Export - ${new Date().toISOString().split("T")[0]}`,
-          status: "completed",
-          entries: entries.length,
-          createdAt: new Date().toISOString(),
-          completedAt: new Date().toISOString(),
-          downloadUrl: `/api/exports/${Date.now()}/download`,
-        },
+        export: formatExport(exportDoc),
       });
     } catch (error) {
       console.error("Create export error:", error);
@@ -99,10 +196,28 @@ router.post(
 // @access  Private
 router.get("/", authenticateToken, async (req, res) => {
   try {
-    // Mock export history
-    // In production, you'd store these in the database
+    const { page = 1, limit = 20, status } = req.query;
+
+    let query = { userId: req.user._id };
+    if (status) query.status = status;
+
+    const result = await Export.paginate(query, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit) || 20, 100),
+      sort: "-createdAt",
+      select: "-__v",
+    });
+
     res.json({
-      exports: [],
+      exports: result.docs.map(formatExport),
+      pagination: {
+        page: result.page,
+        pages: result.totalPages,
+        total: result.totalDocs,
+        limit: result.limit,
+        hasNext: result.hasNextPage,
+        hasPrev: result.hasPrevPage,
+      },
     });
   } catch (error) {
     console.error("Get exports error:", error);
@@ -113,71 +228,51 @@ router.get("/", authenticateToken, async (req, res) => {
   }
 });
 
-// @route   GET /api/exports/csv
-// @desc    Export log entries as CSV
-// @access  Private
-router.get(
-  "/csv",
+// Stream an export straight into the response (small, immediate exports)
+const sendDirectExport = (format, errorCode, errorMessage) => [
   authenticateToken,
   requireActiveSubscription,
+  requireExportsEnabled,
   async (req, res) => {
     try {
       const user = req.user;
-      const { dateFrom, dateTo, logType, status } = req.query;
+      const requestError = checkExportRequest(format, req.query);
+      if (requestError) return res.status(400).json(requestError);
 
-      let query = { userId: user._id };
+      const entries = await findExportEntries(user._id, req.query);
 
-      if (dateFrom || dateTo) {
-        query.createdAt = {};
-        if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-        if (dateTo) query.createdAt.$lte = new Date(dateTo);
-      }
-
-      if (logType) query.logTypeId = logType;
-      if (status) query.status = status;
-
-      const entries = await LogEntry.find(query)
-        .populate("logTypeId", "name category")
-        .sort("-createdAt");
-
-      const csvRows = [
-        "Title,Log Type,Category,Status,Date,Notes,Tags,Audio,Transcript",
-      ];
-
-      entries.forEach((entry) => {
-        const row = [
-          `"${entry.title.replace(/"/g, '""')}"`,
-          `"${entry.logTypeId?.name || "Unknown"}"`,
-          `"${entry.logTypeId?.category || "Unknown"}"`,
-          entry.status,
-          entry.createdAt.toISOString().split("T")[0],
-          `"${(entry.notes || "").replace(/"/g, '""')}"`,
-          `"${entry.tags.join(", ")}"`,
-          entry.audioUrl ? "Yes" : "No",
-          entry.transcript ? "Yes" : "No",
-        ];
-        csvRows.push(row.join(","));
-      });
-
-      const csvContent = csvRows.join("\n");
-      const filename = `froglog-export-${
-        new Date().toISOString().split("T")[0]
-      }.csv`;
-
-      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Type", EXPORT_FORMATS[format].mimeType);
       res.setHeader(
         "Content-Disposition",
-        `attachment; filename="${filename}"`
+        `attachment; filename="${buildExportFilename(format)}"`
       );
-      res.send(csvContent);
+
+      await renderExport(format, entries, res, {
+        user,
+        options: resolveExportOptions(req.query, user, format),
+      });
     } catch (error) {
-      console.error("CSV export error:", error);
+      console.error(`${format.toUpperCase()} export error:`, error);
+      if (res.headersSent) {
+        return res.end();
+      }
       res.status(500).json({
-        error: "Failed to export CSV",
-        code: "CSV_EXPORT_ERROR",
+        error: errorMessage,
+        code: errorCode,
       });
     }
-  }
+  },
+];
+
+// Direct exports accept includeTranscripts, includeReflections and
+// includeChatHistory as query string flags
+
+// @route   GET /api/exports/csv
+// @desc    Export log entries as CSV
+// @access  Private
+router.get(
+  "/csv",
+  ...sendDirectExport("csv", "CSV_EXPORT_ERROR", "Failed to export CSV")
 );
 
 // @route   GET /api/exports/excel
@@ -185,231 +280,159 @@ router.get(
 // @access  Private
 router.get(
   "/excel",
+  ...sendDirectExport("excel", "EXCEL_EXPORT_ERROR", "Failed to export Excel")
+);
+
+// @route   GET /api/exports/pdf
+// @desc    Export log entries as PDF
+// @access  Private
+router.get(
+  "/pdf",
+  ...sendDirectExport("pdf", "PDF_EXPORT_ERROR", "Failed to export PDF")
+);
+
+// @route   GET /api/exports/json
+// @desc    Export log entries as lossless JSON
+// @access  Private
+router.get(
+  "/json",
+  ...sendDirectExport("json", "JSON_EXPORT_ERROR", "Failed to export JSON")
+);
+
+// @route   GET /api/exports/ndjson
+// @desc    Export log entries as newline-delimited JSON
+// @access  Private
+router.get(
+  "/ndjson",
+  ...sendDirectExport("ndjson", "NDJSON_EXPORT_ERROR", "Failed to export NDJSON")
+);
+
+// @route   GET /api/exports/:id
+// @desc    Get export status
+// @access  Private
+router.get(
+  "/:id",
   authenticateToken,
-  requireActiveSubscription,
+  validateObjectIdParam("id"),
   async (req, res) => {
     try {
-      const user = req.user;
-      const { dateFrom, dateTo, logType, status } = req.query;
-
-      let query = { userId: user._id };
+      const exportDoc = await Export.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
 
-      if (dateFrom || dateTo) {
-        query.createdAt = {};
-        if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-        if (dateTo) query.createdAt.$lte = new Date(dateTo);
+      if (!exportDoc) {
+        return res.status(404).json({
+          error: "Export not found",
+          code: "EXPORT_NOT_FOUND",
+        });
       }
 
-      if (logType) query.logTypeId = logType;
-      if (status) query.status = status;
-
-      const entries = await LogEntry.find(query)
-        .populate("logTypeId", "name category")
-        .sort("-createdAt");
-
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet("Log Entries");
-
-      // Define columns
-      worksheet.columns = [
-        { header: "Title", key: "title", width: 30 },
-        { header: "Log Type", key: "logType", width: 20 },
-        { header: "Category", key: "category", width: 15 },
-        { header: "Status", key: "status", width: 12 },
-        { header: "Date", key: "date", width: 12 },
-        { header: "Notes", key: "notes", width: 40 },
-        { header: "Tags", key: "tags", width: 20 },
-        { header: "Has Audio", key: "hasAudio", width: 10 },
-        { header: "Has Transcript", key: "hasTranscript", width: 15 },
-      ];
-
-      // Add rows
-      entries.forEach((entry) => {
-        worksheet.addRow({
-          title: entry.title,
-          logType: entry.logTypeId?.name || "Unknown",
-          category: entry.logTypeId?.category || "Unknown",
-          status: entry.status,
-          date: entry.createdAt.toISOString().split("T")[0],
-          notes: entry.notes || "",
-          tags: entry.tags.join(", "),
-          hasAudio: entry.audioUrl ? "Yes" : "No",
-          hasTranscript: entry.transcript ? "Yes" : "No",
-        });
+      res.json({ export: formatExport(exportDoc) });
+    } catch (error) {
+      console.error("Get export error:", error);
+      res.status(500).json({
+        error: "Failed to get export",
+        code: "GET_EXPORT_ERROR",
       });
+    }
+  }
+);
 
-      // Style header row
-      worksheet.getRow(1).font = { bold: true };
-      worksheet.getRow(1).fill = {
-        type: "pattern",
-        pattern: "solid",
-        fgColor: { argb: "FFE0E0E0" },
-      };
+// @route   DELETE /api/exports/:id
+// @desc    Delete export
+// @access  Private
+router.delete(
+  "/:id",
+  authenticateToken,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const exportDoc = await Export.findOneAndDelete({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
 
-      const filename = `froglog-export-${
-        new Date().toISOString().split("T")[0]
-      }.xlsx`;
+      if (!exportDoc) {
+        return res.status(404).json({
+          error: "Export not found",
+          code: "EXPORT_NOT_FOUND",
+        });
+      }
 
-      res.setHeader(
-        "Content-Type",
-        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-      );
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${filename}"`
-      );
+      await removeExportFile(exportDoc.filePath);
 
-      await workbook.xlsx.write(res);
-      res.end();
+      res.json({
+        message: "Export deleted successfully",
+      });
     } catch (error) {
-      console.error("Excel export error:", error);
+      console.error("Delete export error:", error);
       res.status(500).json({
-        error: "Failed to export Excel",
-        code: "EXCEL_EXPORT_ERROR",
+        error: "Failed to delete export",
+        code: "DELETE_EXPORT_ERROR",
       });
     }
   }
 );
 
-// @route   GET /api/exports/pdf
-// @desc    Export log entries as PDF
+// @route   GET /api/exports/:id/download
+// @desc    Download export file
 // @access  Private
 router.get(
-  "/pdf",
+  "/:id/download",
   authenticateToken,
-  requireActiveSubscription,
+  validateObjectIdParam("id"),
   async (req, res) => {
     try {
-      const user = req.user;
-      const { dateFrom, dateTo, logType, status } = req.query;
-
-      let query = { userId: user._id };
+      const exportDoc = await Export.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
 
-      if (dateFrom || dateTo) {
-        query.createdAt = {};
-        if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-        if (dateTo) query.createdAt.$lte = new Date(dateTo);
+      if (!exportDoc) {
+        return res.status(404).json({
+          error: "Export not found",
+          code: "EXPORT_NOT_FOUND",
+        });
       }
 
-      if (logType) query.logTypeId = logType;
-      if (status) query.status = status;
-
-      const entries = await LogEntry.find(query)
-        .populate("logTypeId", "name category")
-        .sort("-createdAt");
-
-      const doc = new PDFDocument({ margin: 50 });
-      const filename = `froglog-export-${
-        new Date().toISOString().split("T")[0]
-      }.pdf`;
-
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${filename}"`
-      );
+      if (
+        exportDoc.status === "expired" ||
+        (exportDoc.expiresAt && exportDoc.expiresAt <= new Date())
+      ) {
+        return res.status(410).json({
+          error: "Export has expired",
+          code: "EXPORT_EXPIRED",
+        });
+      }
 
-      doc.pipe(res);
+      if (exportDoc.status !== "completed") {
+        return res.status(409).json({
+          error: `Export is ${exportDoc.status}`,
+          code: "EXPORT_NOT_READY",
+          status: exportDoc.status,
+        });
+      }
 
-      // Title
-      doc.fontSize(20).text("FrogLog Medical Portfolio", { align: "center" });
-      doc.moveDown();
-      doc.fontSize(12).text(`Generated: ${new Date().toLocaleDateString()}`, {
-        align: "center",
-      });
-      doc.fontSize(12).text(`User: ${user.name}`, { align: "center" });
-      doc.moveDown(2);
-
-      // Entries
-      entries.forEach((entry, index) => {
-        if (index > 0) doc.addPage();
-
-        doc.fontSize(16).text(entry.title, { underline: true });
-        doc.moveDown(0.5);
-
-        doc
-          .fontSize(10)
-          .text(`Log Type: ${entry.logTypeId?.name || "Unknown"}`, {
-            continued: true,
-          });
-        doc.text(`  |  Status: ${entry.status}`, { continued: true });
-        doc.text(`  |  Date: ${entry.createdAt.toLocaleDateString()}`);
-        doc.moveDown();
-
-        if (entry.notes) {
-          doc.fontSize(12).text("Notes:", { underline: true });
-          doc.fontSize(10).text(entry.notes, { align: "justify" });
-          doc.moveDown();
-        }
-
-        if (entry.tags.length > 0) {
-          doc.fontSize(10).text(`Tags: ${entry.tags.join(", ")}`);
-          doc.moveDown();
-        }
-
-        if (entry.participants.length > 0) {
-          doc.fontSize(12).text("Participants:", { underline: true });
-          entry.participants.forEach((p) => {
-            doc.fontSize(10).text(`  • ${p.name} - ${p.role}`);
-          });
-          doc.moveDown();
-        }
-
-        if (entry.audioUrl) {
-          doc.fontSize(10).text("✓ Audio recording available");
-        }
-
-        if (entry.transcript) {
-          doc.fontSize(10).text("✓ Transcript available");
-        }
-      });
+      try {
+        await fs.promises.access(exportDoc.filePath);
+      } catch {
+        return res.status(404).json({
+          error: "Export file not found on server",
+          code: "FILE_NOT_FOUND",
+        });
+      }
 
-      doc.end();
+      res.setHeader("Content-Type", exportDoc.mimeType);
+      res.download(exportDoc.filePath, exportDoc.filename);
     } catch (error) {
-      console.error("PDF export error:", error);
+      console.error("Download export error:", error);
       res.status(500).json({
-        error: "Failed to export PDF",
-        code: "PDF_EXPORT_ERROR",
+        error: "Failed to download export",
+        code: "DOWNLOAD_EXPORT_ERROR",
       });
     }
   }
 );
 
-// @route   DELETE /api/exports/:id
-// @desc    Delete export
-// @access  Private
-router.delete("/:id", authenticateToken, async (req, res) => {
-  try {
-    // In production, you'd delete from database and storage
-    res.json({
-      message: "Export deleted successfully",
-    });
-  } catch (error) {
-    console.error("Delete export error:", error);
-    res.status(500).json({
-      error: "Failed to delete export",
-      code: "DELETE_EXPORT_ERROR",
-    });
-  }
-});
-
-// @route   GET /api/exports/:id/download
-// @desc    Download export file
-// @access  Private
-router.get("/:id/download", authenticateToken, async (req, res) => {
-  try {
-    // In production, you'd fetch from storage
-    res.status(404).json({
-      error: "Export not found",
-      code: "EXPORT_NOT_FOUND",
-    });
-  } catch (error) {
-    console.error("Download export error:", error);
-    res.status(500).json({
-      error: "Failed to download export",
-      code: "DOWNLOAD_EXPORT_ERROR",
-    });
-  }
-});
-
 module.exports = router;
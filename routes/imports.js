@@ -0,0 +1,382 @@
+//routes/imports.js
+
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  authenticateToken,
+  requireActiveSubscription,
+} = require("../middleware/auth");
+const { validateObjectIdParam } = require("../middleware/validation");
+const { uploadImportFile, handleUploadError } = require("../middleware/upload");
+const Import = require("../models/Import");
+const LogType = require("../models/LogType");
+const { parseInterchangeFile } = require("../utils/entryInterchange");
+const { importEntryRecords } = require("../utils/entryImporter");
+const {
+  MAX_SPREADSHEET_ROWS,
+  getSpreadsheetFormat,
+  readSpreadsheet,
+  getMappingTargets,
+  buildDefaultMapping,
+  validateMapping,
+  importSpreadsheetRows,
+  buildErrorReportCsv,
+} = require("../utils/spreadsheetImporter");
+
+const router = express.Router();
+
+const parseBoolean = (value) =>
+  value === true || value === 1 || value === "true" || value === "1";
+
+// Multipart fields arrive as strings; accept JSON objects either way
+const parseJSONField = (value, fallback) => {
+  if (!value) return fallback;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+// Shape returned to the frontend for an import
+const formatImport = (importDoc, { includeErrors = true } = {}) => ({
+  id: importDoc._id,
+  source: importDoc.source,
+  filename: importDoc.filename,
+  dryRun: importDoc.dryRun,
+  status: importDoc.status,
+  totals: importDoc.totals,
+  logTypeId: importDoc.logTypeId,
+  logTypeMap: importDoc.logTypeMap,
+  columnMapping: importDoc.columnMapping,
+  createdAt: importDoc.createdAt,
+  errorReportUrl:
+    importDoc.totals.failed > 0 || importDoc.totals.skipped > 0
+      ? `/api/imports/${importDoc._id}/errors`
+      : null,
+  ...(includeErrors && { errors: importDoc.rowErrors }),
+});
+
+// @route   POST /api/imports/entries
+// @desc    Import log entries from a JSON or NDJSON export
+// @access  Private
+router.post(
+  "/entries",
+  authenticateToken,
+  requireActiveSubscription,
+  uploadImportFile,
+  handleUploadError,
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const file = req.file;
+
+      if (!file) {
+        return res.status(400).json({
+          error: "No import file provided",
+          code: "NO_IMPORT_FILE",
+        });
+      }
+
+      if (getSpreadsheetFormat(file.originalname)) {
+        return res.status(400).json({
+          error: "Use /api/imports/spreadsheet for CSV or Excel files",
+          code: "INVALID_IMPORT_FILE",
+        });
+      }
+
+      const logTypeMap = parseJSONField(req.body.logTypeMap, {});
+      if (logTypeMap === undefined || Array.isArray(logTypeMap)) {
+        return res.status(400).json({
+          error: "logTypeMap must be an object of source id or name to log type id",
+          code: "INVALID_LOG_TYPE_MAP",
+        });
+      }
+
+      let parsed;
+      try {
+        parsed = parseInterchangeFile(file.buffer);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: parseError.message,
+          code: "INVALID_IMPORT_FILE",
+        });
+      }
+
+      if (parsed.records.length === 0) {
+        return res.status(400).json({
+          error: "Import file contains no entries",
+          code: "EMPTY_IMPORT_FILE",
+        });
+      }
+
+      const importDoc = await importEntryRecords(parsed.records, {
+        user,
+        source: parsed.format,
+        filename: file.originalname,
+        parseErrors: parsed.errors,
+        logTypeMap,
+        createMissingLogTypes: parseBoolean(req.body.createMissingLogTypes),
+        dryRun: parseBoolean(req.body.dryRun),
+      });
+
+      res.status(importDoc.dryRun ? 200 : 201).json({
+        message: importDoc.dryRun
+          ? "Import preview completed"
+          : "Import completed",
+        import: formatImport(importDoc),
+      });
+    } catch (error) {
+      console.error("Import entries error:", error);
+      res.status(500).json({
+        error: "Failed to import entries",
+        code: "IMPORT_ENTRIES_ERROR",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/imports/spreadsheet
+// @desc    Import log entries from a CSV or Excel file with column mapping
+// @access  Private
+router.post(
+  "/spreadsheet",
+  authenticateToken,
+  requireActiveSubscription,
+  uploadImportFile,
+  handleUploadError,
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const file = req.file;
+
+      if (!file) {
+        return res.status(400).json({
+          error: "No import file provided",
+          code: "NO_IMPORT_FILE",
+        });
+      }
+
+      const format = getSpreadsheetFormat(file.originalname);
+      if (!format) {
+        return res.status(400).json({
+          error: "Spreadsheet imports accept .csv or .xlsx files",
+          code: "INVALID_IMPORT_FILE",
+        });
+      }
+
+      const { logTypeId } = req.body;
+      if (!logTypeId || !mongoose.Types.ObjectId.isValid(logTypeId)) {
+        return res.status(400).json({
+          error: "A valid logTypeId is required",
+          code: "INVALID_LOG_TYPE_ID",
+        });
+      }
+
+      const logType = await LogType.findOne({
+        _id: logTypeId,
+        clientId: user.clientId._id,
+        isActive: true,
+      });
+
+      if (!logType) {
+        return res.status(404).json({
+          error: "Log type not found",
+          code: "LOG_TYPE_NOT_FOUND",
+        });
+      }
+
+      let spreadsheet;
+      try {
+        spreadsheet = await readSpreadsheet(file.buffer, format);
+      } catch (readError) {
+        return res.status(400).json({
+          error: "Could not read spreadsheet",
+          code: "INVALID_IMPORT_FILE",
+          details: readError.message,
+        });
+      }
+
+      if (spreadsheet.rows.length === 0) {
+        return res.status(400).json({
+          error: "Spreadsheet contains no rows",
+          code: "EMPTY_IMPORT_FILE",
+        });
+      }
+
+      if (spreadsheet.rows.length > MAX_SPREADSHEET_ROWS) {
+        return res.status(400).json({
+          error: `Spreadsheets are limited to ${MAX_SPREADSHEET_ROWS} rows per import`,
+          code: "TOO_MANY_ROWS",
+        });
+      }
+
+      const columns = {
+        headers: spreadsheet.headers,
+        targets: getMappingTargets(logType),
+      };
+
+      const requestedMapping = parseJSONField(req.body.mapping, null);
+      if (requestedMapping === undefined || Array.isArray(requestedMapping)) {
+        return res.status(400).json({
+          error: "mapping must be an object of column header to field",
+          code: "INVALID_COLUMN_MAPPING",
+        });
+      }
+
+      const mapping =
+        requestedMapping || buildDefaultMapping(spreadsheet.headers, logType);
+      const problems = validateMapping(mapping, spreadsheet.headers, logType);
+
+      if (problems.length > 0) {
+        return res.status(400).json({
+          error: "Invalid column mapping",
+          code: "INVALID_COLUMN_MAPPING",
+          details: problems,
+          columns: { ...columns, mapping },
+        });
+      }
+
+      const { importDoc, preview } = await importSpreadsheetRows(spreadsheet, {
+        user,
+        logType,
+        mapping,
+        source: format,
+        filename: file.originalname,
+        dryRun: parseBoolean(req.body.dryRun),
+      });
+
+      res.status(importDoc.dryRun ? 200 : 201).json({
+        message: importDoc.dryRun
+          ? "Import preview completed"
+          : "Import completed",
+        import: formatImport(importDoc),
+        columns: { ...columns, mapping },
+        ...(importDoc.dryRun && { preview }),
+      });
+    } catch (error) {
+      console.error("Import spreadsheet error:", error);
+      res.status(500).json({
+        error: "Failed to import spreadsheet",
+        code: "IMPORT_SPREADSHEET_ERROR",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/imports
+// @desc    Get import history
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await Import.paginate(
+      { userId: req.user._id },
+      {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 100),
+        sort: "-createdAt",
+        select: "-__v -rowErrors -createdEntryIds",
+      }
+    );
+
+    res.json({
+      imports: result.docs.map((doc) =>
+        formatImport(doc, { includeErrors: false })
+      ),
+      pagination: {
+        page: result.page,
+        pages: result.totalPages,
+        total: result.totalDocs,
+        limit: result.limit,
+        hasNext: result.hasNextPage,
+        hasPrev: result.hasPrevPage,
+      },
+    });
+  } catch (error) {
+    console.error("Get imports error:", error);
+    res.status(500).json({
+      error: "Failed to get imports",
+      code: "GET_IMPORTS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/imports/:id
+// @desc    Get import result with row-level errors
+// @access  Private
+router.get(
+  "/:id",
+  authenticateToken,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const importDoc = await Import.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
+
+      if (!importDoc) {
+        return res.status(404).json({
+          error: "Import not found",
+          code: "IMPORT_NOT_FOUND",
+        });
+      }
+
+      res.json({ import: formatImport(importDoc) });
+    } catch (error) {
+      console.error("Get import error:", error);
+      res.status(500).json({
+        error: "Failed to get import",
+        code: "GET_IMPORT_ERROR",
+      });
+    }
+  }
+);
+
+// @route   GET /api/imports/:id/errors
+// @desc    Download an import's row errors as CSV
+// @access  Private
+router.get(
+  "/:id/errors",
+  authenticateToken,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const importDoc = await Import.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
+
+      if (!importDoc) {
+        return res.status(404).json({
+          error: "Import not found",
+          code: "IMPORT_NOT_FOUND",
+        });
+      }
+
+      const basename = (importDoc.filename || "import").replace(
+        /\.[^.]+$/,
+        ""
+      );
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${basename.replace(/[^\w.-]/g, "_")}-errors.csv"`
+      );
+      res.send(buildErrorReportCsv(importDoc));
+    } catch (error) {
+      console.error("Get import errors error:", error);
+      res.status(500).json({
+        error: "Failed to get import error report",
+        code: "GET_IMPORT_ERRORS_ERROR",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -18,9 +18,67 @@ const {
   validateSearchQuery,
 } = require("../middleware/validation");
 const { uploadAudio, handleUploadError } = require("../middleware/upload");
+const {
+  validateEntryData,
+  collectReferenceIds,
+} = require("../utils/logTypeFields");
+const {
+  probeUpload,
+  recordingAudioFields,
+} = require("../utils/audioProcessing");
+const { enqueueTranscription } = require("../jobs/transcriptionProcessor");
+const { parseLanguageOverride } = require("../utils/transcriptionLanguage");
 
 const router = express.Router();
 
+// Check entry data against its log type's field definitions. Drafts may be
+// saved with required fields still empty.
+const checkEntryData = (logType, data, status, options = {}) =>
+  validateEntryData(logType, data, {
+    ...options,
+    enforceRequired: status !== "draft",
+  });
+
+// Reference fields must link to the user's own entries, of the configured
+// log type when the field restricts it
+const checkEntryReferences = async (logType, data, userId) => {
+  const references = collectReferenceIds(logType, data);
+  if (references.length === 0) return [];
+
+  const linked = await LogEntry.find({
+    _id: { $in: references.map(({ id }) => id) },
+    userId,
+  })
+    .select("logTypeId")
+    .lean();
+  const linkedTypes = new Map(
+    linked.map((entry) => [entry._id.toString(), entry.logTypeId.toString()])
+  );
+
+  return references
+    .filter(({ field, id }) => {
+      if (!linkedTypes.has(id)) return true;
+      return (
+        field.referenceLogTypeId &&
+        field.referenceLogTypeId.toString() !== linkedTypes.get(id)
+      );
+    })
+    .map(({ field }) => ({
+      field: field.fieldName,
+      code: "REFERENCE_NOT_FOUND",
+      message: field.referenceLogTypeId
+        ? `${field.label} must link to one of your entries of the required log type`
+        : `${field.label} must link to one of your entries`,
+    }));
+};
+
+const sendEntryDataErrors = (res, errors) =>
+  res.status(400).json({
+    error: "Entry data does not match the log type fields",
+    code: "INVALID_ENTRY_DATA",
+    details: errors,
+  });
+
 // Create uploads directory
 const UPLOADS_DIR = path.join(__dirname, "../uploads/audio");
 fs.mkdir(UPLOADS_DIR, { recursive: true }).catch(console.error);
@@ -203,13 +261,23 @@ router.post(
       }
 
       const { title, logTypeId, notes, status } = req.body;
+
+      const languageOverride = parseLanguageOverride(req.body);
+      if (languageOverride.error) {
+        return res.status(400).json({
+          error: languageOverride.error,
+          code: "INVALID_LANGUAGE_CODE",
+        });
+      }
+
       const audioFile = req.file;
 
       // Verify log type exists (skip for demo mode)
       const isDemoUser = user._id === "507f1f77bcf86cd799439011";
+      let logType = null;
 
       if (!isDemoUser) {
-        const logType = await LogType.findOne({
+        logType = await LogType.findOne({
           _id: logTypeId,
           clientId: user.clientId._id,
           isActive: true,
@@ -221,6 +289,17 @@ router.post(
             code: "LOG_TYPE_NOT_FOUND",
           });
         }
+
+        const validation = checkEntryData(logType, data, status || "draft", {
+          applyDefaults: true,
+        });
+        const errors = validation.errors.length
+          ? validation.errors
+          : await checkEntryReferences(logType, validation.data, user._id);
+        if (errors.length > 0) {
+          return sendEntryDataErrors(res, errors);
+        }
+        data = validation.data;
       }
 
       // Create log entry data
@@ -228,6 +307,7 @@ router.post(
         userId: user._id,
         clientId: user.clientId._id,
         logTypeId,
+        logTypeVersion: logType ? logType.schemaVersion : null,
         title,
         data,
         notes: notes || "",
@@ -252,12 +332,27 @@ router.post(
         const audioPath = path.join(audioDir, filename);
         await fs.writeFile(audioPath, audioFile.buffer);
 
+        // Read the real format and duration from the file
+        let audioInfo;
+        try {
+          audioInfo = await probeUpload(audioPath);
+        } catch (probeError) {
+          await fs.unlink(audioPath).catch(() => {});
+          return res.status(400).json({
+            error: "Audio file could not be read",
+            code: "INVALID_AUDIO_FILE",
+            details: probeError.message,
+          });
+        }
+
         // Create audio recording object
         const audioRecording = {
           url: `/uploads/audio/${filename}`,
           filename: audioFile.originalname,
           size: audioFile.size,
-          transcriptionStatus: "processing",
+          ...recordingAudioFields(audioInfo),
+          languageCode: languageOverride.languageCode || null,
+          transcriptionStatus: "pending",
           uploadedAt: new Date()
         };
 
@@ -268,33 +363,25 @@ router.post(
       const logEntry = new LogEntry(entryData);
       await logEntry.save();
 
-      // Queue transcription job if audio was uploaded
+      // Queue transcription of the uploaded recording
+      let transcriptionJob = null;
       if (audioFile && logEntry.audioRecordings && logEntry.audioRecordings.length > 0) {
-        const { transcriptionQueue, redisAvailable } = require("../config/queue");
-        const audioUrl = logEntry.audioRecordings[0].url;
-
-        if (redisAvailable && transcriptionQueue) {
-          // Use background job queue if Redis is available
-          try {
-            const { defaultJobOptions } = require("../config/queue");
-            await transcriptionQueue.add(
-              {
-                entryId: logEntry._id.toString(),
-                audioUrl: audioUrl, // Pass the URL explicitly
-                recordingIndex: 0 // Pass index to identify which recording
-              },
-              defaultJobOptions
-            );
-            console.log(`Queued transcription job for entry ${logEntry._id}`);
-          } catch (queueError) {
-            console.warn('Failed to queue job, falling back to sync:', queueError.message);
-            // Fall back to synchronous transcription
-            await transcribeSynchronously(logEntry);
-          }
-        } else {
-          // Fall back to synchronous transcription if Redis not available
-          console.log(`Transcribing synchronously for entry ${logEntry._id} (Redis not available)`);
-          await transcribeSynchronously(logEntry);
+        try {
+          transcriptionJob = await enqueueTranscription(
+            logEntry,
+            logEntry.audioRecordings[0],
+            {
+              userId: user._id,
+              source: "entry_create",
+              options: { detectLanguage: languageOverride.detectLanguage },
+            }
+          );
+        } catch (queueError) {
+          // The entry is saved; the recording can be transcribed later
+          console.error(
+            `Failed to queue transcription for entry ${logEntry._id}:`,
+            queueError.message
+          );
         }
       }
 
@@ -306,6 +393,7 @@ router.post(
       res.status(201).json({
         message: "Log entry created successfully",
         entry: logEntry,
+        transcriptionJobId: transcriptionJob ? transcriptionJob._id : null,
       });
     } catch (error) {
       console.error("Create log entry error:", error);
@@ -318,49 +406,6 @@ router.post(
   }
 );
 
-// Helper function for synchronous transcription
-// Helper function for synchronous transcription
-async function transcribeSynchronously(logEntry) {
-  try {
-    const { transcribeAudio } = require("../config/googleCloud");
-    const fs = require("fs").promises;
-    const path = require("path");
-
-    // Check if we have recordings
-    if (!logEntry.audioRecordings || logEntry.audioRecordings.length === 0) {
-      console.warn(`No audio recordings found for entry ${logEntry._id}`);
-      return;
-    }
-
-    // Process the first recording (or loop if needed, but for now just first)
-    const recording = logEntry.audioRecordings[0];
-    const audioPath = path.join(__dirname, "..", recording.url);
-    const audioBuffer = await fs.readFile(audioPath);
-
-    const result = await transcribeAudio(audioBuffer, "WEBM_OPUS", 48000, "en-US");
-
-    // Update the recording object
-    recording.transcript = result.transcript;
-    recording.transcriptionStatus = "completed";
-    recording.transcriptionTimestamp = new Date();
-
-    // Mark the array as modified so Mongoose saves it
-    logEntry.markModified('audioRecordings');
-    await logEntry.save();
-
-    console.log(`Synchronous transcription completed for entry ${logEntry._id}`);
-  } catch (error) {
-    console.error(`Synchronous transcription failed for entry ${logEntry._id}:`, error);
-
-    if (logEntry.audioRecordings && logEntry.audioRecordings.length > 0) {
-      logEntry.audioRecordings[0].transcriptionStatus = "failed";
-      logEntry.audioRecordings[0].transcriptionError = error.message;
-      logEntry.markModified('audioRecordings');
-      await logEntry.save();
-    }
-  }
-}
-
 // @route   GET /api/log-entries/:id
 // @desc    Get log entry by ID
 // @access  Private
@@ -486,18 +531,20 @@ router.put(
       // Verify log type exists (skip for demo mode)
       const isDemoUser = user._id === "507f1f77bcf86cd799439011";
 
-      if (
-        !isDemoUser &&
+      const logTypeChanged =
         updates.logTypeId &&
-        (!logEntry.logTypeId || updates.logTypeId !== logEntry.logTypeId.toString())
-      ) {
-        const newLogType = await LogType.findOne({
+        (!logEntry.logTypeId ||
+          updates.logTypeId !== logEntry.logTypeId.toString());
+      let logType = null;
+
+      if (!isDemoUser && logTypeChanged) {
+        logType = await LogType.findOne({
           _id: updates.logTypeId,
           clientId: user.clientId._id,
           isActive: true,
         });
 
-        if (!newLogType) {
+        if (!logType) {
           return res.status(404).json({
             error: "Log type not found or inactive",
             code: "LOG_TYPE_NOT_FOUND",
@@ -505,6 +552,37 @@ router.put(
         }
       }
 
+      // Re-check data when it, its log type or the draft state changes
+      const nextStatus = updates.status || logEntry.status;
+      const needsDataCheck =
+        updates.data !== undefined ||
+        logTypeChanged ||
+        (logEntry.status === "draft" && nextStatus !== "draft");
+
+      if (!isDemoUser && needsDataCheck) {
+        if (!logType) {
+          logType = await LogType.findById(logEntry.logTypeId);
+        }
+
+        if (logType) {
+          const validation = checkEntryData(
+            logType,
+            updates.data !== undefined ? updates.data : logEntry.data,
+            nextStatus
+          );
+          const errors = validation.errors.length
+            ? validation.errors
+            : await checkEntryReferences(logType, validation.data, user._id);
+          if (errors.length > 0) {
+            return sendEntryDataErrors(res, errors);
+          }
+          if (updates.data !== undefined || logTypeChanged) {
+            updates.data = validation.data;
+            logEntry.logTypeVersion = logType.schemaVersion;
+          }
+        }
+      }
+
       const allowedUpdates = [
         "title",
         "logTypeId",
@@ -0,0 +1,353 @@
+//routes/logTypeTemplates.js
+
+const express = require("express");
+const LogType = require("../models/LogType");
+const LogTypeTemplate = require("../models/LogTypeTemplate");
+const {
+  authenticateToken,
+  requireActiveSubscription,
+  requireClientAdmin,
+  requirePlatformAdmin,
+} = require("../middleware/auth");
+const {
+  validateLogTypeTemplate,
+  validateObjectIdParam,
+} = require("../middleware/validation");
+const { installTemplate } = require("../utils/logTypeTemplates");
+
+const router = express.Router();
+
+// Editable template properties (key is fixed after creation)
+const TEMPLATE_UPDATE_FIELDS = [
+  "name",
+  "description",
+  "category",
+  "color",
+  "icon",
+  "fields",
+  "settings",
+  "specialties",
+  "isDefault",
+  "isPublished",
+  "releaseNotes",
+];
+
+const pickTemplateUpdates = (body) =>
+  TEMPLATE_UPDATE_FIELDS.reduce((updates, field) => {
+    if (body[field] !== undefined) updates[field] = body[field];
+    return updates;
+  }, {});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Attach the client's installed copies and whether an update is available
+const withInstallStatus = async (templates, clientId) => {
+  const installed = await LogType.find({
+    clientId,
+    "template.templateId": { $in: templates.map((template) => template._id) },
+  })
+    .select("name isActive template")
+    .lean();
+
+  return templates.map((template) => {
+    const copies = installed
+      .filter((logType) => logType.template.templateId.equals(template._id))
+      .map((logType) => ({
+        logTypeId: logType._id,
+        name: logType.name,
+        isActive: logType.isActive,
+        installedVersion: logType.template.version,
+        updateAvailable: logType.template.version < template.version,
+      }));
+
+    return {
+      ...template,
+      installed: copies,
+      updateAvailable: copies.some((copy) => copy.updateAvailable),
+    };
+  });
+};
+
+// IMPORTANT: Routes with specific paths must come BEFORE parameterized routes
+
+// @route   GET /api/log-type-templates
+// @desc    Browse the template library
+// @access  Private (Client Admin)
+router.get("/", authenticateToken, requireClientAdmin, async (req, res) => {
+  try {
+    const user = req.user;
+    const { specialty, category, search, includeUnpublished } = req.query;
+
+    const query = {};
+    if (user.role !== "admin" || includeUnpublished !== "true") {
+      query.isPublished = true;
+    }
+    if (specialty) query.specialties = String(specialty).toLowerCase();
+    if (category) query.category = category;
+    if (search) {
+      const pattern = escapeRegex(String(search));
+      query.$or = [
+        { name: { $regex: pattern, $options: "i" } },
+        { description: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    const templates = await LogTypeTemplate.find(query)
+      .select("-__v")
+      .sort("name")
+      .lean();
+
+    res.json({
+      templates: await withInstallStatus(templates, user.clientId._id),
+    });
+  } catch (error) {
+    console.error("Get log type templates error:", error);
+    res.status(500).json({
+      error: "Failed to get log type templates",
+      code: "GET_LOG_TYPE_TEMPLATES_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/log-type-templates/specialties
+// @desc    List specialties with published templates
+// @access  Private (Client Admin)
+router.get(
+  "/specialties",
+  authenticateToken,
+  requireClientAdmin,
+  async (req, res) => {
+    try {
+      const specialties = await LogTypeTemplate.distinct("specialties", {
+        isPublished: true,
+      });
+
+      res.json({ specialties: specialties.sort() });
+    } catch (error) {
+      console.error("Get template specialties error:", error);
+      res.status(500).json({
+        error: "Failed to get template specialties",
+        code: "GET_TEMPLATE_SPECIALTIES_ERROR",
+      });
+    }
+  }
+);
+
+// @route   POST /api/log-type-templates
+// @desc    Add a template to the library
+// @access  Private (Platform Admin)
+router.post(
+  "/",
+  authenticateToken,
+  requirePlatformAdmin,
+  validateLogTypeTemplate,
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const key = req.body.key.toLowerCase();
+
+      const existingTemplate = await LogTypeTemplate.findOne({ key });
+      if (existingTemplate) {
+        return res.status(400).json({
+          error: "Template key already exists",
+          code: "TEMPLATE_KEY_EXISTS",
+        });
+      }
+
+      const template = new LogTypeTemplate({
+        ...pickTemplateUpdates(req.body),
+        key,
+        createdBy: user._id,
+        updatedBy: user._id,
+      });
+      await template.save();
+
+      res.status(201).json({
+        message: "Template created successfully",
+        template,
+      });
+    } catch (error) {
+      console.error("Create log type template error:", error);
+      res.status(500).json({
+        error: "Failed to create template",
+        code: "CREATE_TEMPLATE_ERROR",
+      });
+    }
+  }
+);
+
+// @route   POST /api/log-type-templates/:id/install
+// @desc    Install a template as a log type for the user's client
+// @access  Private (Client Admin)
+router.post(
+  "/:id/install",
+  authenticateToken,
+  requireClientAdmin,
+  requireActiveSubscription,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const user = req.user;
+
+      const template = await LogTypeTemplate.findOne({
+        _id: req.params.id,
+        isPublished: true,
+      });
+
+      if (!template) {
+        return res.status(404).json({
+          error: "Template not found",
+          code: "TEMPLATE_NOT_FOUND",
+        });
+      }
+
+      const name = (req.body.name || template.name).trim();
+      const existingLogType = await LogType.findOne({
+        name,
+        clientId: user.clientId._id,
+      });
+
+      if (existingLogType) {
+        return res.status(400).json({
+          error: "Log type name already exists",
+          code: "LOG_TYPE_NAME_EXISTS",
+        });
+      }
+
+      const logType = await installTemplate(template, user.clientId._id, {
+        name,
+        installedBy: user._id,
+      });
+
+      res.status(201).json({
+        message: "Template installed successfully",
+        logType,
+      });
+    } catch (error) {
+      console.error("Install log type template error:", error);
+      res.status(500).json({
+        error: "Failed to install template",
+        code: "INSTALL_TEMPLATE_ERROR",
+      });
+    }
+  }
+);
+
+// @route   GET /api/log-type-templates/:id
+// @desc    Get a template
+// @access  Private (Client Admin)
+router.get(
+  "/:id",
+  authenticateToken,
+  requireClientAdmin,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const user = req.user;
+
+      const query = { _id: req.params.id };
+      if (user.role !== "admin") query.isPublished = true;
+
+      const template = await LogTypeTemplate.findOne(query)
+        .select("-__v")
+        .lean();
+
+      if (!template) {
+        return res.status(404).json({
+          error: "Template not found",
+          code: "TEMPLATE_NOT_FOUND",
+        });
+      }
+
+      const [result] = await withInstallStatus([template], user.clientId._id);
+      res.json({ template: result });
+    } catch (error) {
+      console.error("Get log type template error:", error);
+      res.status(500).json({
+        error: "Failed to get template",
+        code: "GET_TEMPLATE_ERROR",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/log-type-templates/:id
+// @desc    Update a template (publishes a new version when content changes)
+// @access  Private (Platform Admin)
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePlatformAdmin,
+  validateObjectIdParam("id"),
+  validateLogTypeTemplate,
+  async (req, res) => {
+    try {
+      const user = req.user;
+
+      const template = await LogTypeTemplate.findById(req.params.id);
+      if (!template) {
+        return res.status(404).json({
+          error: "Template not found",
+          code: "TEMPLATE_NOT_FOUND",
+        });
+      }
+
+      const previousVersion = template.version;
+      Object.assign(template, pickTemplateUpdates(req.body));
+      template.updatedBy = user._id;
+      await template.save();
+
+      res.json({
+        message: "Template updated successfully",
+        template,
+        versionCreated: template.version !== previousVersion,
+      });
+    } catch (error) {
+      console.error("Update log type template error:", error);
+      res.status(500).json({
+        error: "Failed to update template",
+        code: "UPDATE_TEMPLATE_ERROR",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/log-type-templates/:id
+// @desc    Remove a template from the library. Installed log types are kept
+//          but no longer receive updates.
+// @access  Private (Platform Admin)
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePlatformAdmin,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const template = await LogTypeTemplate.findByIdAndDelete(req.params.id);
+      if (!template) {
+        return res.status(404).json({
+          error: "Template not found",
+          code: "TEMPLATE_NOT_FOUND",
+        });
+      }
+
+      const unlinked = await LogType.updateMany(
+        { "template.templateId": template._id },
+        { $unset: { template: 1 } }
+      );
+
+      res.json({
+        message: "Template deleted successfully",
+        unlinkedLogTypes: unlinked.modifiedCount,
+      });
+    } catch (error) {
+      console.error("Delete log type template error:", error);
+      res.status(500).json({
+        error: "Failed to delete template",
+        code: "DELETE_TEMPLATE_ERROR",
+      });
+    }
+  }
+);
+
+module.exports = router;
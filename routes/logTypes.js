@@ -3,6 +3,8 @@
 const express = require("express");
 const LogType = require("../models/LogType");
 const LogEntry = require("../models/LogEntry");
+const LogTypeVersion = require("../models/LogTypeVersion");
+const LogTypeTemplate = require("../models/LogTypeTemplate");
 const {
   authenticateToken,
   requireActiveSubscription,
@@ -12,13 +14,25 @@ const {
   validateLogType,
   validateObjectIdParam,
 } = require("../middleware/validation");
+const {
+  validateOperations,
+  previewMigration,
+  runMigration,
+} = require("../utils/logTypeMigrations");
+const {
+  ensureBuiltInTemplates,
+  installTemplate,
+  diffTemplateFields,
+  isUpdateAvailable,
+  applyTemplateUpdate,
+} = require("../utils/logTypeTemplates");
 
 const router = express.Router();
 
 // IMPORTANT: Routes with specific paths must come BEFORE parameterized routes
 
 // @route   POST /api/log-types/seed-defaults
-// @desc    Create default log types for client
+// @desc    Install the default library templates for client
 // @access  Private (Client Admin)
 router.post(
   "/seed-defaults",
@@ -38,164 +52,21 @@ router.post(
         });
       }
 
-      const defaultLogTypes = [
-        {
-          name: "Procedure",
-          description: "Medical procedures and operations",
-          category: "procedure",
-          color: "#3B82F6",
-          icon: "scissors",
-          fields: [
-            {
-              fieldName: "procedure_type",
-              fieldType: "select",
-              label: "Procedure Type",
-              required: true,
-              options: ["Minor", "Major", "Emergency"],
-              order: 1,
-            },
-            {
-              fieldName: "supervisor",
-              fieldType: "text",
-              label: "Supervisor",
-              required: true,
-              order: 2,
-            },
-            {
-              fieldName: "patient_age",
-              fieldType: "number",
-              label: "Patient Age",
-              required: false,
-              order: 3,
-            },
-            {
-              fieldName: "complications",
-              fieldType: "textarea",
-              label: "Complications",
-              required: false,
-              order: 4,
-            },
-          ],
-          isSystem: true,
-        },
-        {
-          name: "Consultation",
-          description: "Patient consultations and assessments",
-          category: "consultation",
-          color: "#10B981",
-          icon: "user-group",
-          fields: [
-            {
-              fieldName: "consultation_type",
-              fieldType: "select",
-              label: "Type",
-              required: true,
-              options: ["Initial", "Follow-up", "Emergency"],
-              order: 1,
-            },
-            {
-              fieldName: "diagnosis",
-              fieldType: "text",
-              label: "Primary Diagnosis",
-              required: false,
-              order: 2,
-            },
-            {
-              fieldName: "treatment_plan",
-              fieldType: "textarea",
-              label: "Treatment Plan",
-              required: false,
-              order: 3,
-            },
-          ],
-          isSystem: true,
-        },
-        {
-          name: "Teaching Session",
-          description: "Medical education and training activities",
-          category: "teaching",
-          color: "#F59E0B",
-          icon: "academic-cap",
-          fields: [
-            {
-              fieldName: "session_type",
-              fieldType: "select",
-              label: "Session Type",
-              required: true,
-              options: ["Lecture", "Tutorial", "Bedside Teaching"],
-              order: 1,
-            },
-            {
-              fieldName: "topic",
-              fieldType: "text",
-              label: "Topic",
-              required: true,
-              order: 2,
-            },
-            {
-              fieldName: "participants",
-              fieldType: "number",
-              label: "Number of Participants",
-              required: false,
-              order: 3,
-            },
-          ],
-          isSystem: true,
-        },
-        {
-          name: "Ward Round",
-          description: "Ward rounds and patient reviews",
-          category: "consultation",
-          color: "#8B5CF6",
-          icon: "clipboard-document-list",
-          fields: [
-            {
-              fieldName: "ward",
-              fieldType: "text",
-              label: "Ward",
-              required: true,
-              order: 1,
-            },
-            {
-              fieldName: "patients_seen",
-              fieldType: "number",
-              label: "Patients Seen",
-              required: false,
-              order: 2,
-            },
-            {
-              fieldName: "consultant",
-              fieldType: "text",
-              label: "Consultant",
-              required: false,
-              order: 3,
-            },
-          ],
-          isSystem: true,
-        },
-        {
-          name: "Frog AI Assistant",
-          description: "AI-powered clinical partner",
-          category: "ai_assistant",
-          color: "#7C3AED", // Violet-600
-          icon: "sparkles",
-          fields: [],
-          isSystem: true,
-          settings: {
-            autoTranscribe: true,
-            allowAudio: true,
-            requireAudio: false,
-            allowAttachments: true,
-          },
-        },
-      ];
-
-      const createdLogTypes = await LogType.insertMany(
-        defaultLogTypes.map((logType) => ({
-          ...logType,
-          clientId: user.clientId._id,
-        }))
-      );
+      await ensureBuiltInTemplates();
+      const templates = await LogTypeTemplate.find({
+        isDefault: true,
+        isPublished: true,
+      }).sort({ createdAt: 1, _id: 1 });
+
+      const createdLogTypes = [];
+      for (const template of templates) {
+        createdLogTypes.push(
+          await installTemplate(template, user.clientId._id, {
+            isSystem: true,
+            installedBy: user._id,
+          })
+        );
+      }
 
       res.status(201).json({
         message: "Default log types created successfully",
@@ -327,6 +198,7 @@ router.post(
         ...logTypeData,
         clientId: user.clientId._id,
       });
+      logType.$locals.changedBy = user._id;
 
       await logType.save();
 
@@ -508,6 +380,341 @@ router.post(
   }
 );
 
+// @route   GET /api/log-types/:id/versions
+// @desc    List schema versions with entry counts
+// @access  Private (Client Admin)
+router.get(
+  "/:id/versions",
+  authenticateToken,
+  requireClientAdmin,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const user = req.user;
+
+      const logType = await LogType.findOne({
+        _id: req.params.id,
+        clientId: user.clientId._id,
+      });
+
+      if (!logType) {
+        return res.status(404).json({
+          error: "Log type not found",
+          code: "LOG_TYPE_NOT_FOUND",
+        });
+      }
+
+      const [versions, entryCounts] = await Promise.all([
+        LogTypeVersion.find({ logTypeId: logType._id })
+          .sort({ version: -1 })
+          .populate("createdBy", "name email")
+          .lean(),
+        LogEntry.aggregate([
+          { $match: { logTypeId: logType._id } },
+          {
+            $group: {
+              _id: { $ifNull: ["$logTypeVersion", 1] },
+              count: { $sum: 1 },
+            },
+          },
+        ]),
+      ]);
+
+      const countsByVersion = entryCounts.reduce((counts, item) => {
+        counts[item._id] = item.count;
+        return counts;
+      }, {});
+
+      res.json({
+        currentVersion: logType.schemaVersion,
+        versions: versions.map((version) => ({
+          version: version.version,
+          fieldCount: version.fields.length,
+          createdBy: version.createdBy,
+          createdAt: version.createdAt,
+          entryCount: countsByVersion[version.version] || 0,
+          migrations: version.migrations.length,
+        })),
+      });
+    } catch (error) {
+      console.error("Get log type versions error:", error);
+      res.status(500).json({
+        error: "Failed to get log type versions",
+        code: "GET_LOG_TYPE_VERSIONS_ERROR",
+      });
+    }
+  }
+);
+
+// @route   GET /api/log-types/:id/versions/:version
+// @desc    Get the field list of a schema version
+// @access  Private (Client Admin)
+router.get(
+  "/:id/versions/:version",
+  authenticateToken,
+  requireClientAdmin,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const version = parseInt(req.params.version);
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({
+          error: "Version must be a positive integer",
+          code: "INVALID_VERSION",
+        });
+      }
+
+      const logTypeVersion = await LogTypeVersion.findOne({
+        logTypeId: req.params.id,
+        clientId: user.clientId._id,
+        version,
+      })
+        .populate("createdBy", "name email")
+        .populate("migrations.runBy", "name email");
+
+      if (!logTypeVersion) {
+        return res.status(404).json({
+          error: "Log type version not found",
+          code: "LOG_TYPE_VERSION_NOT_FOUND",
+        });
+      }
+
+      res.json({ version: logTypeVersion });
+    } catch (error) {
+      console.error("Get log type version error:", error);
+      res.status(500).json({
+        error: "Failed to get log type version",
+        code: "GET_LOG_TYPE_VERSION_ERROR",
+      });
+    }
+  }
+);
+
+// Shared setup for migration preview and run
+const loadMigration = async (req, res) => {
+  const { operations, fromVersions } = req.body;
+
+  const problems = validateOperations(operations);
+  if (
+    fromVersions !== undefined &&
+    (!Array.isArray(fromVersions) ||
+      fromVersions.some((v) => !Number.isInteger(Number(v))))
+  ) {
+    problems.push("fromVersions must be an array of version numbers");
+  }
+
+  if (problems.length > 0) {
+    res.status(400).json({
+      error: "Invalid migration",
+      code: "INVALID_MIGRATION",
+      details: problems,
+    });
+    return null;
+  }
+
+  const logType = await LogType.findOne({
+    _id: req.params.id,
+    clientId: req.user.clientId._id,
+  });
+
+  if (!logType) {
+    res.status(404).json({
+      error: "Log type not found",
+      code: "LOG_TYPE_NOT_FOUND",
+    });
+    return null;
+  }
+
+  return { logType, operations, fromVersions };
+};
+
+// @route   POST /api/log-types/:id/migrations/preview
+// @desc    Preview a data migration across existing entries
+// @access  Private (Client Admin)
+router.post(
+  "/:id/migrations/preview",
+  authenticateToken,
+  requireClientAdmin,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const migration = await loadMigration(req, res);
+      if (!migration) return;
+
+      const preview = await previewMigration(
+        migration.logType,
+        migration.operations,
+        { fromVersions: migration.fromVersions }
+      );
+
+      res.json({ preview });
+    } catch (error) {
+      console.error("Preview log type migration error:", error);
+      res.status(500).json({
+        error: "Failed to preview migration",
+        code: "PREVIEW_MIGRATION_ERROR",
+      });
+    }
+  }
+);
+
+// @route   POST /api/log-types/:id/migrations
+// @desc    Run a data migration across existing entries
+// @access  Private (Client Admin)
+router.post(
+  "/:id/migrations",
+  authenticateToken,
+  requireClientAdmin,
+  requireActiveSubscription,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const migration = await loadMigration(req, res);
+      if (!migration) return;
+
+      const result = await runMigration(
+        migration.logType,
+        migration.operations,
+        { fromVersions: migration.fromVersions, runBy: req.user._id }
+      );
+
+      res.json({
+        message: "Migration completed successfully",
+        result,
+      });
+    } catch (error) {
+      console.error("Run log type migration error:", error);
+      res.status(500).json({
+        error: "Failed to run migration",
+        code: "RUN_MIGRATION_ERROR",
+      });
+    }
+  }
+);
+
+// Shared setup for template update preview and apply
+const loadTemplateUpdate = async (req, res) => {
+  const logType = await LogType.findOne({
+    _id: req.params.id,
+    clientId: req.user.clientId._id,
+  });
+
+  if (!logType) {
+    res.status(404).json({
+      error: "Log type not found",
+      code: "LOG_TYPE_NOT_FOUND",
+    });
+    return null;
+  }
+
+  if (!logType.template) {
+    res.status(400).json({
+      error: "Log type was not installed from a template",
+      code: "NOT_FROM_TEMPLATE",
+    });
+    return null;
+  }
+
+  const template = await LogTypeTemplate.findOne({
+    _id: logType.template.templateId,
+    isPublished: true,
+  });
+
+  if (!template) {
+    res.status(404).json({
+      error: "Template not found",
+      code: "TEMPLATE_NOT_FOUND",
+    });
+    return null;
+  }
+
+  return { logType, template };
+};
+
+// @route   GET /api/log-types/:id/template-update
+// @desc    Preview changes from the latest version of the source template
+// @access  Private (Client Admin)
+router.get(
+  "/:id/template-update",
+  authenticateToken,
+  requireClientAdmin,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const update = await loadTemplateUpdate(req, res);
+      if (!update) return;
+      const { logType, template } = update;
+
+      res.json({
+        installedVersion: logType.template.version,
+        latestVersion: template.version,
+        updateAvailable: isUpdateAvailable(logType, template),
+        releaseNotes: template.releaseNotes,
+        diff: diffTemplateFields(logType.fields, template.fields),
+      });
+    } catch (error) {
+      console.error("Preview template update error:", error);
+      res.status(500).json({
+        error: "Failed to preview template update",
+        code: "PREVIEW_TEMPLATE_UPDATE_ERROR",
+      });
+    }
+  }
+);
+
+// @route   POST /api/log-types/:id/template-update
+// @desc    Pull the latest version of the source template
+// @access  Private (Client Admin)
+router.post(
+  "/:id/template-update",
+  authenticateToken,
+  requireClientAdmin,
+  requireActiveSubscription,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const update = await loadTemplateUpdate(req, res);
+      if (!update) return;
+      const { logType, template } = update;
+
+      if (!isUpdateAvailable(logType, template)) {
+        return res.status(400).json({
+          error: "Log type is already on the latest template version",
+          code: "TEMPLATE_UP_TO_DATE",
+        });
+      }
+
+      const diff = await applyTemplateUpdate(logType, template, {
+        changedBy: req.user._id,
+      });
+
+      const versionCreated = !!logType.$locals.versionCreated;
+      const outdatedEntries = versionCreated
+        ? await LogEntry.countDocuments({
+            logTypeId: logType._id,
+            logTypeVersion: { $ne: logType.schemaVersion },
+          })
+        : 0;
+
+      res.json({
+        message: "Template update applied successfully",
+        logType,
+        diff,
+        versionCreated,
+        outdatedEntries,
+      });
+    } catch (error) {
+      console.error("Apply template update error:", error);
+      res.status(500).json({
+        error: "Failed to apply template update",
+        code: "APPLY_TEMPLATE_UPDATE_ERROR",
+      });
+    }
+  }
+);
+
 // @route   GET /api/log-types/:id/stats
 // @desc    Get statistics for a log type
 // @access  Private
@@ -668,12 +875,26 @@ router.put(
         }
       }
 
+      // Versioning is managed by the model
+      delete updates.schemaVersion;
+
       Object.assign(logType, updates);
+      logType.$locals.changedBy = user._id;
       await logType.save();
 
+      const versionCreated = !!logType.$locals.versionCreated;
+      const outdatedEntries = versionCreated
+        ? await LogEntry.countDocuments({
+            logTypeId: logType._id,
+            logTypeVersion: { $ne: logType.schemaVersion },
+          })
+        : 0;
+
       res.json({
         message: "Log type updated successfully",
         logType,
+        versionCreated,
+        outdatedEntries,
       });
     } catch (error) {
       console.error("Update log type error:", error);
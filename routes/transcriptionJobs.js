@@ -0,0 +1,210 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  authenticateToken,
+  requireActiveSubscription,
+} = require("../middleware/auth");
+const { validateObjectIdParam } = require("../middleware/validation");
+const TranscriptionJob = require("../models/TranscriptionJob");
+const {
+  cancelTranscriptionJob,
+  retryTranscriptionJob,
+} = require("../jobs/transcriptionProcessor");
+
+const router = express.Router();
+
+const priorityName = (priority) =>
+  Object.keys(TranscriptionJob.JOB_PRIORITIES).find(
+    (name) => TranscriptionJob.JOB_PRIORITIES[name] === priority
+  ) || "normal";
+
+// Shape returned to the frontend for a transcription job
+const formatJob = (job) => ({
+  id: job._id,
+  entryId: job.entryId,
+  recordingId: job.recordingId,
+  recordingIndex: job.recordingIndex,
+  source: job.source,
+  status: job.status,
+  priority: priorityName(job.priority),
+  backend: job.backend,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  error: job.error,
+  result: job.status === "completed" ? job.result : null,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  cancelledAt: job.cancelledAt,
+});
+
+// Load one of the user's jobs, or answer 404
+const findUserJob = async (req, res) => {
+  const job = await TranscriptionJob.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+
+  if (!job) {
+    res.status(404).json({
+      error: "Transcription job not found",
+      code: "JOB_NOT_FOUND",
+    });
+  }
+  return job;
+};
+
+// @route   GET /api/transcription-jobs
+// @desc    Get transcription jobs (filter by status or entryId)
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, entryId } = req.query;
+
+    let query = { userId: req.user._id };
+    if (status) query.status = status;
+    if (entryId) {
+      if (!mongoose.Types.ObjectId.isValid(entryId)) {
+        return res.status(400).json({
+          error: "Entry ID must be a valid ObjectId",
+          code: "INVALID_ENTRY_ID",
+        });
+      }
+      query.entryId = entryId;
+    }
+
+    const result = await TranscriptionJob.paginate(query, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit) || 20, 100),
+      sort: "-createdAt",
+      select: "-__v",
+    });
+
+    res.json({
+      jobs: result.docs.map(formatJob),
+      pagination: {
+        page: result.page,
+        pages: result.totalPages,
+        total: result.totalDocs,
+        limit: result.limit,
+        hasNext: result.hasNextPage,
+        hasPrev: result.hasPrevPage,
+      },
+    });
+  } catch (error) {
+    console.error("Get transcription jobs error:", error);
+    res.status(500).json({
+      error: "Failed to get transcription jobs",
+      code: "GET_JOBS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/transcription-jobs/:id
+// @desc    Get transcription job status
+// @access  Private
+router.get(
+  "/:id",
+  authenticateToken,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const job = await findUserJob(req, res);
+      if (!job) return;
+
+      res.json({ job: formatJob(job) });
+    } catch (error) {
+      console.error("Get transcription job error:", error);
+      res.status(500).json({
+        error: "Failed to get transcription job",
+        code: "GET_JOB_ERROR",
+      });
+    }
+  }
+);
+
+// @route   POST /api/transcription-jobs/:id/cancel
+// @desc    Cancel a queued or running transcription job
+// @access  Private
+router.post(
+  "/:id/cancel",
+  authenticateToken,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const job = await findUserJob(req, res);
+      if (!job) return;
+
+      let cancelled;
+      try {
+        cancelled = await cancelTranscriptionJob(job);
+      } catch (cancelError) {
+        if (cancelError.code === "JOB_NOT_CANCELLABLE") {
+          return res.status(400).json({
+            error: cancelError.message,
+            code: cancelError.code,
+          });
+        }
+        throw cancelError;
+      }
+
+      res.json({
+        message: "Transcription job cancelled",
+        job: formatJob(cancelled),
+      });
+    } catch (error) {
+      console.error("Cancel transcription job error:", error);
+      res.status(500).json({
+        error: "Failed to cancel transcription job",
+        code: "CANCEL_JOB_ERROR",
+      });
+    }
+  }
+);
+
+// @route   POST /api/transcription-jobs/:id/retry
+// @desc    Queue a failed or cancelled transcription again
+// @access  Private
+router.post(
+  "/:id/retry",
+  authenticateToken,
+  requireActiveSubscription,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const job = await findUserJob(req, res);
+      if (!job) return;
+
+      let retryJob;
+      try {
+        retryJob = await retryTranscriptionJob(job);
+      } catch (retryError) {
+        const statuses = {
+          JOB_NOT_RETRYABLE: 400,
+          TRANSCRIPTION_IN_PROGRESS: 400,
+          AUDIO_NOT_FOUND: 404,
+        };
+        if (statuses[retryError.code]) {
+          return res.status(statuses[retryError.code]).json({
+            error: retryError.message,
+            code: retryError.code,
+          });
+        }
+        throw retryError;
+      }
+
+      res.status(201).json({
+        message: "Transcription retry queued",
+        job: formatJob(retryJob),
+      });
+    } catch (error) {
+      console.error("Retry transcription job error:", error);
+      res.status(500).json({
+        error: "Failed to retry transcription job",
+        code: "RETRY_JOB_ERROR",
+      });
+    }
+  }
+);
+
+module.exports = router;
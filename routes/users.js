@@ -12,9 +12,76 @@ const {
   validateObjectIdParam,
   validatePaginationQuery,
 } = require("../middleware/validation");
+const {
+  MAX_ALTERNATIVE_LANGUAGES,
+  normalizeLanguageCode,
+} = require("../utils/transcriptionLanguage");
+const { listModelsForClient } = require("../config/llm/models");
 
 const router = express.Router();
 
+const MAX_CUSTOM_INSTRUCTIONS_LENGTH = 2000;
+
+// Problem with a preferences.aiConfig update, or null
+const aiConfigPreferenceError = (aiConfig, client) => {
+  if (typeof aiConfig !== "object") {
+    return "AI preferences must be an object";
+  }
+  const { medicalSpecialty, customInstructions, model } = aiConfig;
+  if (
+    medicalSpecialty !== undefined &&
+    medicalSpecialty !== null &&
+    (typeof medicalSpecialty !== "string" || medicalSpecialty.length > 100)
+  ) {
+    return "Medical specialty must be text of at most 100 characters";
+  }
+  if (
+    customInstructions !== undefined &&
+    customInstructions !== null &&
+    (typeof customInstructions !== "string" ||
+      customInstructions.length > MAX_CUSTOM_INSTRUCTIONS_LENGTH)
+  ) {
+    return `Custom instructions must be text of at most ${MAX_CUSTOM_INSTRUCTIONS_LENGTH} characters`;
+  }
+  if (model) {
+    const entry = listModelsForClient(client).find(
+      (candidate) => candidate.id === model
+    );
+    if (!entry) return `Unknown AI model: ${model}`;
+    if (entry.retired) {
+      return `AI model ${model} has been retired; use ${entry.replacedBy}`;
+    }
+    if (!entry.available) {
+      return `AI model ${model} is not available (${entry.unavailableReason})`;
+    }
+  }
+  return null;
+};
+
+// Problem with a preferences.transcription update, or null
+const transcriptionPreferenceError = (transcription) => {
+  if (typeof transcription !== "object") {
+    return "Transcription preferences must be an object";
+  }
+  const { languageCode, alternativeLanguageCodes } = transcription;
+  if (languageCode && !normalizeLanguageCode(languageCode)) {
+    return `Unsupported language code: ${languageCode}`;
+  }
+  if (alternativeLanguageCodes !== undefined) {
+    if (
+      !Array.isArray(alternativeLanguageCodes) ||
+      alternativeLanguageCodes.length > MAX_ALTERNATIVE_LANGUAGES
+    ) {
+      return `Alternative languages must be a list of at most ${MAX_ALTERNATIVE_LANGUAGES} language codes`;
+    }
+    const invalid = alternativeLanguageCodes.find(
+      (code) => !normalizeLanguageCode(code)
+    );
+    if (invalid !== undefined) return `Unsupported language code: ${invalid}`;
+  }
+  return null;
+};
+
 // @route   GET /api/users
 // @desc    Get all users (admin only) or users in same client
 // @access  Private
@@ -96,6 +163,16 @@ router.get("/preferences", authenticateToken, async (req, res) => {
       analyticsTracking: true,
       audioQuality: "high",
       maxRecordingDuration: 300,
+      transcription: {
+        languageCode: null,
+        autoDetectLanguage: false,
+        alternativeLanguageCodes: [],
+      },
+      aiConfig: {
+        medicalSpecialty: "General Practitioner",
+        customInstructions: "",
+        model: null,
+      },
       defaultExportFormat: "pdf",
       includeAudio: false,
       includeReflections: true,
@@ -162,6 +239,58 @@ router.put("/preferences", authenticateToken, async (req, res) => {
       }
     });
 
+    // Transcription settings are updated field by field
+    if (preferences.transcription !== undefined) {
+      const transcription = preferences.transcription || {};
+      const problem = transcriptionPreferenceError(transcription);
+      if (problem) {
+        return res.status(400).json({
+          error: problem,
+          code: "INVALID_LANGUAGE_CODE",
+        });
+      }
+
+      if (transcription.languageCode !== undefined) {
+        updateData["preferences.transcription.languageCode"] =
+          normalizeLanguageCode(transcription.languageCode);
+      }
+      if (transcription.autoDetectLanguage !== undefined) {
+        updateData["preferences.transcription.autoDetectLanguage"] =
+          !!transcription.autoDetectLanguage;
+      }
+      if (transcription.alternativeLanguageCodes !== undefined) {
+        updateData["preferences.transcription.alternativeLanguageCodes"] = [
+          ...new Set(
+            transcription.alternativeLanguageCodes.map(normalizeLanguageCode)
+          ),
+        ];
+      }
+    }
+
+    // AI settings are updated field by field; the model must be one the
+    // user's plan and client allow
+    if (preferences.aiConfig !== undefined) {
+      const aiConfig = preferences.aiConfig || {};
+      const problem = aiConfigPreferenceError(aiConfig, req.user.clientId);
+      if (problem) {
+        return res.status(400).json({
+          error: problem,
+          code: "INVALID_AI_CONFIG",
+        });
+      }
+
+      ["medicalSpecialty", "customInstructions"].forEach((field) => {
+        if (aiConfig[field] !== undefined) {
+          updateData[`preferences.aiConfig.${field}`] = (
+            aiConfig[field] || ""
+          ).trim();
+        }
+      });
+      if (aiConfig.model !== undefined) {
+        updateData["preferences.aiConfig.model"] = aiConfig.model || null;
+      }
+    }
+
     console.log("Update data:", updateData); // Debug log
 
     if (Object.keys(updateData).length === 0) {
@@ -0,0 +1,354 @@
+//routes/vocabulary.js
+
+const express = require("express");
+const mongoose = require("mongoose");
+const LogType = require("../models/LogType");
+const User = require("../models/User");
+const VocabularyTerm = require("../models/VocabularyTerm");
+const {
+  authenticateToken,
+  requireActiveSubscription,
+} = require("../middleware/auth");
+const {
+  validateVocabularyTerm,
+  validateObjectIdParam,
+} = require("../middleware/validation");
+const {
+  MAX_VOCABULARY_PHRASES,
+  normalizeSpecialty,
+  buildVocabulary,
+  filterRedactedTerms,
+} = require("../utils/vocabulary");
+const {
+  createRedactor,
+  resolveRedactionStrictness,
+} = require("../utils/phiRedaction");
+
+const router = express.Router();
+
+// Editable term properties (scope and owner are fixed after creation)
+const TERM_UPDATE_FIELDS = [
+  "phrase",
+  "boost",
+  "category",
+  "specialties",
+  "logTypeIds",
+  "isActive",
+];
+
+const isClientAdmin = (user) =>
+  user.role === "client_admin" || user.role === "admin";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const pickTermUpdates = (body) =>
+  TERM_UPDATE_FIELDS.reduce((updates, field) => {
+    if (body[field] !== undefined) updates[field] = body[field];
+    return updates;
+  }, {});
+
+// Shape returned to the frontend for a vocabulary term
+const formatTerm = (term, user) => ({
+  id: term._id,
+  phrase: term.phrase,
+  boost: term.boost,
+  category: term.category,
+  scope: term.scope,
+  specialties: term.specialties,
+  logTypeIds: term.logTypeIds,
+  isActive: term.isActive,
+  editable:
+    term.scope === "client"
+      ? isClientAdmin(user)
+      : String(term.userId) === String(user._id),
+  createdAt: term.createdAt,
+  updatedAt: term.updatedAt,
+});
+
+// Answer 400 unless every log type belongs to the user's client
+const checkLogTypes = async (req, res) => {
+  const logTypeIds = req.body.logTypeIds || [];
+  if (logTypeIds.length === 0) return true;
+
+  const found = await LogType.countDocuments({
+    _id: { $in: logTypeIds },
+    clientId: req.user.clientId._id,
+  });
+  if (found !== new Set(logTypeIds.map(String)).size) {
+    res.status(400).json({
+      error: "Log type not found",
+      code: "LOG_TYPE_NOT_FOUND",
+    });
+    return false;
+  }
+  return true;
+};
+
+// Load a term the user may change, or answer 404/403
+const findEditableTerm = async (req, res) => {
+  const user = req.user;
+  const term = await VocabularyTerm.findOne({
+    _id: req.params.id,
+    clientId: user.clientId._id,
+  });
+
+  if (!term || (term.scope === "user" && !term.userId.equals(user._id))) {
+    res.status(404).json({
+      error: "Vocabulary term not found",
+      code: "VOCABULARY_TERM_NOT_FOUND",
+    });
+    return null;
+  }
+
+  if (term.scope === "client" && !isClientAdmin(user)) {
+    res.status(403).json({
+      error: "Client admin access required",
+      code: "CLIENT_ADMIN_REQUIRED",
+    });
+    return null;
+  }
+  return term;
+};
+
+const duplicatePhrase = (res) =>
+  res.status(400).json({
+    error: "Phrase is already in this vocabulary",
+    code: "VOCABULARY_TERM_EXISTS",
+  });
+
+// IMPORTANT: Routes with specific paths must come BEFORE parameterized routes
+
+// @route   GET /api/vocabulary
+// @desc    Get the client's vocabulary and the user's own terms (filter by
+//          scope, category, specialty, logTypeId or search)
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const {
+      page = 1,
+      limit = 50,
+      scope,
+      category,
+      specialty,
+      logTypeId,
+      search,
+      includeInactive,
+    } = req.query;
+
+    const query = {
+      clientId: user.clientId._id,
+      $or: [{ scope: "client" }, { scope: "user", userId: user._id }],
+    };
+    if (scope) query.scope = scope;
+    if (category) query.category = category;
+    if (specialty) query.specialties = normalizeSpecialty(String(specialty));
+    if (logTypeId) {
+      if (!mongoose.Types.ObjectId.isValid(logTypeId)) {
+        return res.status(400).json({
+          error: "Log type ID must be a valid ObjectId",
+          code: "INVALID_LOG_TYPE_ID",
+        });
+      }
+      query.logTypeIds = logTypeId;
+    }
+    if (search) {
+      query.phrase = { $regex: escapeRegex(String(search)), $options: "i" };
+    }
+    if (includeInactive !== "true") query.isActive = true;
+
+    const result = await VocabularyTerm.paginate(query, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit) || 50, 200),
+      sort: "phrase",
+      select: "-__v",
+    });
+
+    res.json({
+      terms: result.docs.map((term) => formatTerm(term, user)),
+      pagination: {
+        page: result.page,
+        pages: result.totalPages,
+        total: result.totalDocs,
+        limit: result.limit,
+        hasNext: result.hasNextPage,
+        hasPrev: result.hasPrevPage,
+      },
+    });
+  } catch (error) {
+    console.error("Get vocabulary error:", error);
+    res.status(500).json({
+      error: "Failed to get vocabulary",
+      code: "GET_VOCABULARY_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/vocabulary/preview
+// @desc    Preview the phrases sent to speech-to-text for the user's
+//          recordings (optionally for a logTypeId or another specialty)
+// @access  Private
+router.get("/preview", authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const { logTypeId } = req.query;
+
+    if (logTypeId && !mongoose.Types.ObjectId.isValid(logTypeId)) {
+      return res.status(400).json({
+        error: "Log type ID must be a valid ObjectId",
+        code: "INVALID_LOG_TYPE_ID",
+      });
+    }
+
+    let specialty = req.query.specialty;
+    if (!specialty) {
+      const profile = await User.findById(user._id)
+        .select("preferences.aiConfig.medicalSpecialty")
+        .lean();
+      specialty = profile?.preferences?.aiConfig?.medicalSpecialty || null;
+    }
+
+    const vocabulary = await buildVocabulary({
+      clientId: user.clientId._id,
+      userId: user._id,
+      specialty,
+      logTypeId: logTypeId || null,
+    });
+    // Terms withheld from every recording; entry-specific names are only
+    // known when a recording is transcribed
+    const redactor = createRedactor({
+      strictness: await resolveRedactionStrictness(user.clientId),
+    });
+    const phrases = filterRedactedTerms(vocabulary, redactor);
+
+    res.json({
+      specialty,
+      logTypeId: logTypeId || null,
+      phrases,
+      count: phrases.length,
+      withheld: vocabulary.length - phrases.length,
+      limit: MAX_VOCABULARY_PHRASES,
+    });
+  } catch (error) {
+    console.error("Preview vocabulary error:", error);
+    res.status(500).json({
+      error: "Failed to preview vocabulary",
+      code: "PREVIEW_VOCABULARY_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/vocabulary
+// @desc    Add a term to the user's vocabulary, or to the client's with
+//          scope "client"
+// @access  Private (Client Admin for client terms)
+router.post(
+  "/",
+  authenticateToken,
+  requireActiveSubscription,
+  validateVocabularyTerm,
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const scope = req.body.scope || "user";
+
+      if (scope === "client" && !isClientAdmin(user)) {
+        return res.status(403).json({
+          error: "Client admin access required",
+          code: "CLIENT_ADMIN_REQUIRED",
+        });
+      }
+      if (!(await checkLogTypes(req, res))) return;
+
+      const userId = scope === "user" ? user._id : null;
+      const existingTerm = await VocabularyTerm.findOne({
+        clientId: user.clientId._id,
+        scope,
+        userId,
+        phrase: req.body.phrase,
+      }).collation({ locale: "en", strength: 2 });
+      if (existingTerm) return duplicatePhrase(res);
+
+      const term = new VocabularyTerm({
+        ...pickTermUpdates(req.body),
+        scope,
+        clientId: user.clientId._id,
+        userId,
+        createdBy: user._id,
+      });
+      await term.save();
+
+      res.status(201).json({
+        message: "Vocabulary term added successfully",
+        term: formatTerm(term, user),
+      });
+    } catch (error) {
+      if (error.code === 11000) return duplicatePhrase(res);
+      console.error("Create vocabulary term error:", error);
+      res.status(500).json({
+        error: "Failed to add vocabulary term",
+        code: "CREATE_VOCABULARY_TERM_ERROR",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/vocabulary/:id
+// @desc    Update a vocabulary term
+// @access  Private (owner, or Client Admin for client terms)
+router.put(
+  "/:id",
+  authenticateToken,
+  requireActiveSubscription,
+  validateObjectIdParam("id"),
+  validateVocabularyTerm,
+  async (req, res) => {
+    try {
+      const term = await findEditableTerm(req, res);
+      if (!term) return;
+      if (!(await checkLogTypes(req, res))) return;
+
+      Object.assign(term, pickTermUpdates(req.body));
+      await term.save();
+
+      res.json({
+        message: "Vocabulary term updated successfully",
+        term: formatTerm(term, req.user),
+      });
+    } catch (error) {
+      if (error.code === 11000) return duplicatePhrase(res);
+      console.error("Update vocabulary term error:", error);
+      res.status(500).json({
+        error: "Failed to update vocabulary term",
+        code: "UPDATE_VOCABULARY_TERM_ERROR",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/vocabulary/:id
+// @desc    Delete a vocabulary term
+// @access  Private (owner, or Client Admin for client terms)
+router.delete(
+  "/:id",
+  authenticateToken,
+  validateObjectIdParam("id"),
+  async (req, res) => {
+    try {
+      const term = await findEditableTerm(req, res);
+      if (!term) return;
+
+      await term.deleteOne();
+
+      res.json({ message: "Vocabulary term deleted successfully" });
+    } catch (error) {
+      console.error("Delete vocabulary term error:", error);
+      res.status(500).json({
+        error: "Failed to delete vocabulary term",
+        code: "DELETE_VOCABULARY_TERM_ERROR",
+      });
+    }
+  }
+);
+
+module.exports = router;
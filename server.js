@@ -12,18 +12,28 @@ const {
   initializeGoogleOAuth,
 } = require("./config/googleCloud");
 const { initializeStripe } = require("./config/stripe");
+const { ensureBuiltInTemplates } = require("./utils/logTypeTemplates");
 
 // Initialize transcription job processor
-const transcriptionQueue = require("./jobs/transcriptionProcessor");
+const { transcriptionQueue } = require("./jobs/transcriptionProcessor");
+const {
+  exportQueue,
+  recoverLocalExports,
+} = require("./jobs/exportProcessor");
 
 // Import routes
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const clientRoutes = require("./routes/clients");
 const logTypeRoutes = require("./routes/logTypes");
+const logTypeTemplateRoutes = require("./routes/logTypeTemplates");
 const logEntryRoutes = require("./routes/logEntries");
 const audioRoutes = require("./routes/audio");
+const transcriptionJobRoutes = require("./routes/transcriptionJobs");
+const eventRoutes = require("./routes/events");
+const vocabularyRoutes = require("./routes/vocabulary");
 const exportRoutes = require("./routes/exports");
+const importRoutes = require("./routes/imports");
 const subscriptionRoutes = require("./routes/subscriptions");
 const webhookRoutes = require("./routes/webhooks");
 const aiRoutes = require("./routes/ai");
@@ -149,9 +159,14 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/clients", clientRoutes);
 app.use("/api/log-types", logTypeRoutes);
+app.use("/api/log-type-templates", logTypeTemplateRoutes);
 app.use("/api/log-entries", logEntryRoutes);
 app.use("/api/audio", audioRoutes);
+app.use("/api/transcription-jobs", transcriptionJobRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/vocabulary", vocabularyRoutes);
 app.use("/api/exports", exportRoutes);
+app.use("/api/imports", importRoutes);
 app.use("/api/subscriptions", subscriptionRoutes);
 app.use("/api/ai", aiRoutes);
 app.use("/api/subscriptions", subscriptionRoutes);
@@ -239,6 +254,20 @@ const startServer = async () => {
     if (dbConnection) {
       logger.info("Database: Connected");
       global.dbConnected = true;
+
+      try {
+        const createdTemplates = await ensureBuiltInTemplates();
+        logger.info(`Log type templates: Ready (${createdTemplates} added)`);
+      } catch (error) {
+        logger.warn("Log type templates: Failed to seed library", error.message);
+      }
+
+      try {
+        const recoveredExports = await recoverLocalExports();
+        logger.info(`Exports: Ready (${recoveredExports} recovered)`);
+      } catch (error) {
+        logger.warn("Exports: Failed to recover interrupted exports", error.message);
+      }
     } else {
       logger.warn("Database: Running in DEMO mode without database");
       global.dbConnected = false;
@@ -259,6 +288,16 @@ const startServer = async () => {
       global.speechToTextInitialized = false;
     }
 
+    // On-premises speech-to-text
+    const { getSpeechProvider } = require("./config/speechProviders");
+    logger.info(
+      `Local Speech-to-Text: ${
+        getSpeechProvider("local").isAvailable()
+          ? `Configured (${process.env.LOCAL_STT_ENGINE})`
+          : "Not configured"
+      }`
+    );
+
     // Initialize Google OAuth
     try {
       initializeGoogleOAuth();
@@ -418,11 +457,22 @@ const gracefulShutdown = async (signal) => {
       }
 
       // Close Bull queue
-      try {
-        await transcriptionQueue.close();
-        logger.info("Transcription queue closed");
-      } catch (error) {
-        logger.error("Error closing transcription queue:", error);
+      if (transcriptionQueue) {
+        try {
+          await transcriptionQueue.close();
+          logger.info("Transcription queue closed");
+        } catch (error) {
+          logger.error("Error closing transcription queue:", error);
+        }
+      }
+
+      if (exportQueue) {
+        try {
+          await exportQueue.close();
+          logger.info("Export queue closed");
+        } catch (error) {
+          logger.error("Error closing export queue:", error);
+        }
       }
 
       logger.info("Graceful shutdown completed");
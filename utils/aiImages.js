@@ -0,0 +1,299 @@
+//utils/aiImages.js
+
+// Images sent to the AI Clinical Partner, either entry attachments (by id)
+// or base64 strings / data URLs from the chat request. Types are checked
+// from the file contents rather than the declared MIME type, and metadata
+// (EXIF, XMP, IPTC, text chunks) is removed before anything leaves the
+// server. Orientation is stored in EXIF, so phone photos may reach the
+// model rotated.
+
+const fs = require("fs").promises;
+const { resolveUploadPath } = require("./exportRenderers");
+require("dotenv").config();
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_BYTES = parseInt(
+  process.env.AI_MAX_IMAGE_BYTES || String(5 * 1024 * 1024)
+);
+const MAX_IMAGES_PER_MESSAGE = parseInt(
+  process.env.AI_MAX_IMAGES_PER_MESSAGE || "4"
+);
+
+const imageError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+const tooLargeError = () =>
+  imageError(
+    "IMAGE_TOO_LARGE",
+    `Images must be at most ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB`
+  );
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+// Image type from the first bytes of the file, or null
+const detectImageType = (buffer) => {
+  if (
+    buffer.length >= 3 &&
+    buffer[0] === 0xff &&
+    buffer[1] === 0xd8 &&
+    buffer[2] === 0xff
+  ) {
+    return "image/jpeg";
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return "image/png";
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+};
+
+// JPEG: keep JFIF (APP0), ICC profiles (APP2) and Adobe colour info (APP14);
+// drop EXIF/XMP (APP1), IPTC (APP13), other application segments and
+// comments. Everything from the start of scan is image data.
+const KEPT_JPEG_APP_MARKERS = [0xe0, 0xe2, 0xee];
+
+const stripJpegMetadata = (buffer) => {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff || offset + 1 >= buffer.length) {
+      throw imageError("INVALID_IMAGE", "Corrupt JPEG image");
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) {
+      parts.push(buffer.subarray(offset));
+      return Buffer.concat(parts);
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+
+    if (offset + 4 > buffer.length) {
+      throw imageError("INVALID_IMAGE", "Corrupt JPEG image");
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      throw imageError("INVALID_IMAGE", "Corrupt JPEG image");
+    }
+    const isMetadata =
+      marker === 0xfe ||
+      (marker >= 0xe0 &&
+        marker <= 0xef &&
+        !KEPT_JPEG_APP_MARKERS.includes(marker));
+    if (!isMetadata) parts.push(buffer.subarray(offset, end));
+    offset = end;
+  }
+  throw imageError("INVALID_IMAGE", "Corrupt JPEG image");
+};
+
+const PNG_METADATA_CHUNKS = ["eXIf", "tEXt", "zTXt", "iTXt", "tIME"];
+
+const stripPngMetadata = (buffer) => {
+  const parts = [PNG_SIGNATURE];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const end = offset + 12 + buffer.readUInt32BE(offset);
+    if (end > buffer.length) break;
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    if (type === "IEND") return Buffer.concat(parts);
+    offset = end;
+  }
+  throw imageError("INVALID_IMAGE", "Corrupt PNG image");
+};
+
+// WebP: drop the EXIF and XMP chunks, clear their flags in the extended
+// header and rewrite the RIFF size
+const VP8X_EXIF_FLAG = 0x08;
+const VP8X_XMP_FLAG = 0x04;
+
+const stripWebpMetadata = (buffer) => {
+  const parts = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buffer.length) {
+      throw imageError("INVALID_IMAGE", "Corrupt WebP image");
+    }
+    if (type === "VP8X") {
+      const chunk = Buffer.from(buffer.subarray(offset, end));
+      chunk[8] &= ~(VP8X_EXIF_FLAG | VP8X_XMP_FLAG);
+      parts.push(chunk);
+    } else if (type !== "EXIF" && type !== "XMP ") {
+      parts.push(buffer.subarray(offset, Math.min(end, buffer.length)));
+    }
+    offset = end;
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "ascii");
+  return Buffer.concat([header, body]);
+};
+
+const METADATA_STRIPPERS = {
+  "image/jpeg": stripJpegMetadata,
+  "image/png": stripPngMetadata,
+  "image/webp": stripWebpMetadata,
+};
+
+// Check an image's type and size and remove its metadata. Returns
+// { mimeType, data (base64), size } or throws UNSUPPORTED_IMAGE_TYPE,
+// IMAGE_TOO_LARGE or INVALID_IMAGE.
+const prepareImage = (buffer) => {
+  if (buffer.length > MAX_IMAGE_BYTES) throw tooLargeError();
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) {
+    throw imageError(
+      "UNSUPPORTED_IMAGE_TYPE",
+      "Images must be JPEG, PNG or WebP"
+    );
+  }
+  const stripped = METADATA_STRIPPERS[mimeType](buffer);
+  return {
+    mimeType,
+    data: stripped.toString("base64"),
+    size: stripped.length,
+  };
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Decode a base64 string or data URL
+const decodeBase64Image = (value) => {
+  if (typeof value !== "string") {
+    throw imageError("INVALID_IMAGE", "Images must be base64 strings");
+  }
+  const dataUrl = value.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+  if (dataUrl && !dataUrl[2]) {
+    throw imageError("INVALID_IMAGE", "Image data URLs must be base64");
+  }
+  const encoded = (dataUrl ? dataUrl[3] : value).replace(/\s/g, "");
+  if (!encoded || !BASE64_PATTERN.test(encoded)) {
+    throw imageError(
+      "INVALID_IMAGE",
+      "Images must be base64 strings or data URLs"
+    );
+  }
+  // Refuse oversized images before decoding them
+  if (Math.floor((encoded.length * 3) / 4) > MAX_IMAGE_BYTES + 2) {
+    throw tooLargeError();
+  }
+  return Buffer.from(encoded, "base64");
+};
+
+const readAttachmentImage = async (logEntry, attachmentId) => {
+  const attachment =
+    typeof attachmentId === "string" && /^[a-f\d]{24}$/i.test(attachmentId)
+      ? logEntry.attachments.id(attachmentId)
+      : null;
+  if (!attachment) {
+    throw imageError(
+      "ATTACHMENT_NOT_FOUND",
+      `Attachment ${attachmentId} not found on this entry`
+    );
+  }
+  // Attachment uploads also accept the non-standard "image/jpg"
+  const mimeType = (attachment.mimeType || "").replace(
+    /^image\/jpg$/,
+    "image/jpeg"
+  );
+  if (!IMAGE_TYPES.includes(mimeType)) {
+    throw imageError(
+      "UNSUPPORTED_IMAGE_TYPE",
+      `Attachment ${attachment.originalName} is not a JPEG, PNG or WebP image`
+    );
+  }
+  if (attachment.size > MAX_IMAGE_BYTES) throw tooLargeError();
+
+  const filePath = resolveUploadPath(attachment.url);
+  let buffer;
+  try {
+    buffer = filePath && (await fs.readFile(filePath));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  if (!buffer) {
+    throw imageError(
+      "ATTACHMENT_NOT_FOUND",
+      `Attachment file ${attachment.originalName} is missing`
+    );
+  }
+  return { attachment, buffer };
+};
+
+// Images for a chat message. Body fields: attachmentIds (entry attachment
+// ids), images (base64 strings or data URLs) and image (a single one, as
+// older clients send). Resolves to { images: [{ mimeType, data }],
+// attachments: [{ attachmentId, originalName }], inlineCount }.
+const loadChatImages = async (logEntry, body = {}) => {
+  const attachmentIds = body.attachmentIds || [];
+  const inlineImages = body.images || [];
+  if (!Array.isArray(attachmentIds) || !Array.isArray(inlineImages)) {
+    throw imageError(
+      "INVALID_IMAGE",
+      "attachmentIds and images must be arrays"
+    );
+  }
+  const inline = [...inlineImages, ...(body.image ? [body.image] : [])];
+  const uniqueIds = [...new Set(attachmentIds.map(String))];
+  if (uniqueIds.length + inline.length > MAX_IMAGES_PER_MESSAGE) {
+    throw imageError(
+      "TOO_MANY_IMAGES",
+      `At most ${MAX_IMAGES_PER_MESSAGE} images can be sent with a message`
+    );
+  }
+
+  const images = [];
+  const attachments = [];
+  for (const attachmentId of uniqueIds) {
+    const { attachment, buffer } = await readAttachmentImage(
+      logEntry,
+      attachmentId
+    );
+    const { mimeType, data } = prepareImage(buffer);
+    images.push({ mimeType, data });
+    attachments.push({
+      attachmentId: attachment._id,
+      originalName: attachment.originalName,
+    });
+  }
+  for (const value of inline) {
+    const { mimeType, data } = prepareImage(decodeBase64Image(value));
+    images.push({ mimeType, data });
+  }
+
+  return { images, attachments, inlineCount: inline.length };
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_MESSAGE,
+  detectImageType,
+  prepareImage,
+  loadChatImages,
+};
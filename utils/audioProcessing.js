@@ -0,0 +1,322 @@
+//utils/audioProcessing.js
+
+// Audio facts and format conversion via ffprobe/ffmpeg, which must be
+// installed on the server (override the binaries with FFPROBE_PATH and
+// FFMPEG_PATH).
+
+const { execFile } = require("child_process");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Format every provider accepts: 16 kHz mono 16-bit PCM WAV
+const TRANSCODE_SAMPLE_RATE = 16000;
+
+// Speech API encoding for a probed codec, by container where it matters
+const SPEECH_ENCODINGS = {
+  pcm_s16le: "LINEAR16",
+  flac: "FLAC",
+  mp3: "MP3",
+  amr_nb: "AMR",
+  amr_wb: "AMR_WB",
+  pcm_mulaw: "MULAW",
+};
+
+const run = (binary, args) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      binary,
+      args,
+      { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          if (error.code !== "ENOENT") {
+            error.message = (stderr || "").trim() || error.message;
+          }
+          return reject(error);
+        }
+        resolve({ stdout, stderr });
+      }
+    );
+  });
+
+// ffmpeg writes its log (and filter output) to stderr
+const runFfmpeg = async (args) => {
+  try {
+    return (await run(FFMPEG_PATH, args)).stderr;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw Object.assign(new Error("ffmpeg is not installed"), {
+        code: "FFMPEG_UNAVAILABLE",
+      });
+    }
+    throw error;
+  }
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Read container, codec, sample rate, channels and duration of a file.
+// Throws with code INVALID_AUDIO when the file has no readable audio stream
+// and FFPROBE_UNAVAILABLE when ffprobe is not installed.
+const probeAudio = async (filePath) => {
+  let output;
+  try {
+    ({ stdout: output } = await run(FFPROBE_PATH, [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      "-select_streams",
+      "a:0",
+      filePath,
+    ]));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw Object.assign(new Error("ffprobe is not installed"), {
+        code: "FFPROBE_UNAVAILABLE",
+      });
+    }
+    throw Object.assign(
+      new Error(`Unreadable audio file: ${error.message}`),
+      { code: "INVALID_AUDIO" }
+    );
+  }
+
+  const probe = JSON.parse(output || "{}");
+  const stream = (probe.streams || [])[0];
+  if (!stream) {
+    throw Object.assign(new Error("File contains no audio stream"), {
+      code: "INVALID_AUDIO",
+    });
+  }
+
+  const format = probe.format || {};
+  return {
+    // ffprobe lists aliases, e.g. "mov,mp4,m4a,3gp,3g2,mj2"
+    container: (format.format_name || "").split(",")[0] || null,
+    codec: stream.codec_name || null,
+    sampleRate: toNumber(stream.sample_rate),
+    channels: stream.channels || null,
+    duration: toNumber(stream.duration) ?? toNumber(format.duration),
+    bitRate: toNumber(stream.bit_rate) ?? toNumber(format.bit_rate),
+    probedAt: new Date(),
+  };
+};
+
+// Probe a freshly uploaded file. Returns null when ffprobe is not installed
+// so uploads still work; unreadable audio is still rejected.
+const probeUpload = async (filePath) => {
+  try {
+    return await probeAudio(filePath);
+  } catch (error) {
+    if (error.code !== "FFPROBE_UNAVAILABLE") throw error;
+    console.warn("Skipping audio probe:", error.message);
+    return null;
+  }
+};
+
+// Recording fields taken from a probe
+const recordingAudioFields = (info) => ({
+  audioInfo: info,
+  duration: info && info.duration ? Math.round(info.duration) : null,
+});
+
+// Speech API encoding name for probed audio, or null if none matches
+const getSpeechEncoding = (info) => {
+  if (!info || !info.codec) return null;
+  if (info.codec === "opus") {
+    if (info.container === "ogg") return "OGG_OPUS";
+    if (info.container === "matroska") return "WEBM_OPUS";
+    return null;
+  }
+  return SPEECH_ENCODINGS[info.codec] || null;
+};
+
+// Whether a provider can take the audio as it is
+const isSupportedByProvider = (info, capabilities) => {
+  const encoding = getSpeechEncoding(info);
+  if (!encoding || !capabilities.encodings.includes(encoding)) return false;
+  if (
+    capabilities.sampleRates &&
+    !capabilities.sampleRates.includes(info.sampleRate)
+  ) {
+    return false;
+  }
+  if (!info.sampleRate || info.sampleRate < 8000 || info.sampleRate > 48000) {
+    return false;
+  }
+  // Multi-channel audio would need per-channel recognition
+  return info.channels === 1;
+};
+
+const linear16Args = (outputPath) => [
+  "-vn",
+  "-ac",
+  "1",
+  "-ar",
+  String(TRANSCODE_SAMPLE_RATE),
+  "-c:a",
+  "pcm_s16le",
+  "-f",
+  "wav",
+  outputPath,
+];
+
+// Convert audio to 16 kHz mono WAV and return its contents. Pass start and
+// length (seconds) to convert only part of the file.
+const transcodeToLinear16 = async (filePath, { start, length } = {}) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "froglog-audio-"));
+  try {
+    const outputPath = path.join(workDir, "audio.wav");
+    const range =
+      start !== undefined ? ["-ss", String(start), "-t", String(length)] : [];
+    await runFfmpeg([
+      "-v",
+      "error",
+      ...range,
+      "-i",
+      filePath,
+      ...linear16Args(outputPath),
+    ]);
+    return await fs.readFile(outputPath);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Find pauses in a recording. Resolves to [{ start, end }] in seconds.
+const detectSilences = async (
+  filePath,
+  { noiseDb = -35, minSilenceSeconds = 0.4 } = {}
+) => {
+  const log = await runFfmpeg([
+    "-hide_banner",
+    "-nostats",
+    "-i",
+    filePath,
+    "-af",
+    `silencedetect=noise=${noiseDb}dB:d=${minSilenceSeconds}`,
+    "-f",
+    "null",
+    "-",
+  ]);
+
+  const silences = [];
+  let start = null;
+  log.split("\n").forEach((line) => {
+    const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+    const endMatch = line.match(/silence_end: ([\d.]+)/);
+    if (startMatch) start = Math.max(0, parseFloat(startMatch[1]));
+    if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  });
+  return silences;
+};
+
+const UPLOADS_ROOT = path.join(__dirname, "..", "uploads");
+
+// Absolute path of a stored recording from its /uploads/... url. Throws
+// INVALID_RECORDING_URL for anything that would escape the uploads directory.
+const resolveRecordingPath = (url) => {
+  const filePath =
+    typeof url === "string" && url.startsWith("/uploads/")
+      ? path.resolve(UPLOADS_ROOT, url.substring("/uploads/".length))
+      : null;
+  if (!filePath || !filePath.startsWith(UPLOADS_ROOT + path.sep)) {
+    throw Object.assign(
+      new Error("Recording file is outside the uploads directory"),
+      { code: "INVALID_RECORDING_URL" }
+    );
+  }
+  return filePath;
+};
+
+// Probe facts for a recording stored before probing existed. The caller
+// should persist recording.audioInfo and recording.duration. Resolves to
+// null when ffprobe is not installed.
+const ensureAudioInfo = async (recording) => {
+  if (recording.audioInfo && recording.audioInfo.codec) {
+    return recording.audioInfo;
+  }
+  let info;
+  try {
+    info = await probeAudio(resolveRecordingPath(recording.url));
+  } catch (error) {
+    if (error.code !== "FFPROBE_UNAVAILABLE") throw error;
+    return null;
+  }
+  recording.audioInfo = info;
+  if (info.duration) recording.duration = Math.round(info.duration);
+  return info;
+};
+
+// Load a recording in a form the provider accepts.
+// Resolves to { buffer, encoding, sampleRateHertz, info, transcoded }.
+const prepareRecordingAudio = async (recording, provider) => {
+  const filePath = resolveRecordingPath(recording.url);
+  const info = await ensureAudioInfo(recording);
+
+  // Without ffprobe, assume the mobile app's WebM/Opus recording format
+  if (!info) {
+    return {
+      buffer: await fs.readFile(filePath),
+      encoding: "WEBM_OPUS",
+      sampleRateHertz: 48000,
+      info: null,
+      transcoded: false,
+    };
+  }
+
+  if (isSupportedByProvider(info, provider.capabilities)) {
+    return {
+      buffer: await fs.readFile(filePath),
+      encoding: getSpeechEncoding(info),
+      sampleRateHertz: info.sampleRate,
+      info,
+      transcoded: false,
+    };
+  }
+
+  return {
+    buffer: await transcodeToLinear16(filePath),
+    encoding: "LINEAR16",
+    sampleRateHertz: TRANSCODE_SAMPLE_RATE,
+    info,
+    transcoded: true,
+  };
+};
+
+// Whether a recording is too long for a provider's synchronous API
+const needsLongTranscription = (recording, provider) => {
+  const limit = provider.capabilities.maxSyncSeconds;
+  if (!limit) return false;
+  if (recording.duration) return recording.duration > limit;
+  // Unknown duration: assume roughly a minute per MB
+  return (recording.size || 0) > 1024 * 1024;
+};
+
+module.exports = {
+  probeAudio,
+  probeUpload,
+  recordingAudioFields,
+  getSpeechEncoding,
+  isSupportedByProvider,
+  transcodeToLinear16,
+  detectSilences,
+  resolveRecordingPath,
+  ensureAudioInfo,
+  prepareRecordingAudio,
+  needsLongTranscription,
+};
@@ -0,0 +1,420 @@
+//utils/entryImporter.js
+
+const path = require("path");
+const mongoose = require("mongoose");
+const LogEntry = require("../models/LogEntry");
+const LogType = require("../models/LogType");
+const Import = require("../models/Import");
+const {
+  LOG_TYPE_FIELDS,
+  buildEntryFromRecord,
+} = require("./entryInterchange");
+const { validateEntryData } = require("./logTypeFields");
+const { resolveUploadPath } = require("./exportRenderers");
+
+const IMPORT_BATCH_SIZE = 100;
+const MAX_REPORTED_ERRORS = 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Uploaded files are stored as "<userId>_<name>", so a record may only point
+// at files the importing user uploaded themselves
+const isOwnUploadUrl = (url, userId) => {
+  const filePath = resolveUploadPath(url);
+  return Boolean(filePath) && path.basename(filePath).startsWith(`${userId}_`);
+};
+
+// Errors for recordings and attachments whose files the user does not own
+const checkFileUrls = (entry, userId) =>
+  ["audioRecordings", "attachments"].flatMap((field) =>
+    (Array.isArray(entry[field]) ? entry[field] : []).flatMap((file, index) =>
+      isOwnUploadUrl(file && file.url, userId)
+        ? []
+        : [
+            {
+              field: `${field}[${index}].url`,
+              code: "INVALID_FILE_URL",
+              message: "File must be one of your own uploads",
+            },
+          ]
+    )
+  );
+
+const isAdmin = (user) => user.role === "admin" || user.role === "client_admin";
+
+// Resolve the target LogType for every distinct source log type in the
+// records. Explicit mappings win, then a same-name log type in the user's
+// client, then (for admins) a new log type built from the embedded definition.
+const resolveLogTypes = async (
+  records,
+  { user, logTypeMap = {}, createMissingLogTypes = false, dryRun = false }
+) => {
+  const clientId = user.clientId._id;
+  const resolved = new Map();
+
+  for (const record of records) {
+    if (!record) continue;
+    const definition = record.logType || {};
+    const key = definition.sourceId || definition.name || record.logTypeId;
+    if (!key || resolved.has(key)) continue;
+
+    let logType = null;
+    const mappedId =
+      logTypeMap[definition.sourceId] ||
+      logTypeMap[definition.name] ||
+      logTypeMap[record.logTypeId];
+
+    if (mappedId && mongoose.Types.ObjectId.isValid(mappedId)) {
+      logType = await LogType.findOne({ _id: mappedId, clientId });
+      if (!logType) {
+        resolved.set(key, {
+          error: {
+            code: "MAPPED_LOG_TYPE_NOT_FOUND",
+            message: `Mapped log type ${mappedId} does not exist in your organisation`,
+          },
+        });
+        continue;
+      }
+    }
+
+    if (!logType && definition.name) {
+      logType = await LogType.findOne({
+        clientId,
+        name: new RegExp(`^${escapeRegex(definition.name)}$`, "i"),
+      });
+    }
+
+    if (!logType && definition.name && createMissingLogTypes) {
+      const data = LOG_TYPE_FIELDS.reduce(
+        (values, field) => {
+          if (definition[field] !== undefined) values[field] = definition[field];
+          return values;
+        },
+        { clientId, isSystem: false, isActive: true }
+      );
+      data.fields = (data.fields || []).map(({ _id, ...field }) => field);
+
+      logType = new LogType(data);
+      if (!dryRun) {
+        await logType.save();
+      }
+      resolved.set(key, { logType, created: true });
+      continue;
+    }
+
+    resolved.set(
+      key,
+      logType
+        ? { logType, created: false }
+        : {
+            error: {
+              code: "LOG_TYPE_NOT_FOUND",
+              message: definition.name
+                ? `No log type named "${definition.name}" in your organisation`
+                : "Entry has no log type definition",
+            },
+          }
+    );
+  }
+
+  return resolved;
+};
+
+const logTypeKeyFor = (record) => {
+  const definition = record.logType || {};
+  return definition.sourceId || definition.name || record.logTypeId;
+};
+
+// Find records already imported (or originally created) for this user
+const findExistingExternalIds = async (userId, externalIds) => {
+  if (externalIds.length === 0) return new Set();
+
+  const objectIds = externalIds.filter((id) =>
+    mongoose.Types.ObjectId.isValid(id)
+  );
+  const existing = await LogEntry.find({
+    userId,
+    $or: [
+      { externalId: { $in: externalIds } },
+      { _id: { $in: objectIds } },
+    ],
+  }).select("_id externalId");
+
+  const ids = new Set();
+  existing.forEach((entry) => {
+    ids.add(entry._id.toString());
+    if (entry.externalId) ids.add(entry.externalId);
+  });
+  return ids;
+};
+
+// Insert prepared entries in batches. An ordered insert stops at the first
+// failing row, so the rows before it are kept and the rest of the batch is
+// retried one entry at a time to report the offending rows individually.
+const insertInBatches = async (rows, batchSize = IMPORT_BATCH_SIZE) => {
+  const created = [];
+  const failed = [];
+
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    try {
+      const docs = await LogEntry.insertMany(
+        batch.map((row) => row.doc),
+        { ordered: true }
+      );
+      docs.forEach((doc, index) => created.push({ row: batch[index], doc }));
+    } catch (batchError) {
+      const inserted = batchError.insertedDocs || [];
+      inserted.forEach((doc, index) => created.push({ row: batch[index], doc }));
+
+      for (const row of batch.slice(inserted.length)) {
+        try {
+          const [doc] = await LogEntry.insertMany([row.doc]);
+          created.push({ row, doc });
+        } catch (error) {
+          failed.push({
+            row,
+            code: error.code === 11000 ? "DUPLICATE_ENTRY" : "INSERT_FAILED",
+            message: error.message,
+          });
+        }
+      }
+    }
+  }
+
+  return { created, failed };
+};
+
+// insertMany skips the LogEntry post-save hook, so bump usage stats here
+const updateLogTypeUsage = async (createdDocs) => {
+  const counts = {};
+  createdDocs.forEach(({ doc }) => {
+    const id = doc.logTypeId.toString();
+    counts[id] = (counts[id] || 0) + 1;
+  });
+
+  await Promise.all(
+    Object.entries(counts).map(([logTypeId, count]) =>
+      LogType.findByIdAndUpdate(logTypeId, {
+        $inc: { "usage.totalEntries": count },
+        $set: { "usage.lastUsed": new Date() },
+      })
+    )
+  );
+};
+
+// Insert prepared rows (skipped on a dry run) and record the outcome
+const saveImportResult = async ({
+  user,
+  source,
+  filename = null,
+  dryRun = false,
+  totalRows,
+  prepared,
+  skipped = [],
+  rowErrors = [],
+  logTypeMap = {},
+  logTypeId = null,
+  columnMapping = null,
+}) => {
+  const errors = [...rowErrors];
+
+  let createdRows = [];
+  if (!dryRun && prepared.length > 0) {
+    const { created, failed } = await insertInBatches(prepared);
+    createdRows = created;
+    failed.forEach(({ row, code, message }) => {
+      errors.push({
+        row: row.row,
+        externalId: row.externalId,
+        code,
+        message,
+      });
+    });
+    await updateLogTypeUsage(created);
+  }
+
+  const createdCount = dryRun ? prepared.length : createdRows.length;
+  const totals = {
+    rows: totalRows,
+    created: createdCount,
+    skipped: skipped.length,
+    failed: totalRows - skipped.length - createdCount,
+  };
+
+  const importDoc = new Import({
+    userId: user._id,
+    clientId: user.clientId._id,
+    source,
+    filename,
+    dryRun,
+    status:
+      totals.created === 0 && totals.failed > 0
+        ? "failed"
+        : totals.failed > 0
+        ? "completed_with_errors"
+        : "completed",
+    totals,
+    logTypeId,
+    logTypeMap,
+    columnMapping,
+    createdEntryIds: createdRows.map(({ doc }) => doc._id),
+    rowErrors: [...errors, ...skipped]
+      .sort((a, b) => (a.row || 0) - (b.row || 0))
+      .slice(0, MAX_REPORTED_ERRORS),
+  });
+  await importDoc.save();
+
+  return importDoc;
+};
+
+// Import interchange records for a user and record the outcome
+const importEntryRecords = async (
+  records,
+  {
+    user,
+    source,
+    filename = null,
+    parseErrors = [],
+    logTypeMap = {},
+    createMissingLogTypes = false,
+    dryRun = false,
+  }
+) => {
+  const rowErrors = [...parseErrors];
+  const skipped = [];
+  const prepared = [];
+
+  const logTypes = await resolveLogTypes(records, {
+    user,
+    logTypeMap,
+    createMissingLogTypes: createMissingLogTypes && isAdmin(user),
+    dryRun,
+  });
+
+  const externalIds = records
+    .filter(Boolean)
+    .map((record) => record.externalId || record.sourceId)
+    .filter(Boolean)
+    .map(String);
+  const existingIds = await findExistingExternalIds(user._id, externalIds);
+  const seenIds = new Set();
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    if (!record) return; // Parse error already reported
+
+    const externalId = record.externalId || record.sourceId || null;
+
+    if (typeof record !== "object" || Array.isArray(record)) {
+      rowErrors.push({
+        row,
+        code: "INVALID_RECORD",
+        message: "Record must be an object",
+      });
+      return;
+    }
+
+    const isDuplicate =
+      externalId &&
+      (existingIds.has(String(externalId)) || seenIds.has(String(externalId)));
+
+    if (isDuplicate) {
+      skipped.push({
+        row,
+        externalId: String(externalId),
+        code: "DUPLICATE_ENTRY",
+        message: "Entry already exists and was skipped",
+      });
+      return;
+    }
+
+    const resolution = logTypes.get(logTypeKeyFor(record));
+    if (!resolution || resolution.error) {
+      rowErrors.push({
+        row,
+        externalId,
+        field: "logType",
+        ...(resolution?.error || {
+          code: "LOG_TYPE_NOT_FOUND",
+          message: "Entry has no log type definition",
+        }),
+      });
+      return;
+    }
+
+    const doc = new LogEntry({
+      ...buildEntryFromRecord(record, {
+        userId: user._id,
+        clientId: user.clientId._id,
+        logTypeId: resolution.logType._id,
+      }),
+      logTypeVersion: resolution.logType.schemaVersion,
+    });
+
+    const recordErrors = checkFileUrls(doc, user._id);
+
+    // Drafts may be imported with required fields still empty
+    const validation = validateEntryData(resolution.logType, doc.data, {
+      enforceRequired: doc.status !== "draft",
+    });
+    validation.errors.forEach((error) => {
+      recordErrors.push({ ...error, field: `data.${error.field}` });
+    });
+    doc.data = validation.data;
+
+    const validationError = doc.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach((error) => {
+        recordErrors.push({
+          field: error.path,
+          code: "VALIDATION_ERROR",
+          message: error.message,
+        });
+      });
+    }
+
+    if (recordErrors.length > 0) {
+      recordErrors.forEach((error) => {
+        rowErrors.push({ row, externalId, ...error });
+      });
+      return;
+    }
+
+    if (externalId) seenIds.add(String(externalId));
+    prepared.push({ row, externalId, doc });
+  });
+
+  const logTypeSummary = {};
+  logTypes.forEach((resolution, key) => {
+    logTypeSummary[key] = resolution.error
+      ? { error: resolution.error.code }
+      : {
+          logTypeId: resolution.logType._id,
+          name: resolution.logType.name,
+          created: resolution.created,
+        };
+  });
+
+  return saveImportResult({
+    user,
+    source,
+    filename,
+    dryRun,
+    totalRows: records.length,
+    prepared,
+    skipped,
+    rowErrors,
+    logTypeMap: logTypeSummary,
+  });
+};
+
+module.exports = {
+  IMPORT_BATCH_SIZE,
+  resolveLogTypes,
+  findExistingExternalIds,
+  insertInBatches,
+  updateLogTypeUsage,
+  saveImportResult,
+  importEntryRecords,
+};
@@ -0,0 +1,178 @@
+//utils/entryInterchange.js
+
+// Lossless JSON / NDJSON interchange format for log entries. Every record
+// carries its log type definition so it can be re-imported into another
+// client, and a stable externalId so repeated imports can be deduplicated.
+
+const INTERCHANGE_FORMAT = "froglog.log-entries";
+const INTERCHANGE_VERSION = 1;
+
+// Entry fields copied verbatim in both directions
+const PORTABLE_FIELDS = [
+  "title",
+  "data",
+  "notes",
+  "status",
+  "tags",
+  "location",
+  "participants",
+  "isPrivate",
+  "aiContextCategory",
+  "audioRecordings",
+  "reflections",
+  "attachments",
+  "aiChatHistory",
+  "completedAt",
+  "reviewedAt",
+  "createdAt",
+  "updatedAt",
+];
+
+const LOG_TYPE_FIELDS = [
+  "name",
+  "description",
+  "category",
+  "color",
+  "icon",
+  "fields",
+  "settings",
+];
+
+// Stable identifier for an entry across exports and imports
+const getExternalId = (entry) =>
+  entry.externalId || (entry._id ? entry._id.toString() : null);
+
+// Serialize a LogEntry (with logTypeId populated) into an interchange record
+const serializeEntry = (entry) => {
+  const plain = entry.toObject ? entry.toObject({ virtuals: false }) : entry;
+  const logType = plain.logTypeId?._id ? plain.logTypeId : null;
+
+  const record = {
+    externalId: getExternalId(plain),
+    sourceId: plain._id ? plain._id.toString() : null,
+  };
+
+  PORTABLE_FIELDS.forEach((field) => {
+    if (plain[field] !== undefined) record[field] = plain[field];
+  });
+
+  record.logType = logType
+    ? LOG_TYPE_FIELDS.reduce(
+        (definition, field) => {
+          if (logType[field] !== undefined) definition[field] = logType[field];
+          return definition;
+        },
+        { sourceId: logType._id.toString() }
+      )
+    : {
+        sourceId: plain.logTypeId ? plain.logTypeId.toString() : null,
+      };
+
+  return record;
+};
+
+// Wrap serialized records in the JSON document envelope
+const buildJsonDocument = (records) => ({
+  format: INTERCHANGE_FORMAT,
+  version: INTERCHANGE_VERSION,
+  exportedAt: new Date().toISOString(),
+  entryCount: records.length,
+  entries: records,
+});
+
+// Parse an uploaded JSON or NDJSON file into records. Lines that fail to
+// parse are returned as row errors instead of aborting the whole file.
+const parseInterchangeFile = (buffer) => {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const trimmed = text.trim();
+  const errors = [];
+
+  if (!trimmed) {
+    return { records: [], errors, format: null };
+  }
+
+  // Whole-document JSON (envelope or bare array)
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) {
+        return { records: parsed, errors, format: "json" };
+      }
+      if (Array.isArray(parsed.entries)) {
+        if (parsed.format && parsed.format !== INTERCHANGE_FORMAT) {
+          throw new Error(`Unsupported file format: ${parsed.format}`);
+        }
+        if (parsed.version > INTERCHANGE_VERSION) {
+          throw new Error(`Unsupported format version: ${parsed.version}`);
+        }
+        return { records: parsed.entries, errors, format: "json" };
+      }
+      // A single record, pretty-printed or as one-line NDJSON
+      if (parsed && typeof parsed === "object") {
+        return {
+          records: [parsed],
+          errors,
+          format: trimmed.includes("\n") ? "json" : "ndjson",
+        };
+      }
+    } catch (error) {
+      if (error.message.startsWith("Unsupported")) throw error;
+      // Fall through to NDJSON parsing
+    }
+  }
+
+  const records = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      errors.push({
+        row: index + 1,
+        code: "INVALID_JSON",
+        message: `Line ${index + 1} is not valid JSON`,
+      });
+      records.push(null);
+    }
+  });
+
+  return { records, errors, format: "ndjson" };
+};
+
+// Build LogEntry document data from an interchange record
+const buildEntryFromRecord = (record, { userId, clientId, logTypeId }) => {
+  const entry = {
+    userId,
+    clientId,
+    logTypeId,
+    externalId: record.externalId || record.sourceId || null,
+  };
+
+  PORTABLE_FIELDS.forEach((field) => {
+    if (record[field] !== undefined && record[field] !== null) {
+      entry[field] = record[field];
+    }
+  });
+
+  // Strip subdocument ids so they are regenerated in the target database
+  ["audioRecordings", "reflections", "attachments", "aiChatHistory"].forEach(
+    (field) => {
+      if (Array.isArray(entry[field])) {
+        entry[field] = entry[field].map(({ _id, ...rest }) => rest);
+      }
+    }
+  );
+
+  return entry;
+};
+
+module.exports = {
+  INTERCHANGE_FORMAT,
+  INTERCHANGE_VERSION,
+  LOG_TYPE_FIELDS,
+  getExternalId,
+  serializeEntry,
+  buildJsonDocument,
+  parseInterchangeFile,
+  buildEntryFromRecord,
+};
@@ -0,0 +1,888 @@
+//utils/exportRenderers.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const PDFDocument = require("pdfkit");
+const ExcelJS = require("exceljs");
+const archiver = require("archiver");
+const LogEntry = require("../models/LogEntry");
+const {
+  getOrderedFields,
+  formatFieldValue,
+  collectReferenceIds,
+} = require("./logTypeFields");
+const { serializeEntry, buildJsonDocument } = require("./entryInterchange");
+
+// Output details for each supported export format
+const EXPORT_FORMATS = {
+  csv: {
+    extension: "csv",
+    mimeType: "text/csv",
+  },
+  excel: {
+    extension: "xlsx",
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  pdf: {
+    extension: "pdf",
+    mimeType: "application/pdf",
+  },
+  zip: {
+    extension: "zip",
+    mimeType: "application/zip",
+  },
+  json: {
+    extension: "json",
+    mimeType: "application/json",
+  },
+  ndjson: {
+    extension: "ndjson",
+    mimeType: "application/x-ndjson",
+  },
+};
+
+// Stored files referenced by entries ("/uploads/...") live under this root
+const UPLOADS_ROOT = path.join(__dirname, "..", "uploads");
+
+// Accept the aliases used by user preferences ("xlsx") and older clients
+const normalizeExportFormat = (format) => {
+  const value = (format || "").toString().toLowerCase();
+  if (value === "xlsx") return "excel";
+  return EXPORT_FORMATS[value] ? value : null;
+};
+
+// Build the LogEntry query shared by every export
+const buildExportQuery = (userId, filters = {}) => {
+  const { dateFrom, dateTo, logType, status } = filters;
+
+  let query = { userId };
+
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) query.createdAt.$lte = new Date(dateTo);
+  }
+
+  if (logType) query.logTypeId = logType;
+  if (status) query.status = status;
+
+  return query;
+};
+
+// Load the entries matching an export's filters
+const findExportEntries = (userId, filters = {}) => {
+  return LogEntry.find(buildExportQuery(userId, filters))
+    .populate(
+      "logTypeId",
+      "name description category color icon fields settings"
+    )
+    .sort("-createdAt");
+};
+
+const buildExportFilename = (format, date = new Date()) => {
+  return `froglog-export-${date.toISOString().split("T")[0]}.${
+    EXPORT_FORMATS[format].extension
+  }`;
+};
+
+const escapeCsv = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+
+const logTypeKey = (entry) =>
+  entry.logTypeId?._id ? entry.logTypeId._id.toString() : "unknown";
+
+// Group entries by log type, keeping the order the log types first appear
+const groupEntriesByLogType = (entries) => {
+  const groups = new Map();
+
+  entries.forEach((entry) => {
+    const key = logTypeKey(entry);
+    if (!groups.has(key)) {
+      const logType = entry.logTypeId?._id ? entry.logTypeId : null;
+      groups.set(key, {
+        key,
+        logType,
+        fields: getOrderedFields(logType),
+        entries: [],
+      });
+    }
+    groups.get(key).entries.push(entry);
+  });
+
+  return [...groups.values()];
+};
+
+// One column per log type field; prefixed with the log type name when the
+// export mixes log types so identically labelled fields stay distinguishable
+const buildFieldColumns = (groups) => {
+  const prefix = groups.length > 1;
+  return groups.flatMap((group) =>
+    group.fields.map((field) => ({
+      groupKey: group.key,
+      field,
+      header: prefix
+        ? `${group.logType?.name || "Unknown"}: ${field.label}`
+        : field.label,
+    }))
+  );
+};
+
+const getEntryData = (entry) => entry.data || {};
+
+// Options controlling how much detail an export embeds
+const EXPORT_OPTION_DEFAULTS = {
+  includeTranscripts: false,
+  includeReflections: true,
+  includeChatHistory: false,
+};
+
+// Formats whose defaults differ: the portfolio bundle is the complete record
+const FORMAT_OPTION_DEFAULTS = {
+  zip: { includeTranscripts: true, includeReflections: true },
+};
+
+const parseBoolean = (value) =>
+  value === true || value === 1 || value === "true" || value === "1";
+
+// Resolve export options from a request body or query string. Unset options
+// take the format's default, then (for reflections) the user's export
+// preference, then the general default.
+const resolveExportOptions = (source = {}, user = null, format = null) => {
+  const options = {};
+  const formatDefaults = FORMAT_OPTION_DEFAULTS[format] || {};
+
+  Object.keys(EXPORT_OPTION_DEFAULTS).forEach((key) => {
+    if (source[key] !== undefined && source[key] !== "") {
+      options[key] = parseBoolean(source[key]);
+    } else if (formatDefaults[key] !== undefined) {
+      options[key] = formatDefaults[key];
+    } else if (
+      key === "includeReflections" &&
+      typeof user?.preferences?.includeReflections === "boolean"
+    ) {
+      options[key] = user.preferences.includeReflections;
+    } else {
+      options[key] = EXPORT_OPTION_DEFAULTS[key];
+    }
+  });
+
+  return options;
+};
+
+const getRecordings = (entry) => entry.audioRecordings || [];
+
+const hasAudio = (entry) => getRecordings(entry).length > 0;
+
+const hasTranscript = (entry) =>
+  getRecordings(entry).some((recording) => recording.transcript);
+
+// Format a duration in seconds as m:ss
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined || isNaN(seconds)) return "";
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+const getTotalDuration = (entry) =>
+  getRecordings(entry).reduce(
+    (sum, recording) => sum + (recording.duration || 0),
+    0
+  );
+
+const formatTimestamp = (date) =>
+  date ? new Date(date).toISOString().replace("T", " ").slice(0, 16) : "";
+
+// Write entries as CSV to a writable stream
+const writeCsv = async (
+  entries,
+  output,
+  { options = {}, references = null } = {}
+) => {
+  const fieldColumns = buildFieldColumns(groupEntriesByLogType(entries));
+
+  const header = [
+    "Title",
+    "Log Type",
+    "Category",
+    "Status",
+    "Date",
+    ...fieldColumns.map((column) => escapeCsv(column.header)),
+    "Notes",
+    "Tags",
+    "Audio",
+    "Transcript",
+    "Recordings",
+    "Audio Duration",
+    "Transcription Status",
+  ];
+  if (options.includeTranscripts) header.push("Transcripts");
+  const csvRows = [header.join(",")];
+
+  entries.forEach((entry) => {
+    const data = getEntryData(entry);
+    const key = logTypeKey(entry);
+
+    const row = [
+      escapeCsv(entry.title),
+      escapeCsv(entry.logTypeId?.name || "Unknown"),
+      escapeCsv(entry.logTypeId?.category || "Unknown"),
+      entry.status,
+      entry.createdAt.toISOString().split("T")[0],
+      ...fieldColumns.map((column) =>
+        escapeCsv(
+          column.groupKey === key
+            ? formatFieldValue(column.field, data[column.field.fieldName], {
+                references,
+              })
+            : ""
+        )
+      ),
+      escapeCsv(entry.notes || ""),
+      escapeCsv(entry.tags.join(", ")),
+      hasAudio(entry) ? "Yes" : "No",
+      hasTranscript(entry) ? "Yes" : "No",
+      getRecordings(entry).length,
+      escapeCsv(hasAudio(entry) ? formatDuration(getTotalDuration(entry)) : ""),
+      escapeCsv(
+        getRecordings(entry)
+          .map(
+            (recording, i) => `${i + 1}: ${recording.transcriptionStatus}`
+          )
+          .join("; ")
+      ),
+    ];
+    if (options.includeTranscripts) {
+      row.push(
+        escapeCsv(
+          getRecordings(entry)
+            .map((recording, i) =>
+              recording.transcript
+                ? `Recording ${i + 1}: ${recording.transcript}`
+                : null
+            )
+            .filter(Boolean)
+            .join("\n\n")
+        )
+      );
+    }
+    csvRows.push(row.join(","));
+  });
+
+  output.end(csvRows.join("\n"));
+};
+
+// Excel worksheet names are limited to 31 characters and cannot contain
+// : \ / ? * [ ]
+const buildWorksheetName = (name, usedNames) => {
+  const base =
+    (name || "Unknown")
+      .replace(/[:\\/?*[\]]/g, " ")
+      .trim()
+      .slice(0, 31) || "Log Entries";
+  let candidate = base;
+  let counter = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    const suffix = ` (${counter++})`;
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+const styleHeaderRow = (worksheet) => {
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FFE0E0E0" },
+  };
+};
+
+// Add a worksheet holding the given entries and their log type fields
+const addEntriesWorksheet = (
+  workbook,
+  name,
+  entries,
+  fieldColumns,
+  references = null
+) => {
+  const worksheet = workbook.addWorksheet(name);
+
+  // Define columns
+  worksheet.columns = [
+    { header: "Title", key: "title", width: 30 },
+    { header: "Log Type", key: "logType", width: 20 },
+    { header: "Category", key: "category", width: 15 },
+    { header: "Status", key: "status", width: 12 },
+    { header: "Date", key: "date", width: 12 },
+    ...fieldColumns.map((column, index) => ({
+      header: column.header,
+      key: `field_${index}`,
+      width: column.field.fieldType === "textarea" ? 40 : 18,
+      style:
+        column.field.fieldType === "date"
+          ? { numFmt: "yyyy-mm-dd" }
+          : column.field.fieldType === "datetime"
+          ? { numFmt: "yyyy-mm-dd hh:mm" }
+          : undefined,
+    })),
+    { header: "Notes", key: "notes", width: 40 },
+    { header: "Tags", key: "tags", width: 20 },
+    { header: "Has Audio", key: "hasAudio", width: 10 },
+    { header: "Has Transcript", key: "hasTranscript", width: 15 },
+    { header: "Recordings", key: "recordings", width: 12 },
+  ];
+
+  // Add rows
+  entries.forEach((entry) => {
+    const data = getEntryData(entry);
+    const row = {
+      title: entry.title,
+      logType: entry.logTypeId?.name || "Unknown",
+      category: entry.logTypeId?.category || "Unknown",
+      status: entry.status,
+      date: entry.createdAt.toISOString().split("T")[0],
+      notes: entry.notes || "",
+      tags: entry.tags.join(", "),
+      hasAudio: hasAudio(entry) ? "Yes" : "No",
+      hasTranscript: hasTranscript(entry) ? "Yes" : "No",
+      recordings: getRecordings(entry).length,
+    };
+    fieldColumns.forEach((column, index) => {
+      row[`field_${index}`] = formatFieldValue(
+        column.field,
+        data[column.field.fieldName],
+        { typed: true, references }
+      );
+    });
+    worksheet.addRow(row);
+  });
+
+  styleHeaderRow(worksheet);
+  return worksheet;
+};
+
+// Add a worksheet with one row per audio recording
+const addRecordingsWorksheet = (workbook, name, entries, options) => {
+  const worksheet = workbook.addWorksheet(name);
+
+  const columns = [
+    { header: "Entry", key: "entry", width: 30 },
+    { header: "Entry Date", key: "entryDate", width: 12 },
+    { header: "Recording", key: "recording", width: 10 },
+    { header: "File", key: "file", width: 25 },
+    { header: "Uploaded", key: "uploaded", width: 17 },
+    { header: "Duration", key: "duration", width: 10 },
+    { header: "Transcription Status", key: "status", width: 20 },
+    { header: "Transcribed", key: "transcribed", width: 17 },
+    { header: "Has Improved Transcript", key: "hasImproved", width: 12 },
+    { header: "Has AI Response", key: "hasAiResponse", width: 12 },
+  ];
+  if (options.includeTranscripts) {
+    columns.push(
+      { header: "Transcript", key: "transcript", width: 60 },
+      { header: "Improved Transcript", key: "improvedTranscript", width: 60 },
+      { header: "AI Response", key: "aiResponse", width: 60 }
+    );
+  }
+  worksheet.columns = columns;
+
+  entries.forEach((entry) => {
+    getRecordings(entry).forEach((recording, index) => {
+      worksheet.addRow({
+        entry: entry.title,
+        entryDate: entry.createdAt.toISOString().split("T")[0],
+        recording: index + 1,
+        file: recording.filename,
+        uploaded: formatTimestamp(recording.uploadedAt),
+        duration: formatDuration(recording.duration),
+        status: recording.transcriptionStatus,
+        transcribed: formatTimestamp(recording.transcriptionTimestamp),
+        hasImproved: recording.improvedTranscript ? "Yes" : "No",
+        hasAiResponse: recording.aiResponse ? "Yes" : "No",
+        transcript: recording.transcript || "",
+        improvedTranscript: recording.improvedTranscript || "",
+        aiResponse: recording.aiResponse || "",
+      });
+    });
+  });
+
+  styleHeaderRow(worksheet);
+  if (options.includeTranscripts) {
+    ["transcript", "improvedTranscript", "aiResponse"].forEach((key) => {
+      worksheet.getColumn(key).alignment = { wrapText: true };
+    });
+  }
+  return worksheet;
+};
+
+// Add a worksheet with one row per reflection
+const addReflectionsWorksheet = (workbook, name, entries) => {
+  const worksheet = workbook.addWorksheet(name);
+
+  worksheet.columns = [
+    { header: "Entry", key: "entry", width: 30 },
+    { header: "Entry Date", key: "entryDate", width: 12 },
+    { header: "Type", key: "type", width: 14 },
+    { header: "Created", key: "created", width: 17 },
+    { header: "Competencies", key: "competencies", width: 30 },
+    { header: "Reflection", key: "content", width: 80 },
+  ];
+
+  entries.forEach((entry) => {
+    (entry.reflections || []).forEach((reflection) => {
+      worksheet.addRow({
+        entry: entry.title,
+        entryDate: entry.createdAt.toISOString().split("T")[0],
+        type: reflection.type,
+        created: formatTimestamp(reflection.createdAt),
+        competencies: (reflection.competencies || []).join(", "),
+        content: reflection.content,
+      });
+    });
+  });
+
+  styleHeaderRow(worksheet);
+  worksheet.getColumn("content").alignment = { wrapText: true };
+  return worksheet;
+};
+
+// Add a worksheet with the AI chat history of every entry
+const addChatHistoryWorksheet = (workbook, name, entries) => {
+  const worksheet = workbook.addWorksheet(name);
+
+  worksheet.columns = [
+    { header: "Entry", key: "entry", width: 30 },
+    { header: "Entry Date", key: "entryDate", width: 12 },
+    { header: "Timestamp", key: "timestamp", width: 17 },
+    { header: "Role", key: "role", width: 10 },
+    { header: "Message", key: "content", width: 80 },
+  ];
+
+  entries.forEach((entry) => {
+    (entry.aiChatHistory || []).forEach((message) => {
+      worksheet.addRow({
+        entry: entry.title,
+        entryDate: entry.createdAt.toISOString().split("T")[0],
+        timestamp: formatTimestamp(message.timestamp),
+        role: message.role === "model" ? "AI" : "User",
+        content: message.content,
+      });
+    });
+  });
+
+  styleHeaderRow(worksheet);
+  worksheet.getColumn("content").alignment = { wrapText: true };
+  return worksheet;
+};
+
+// Write entries as an Excel workbook to a writable stream. Each log type
+// gets its own worksheet when the export covers more than one, followed by
+// recordings, reflections and AI chat worksheets.
+const writeExcel = async (
+  entries,
+  output,
+  { options = {}, references = null } = {}
+) => {
+  const workbook = new ExcelJS.Workbook();
+  const groups = groupEntriesByLogType(entries);
+  const usedNames = new Set();
+
+  if (groups.length <= 1) {
+    addEntriesWorksheet(
+      workbook,
+      buildWorksheetName("Log Entries", usedNames),
+      entries,
+      buildFieldColumns(groups),
+      references
+    );
+  } else {
+    groups.forEach((group) => {
+      addEntriesWorksheet(
+        workbook,
+        buildWorksheetName(group.logType?.name, usedNames),
+        group.entries,
+        buildFieldColumns([group]),
+        references
+      );
+    });
+  }
+
+  if (entries.some(hasAudio)) {
+    addRecordingsWorksheet(
+      workbook,
+      buildWorksheetName("Recordings", usedNames),
+      entries,
+      options
+    );
+  }
+
+  if (
+    options.includeReflections &&
+    entries.some((entry) => entry.reflections?.length > 0)
+  ) {
+    addReflectionsWorksheet(
+      workbook,
+      buildWorksheetName("Reflections", usedNames),
+      entries
+    );
+  }
+
+  if (
+    options.includeChatHistory &&
+    entries.some((entry) => entry.aiChatHistory?.length > 0)
+  ) {
+    addChatHistoryWorksheet(
+      workbook,
+      buildWorksheetName("AI Chat", usedNames),
+      entries
+    );
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  output.end(Buffer.from(buffer));
+};
+
+// Write entries as a PDF portfolio to a writable stream
+const writePdf = async (
+  entries,
+  output,
+  { user, options = {}, references = null } = {}
+) => {
+  const doc = new PDFDocument({ margin: 50 });
+  doc.pipe(output);
+
+  // Title
+  doc.fontSize(20).text("FrogLog Medical Portfolio", { align: "center" });
+  doc.moveDown();
+  doc.fontSize(12).text(`Generated: ${new Date().toLocaleDateString()}`, {
+    align: "center",
+  });
+  if (user) {
+    doc.fontSize(12).text(`User: ${user.name}`, { align: "center" });
+  }
+  doc.moveDown(2);
+
+  // Entries
+  entries.forEach((entry, index) => {
+    if (index > 0) doc.addPage();
+
+    doc.fontSize(16).text(entry.title, { underline: true });
+    doc.moveDown(0.5);
+
+    doc
+      .fontSize(10)
+      .text(`Log Type: ${entry.logTypeId?.name || "Unknown"}`, {
+        continued: true,
+      });
+    doc.text(`  |  Status: ${entry.status}`, { continued: true });
+    doc.text(`  |  Date: ${entry.createdAt.toLocaleDateString()}`);
+    doc.moveDown();
+
+    const fields = getOrderedFields(entry.logTypeId);
+    const data = getEntryData(entry);
+    const formatValue = (field) =>
+      formatFieldValue(field, data[field.fieldName], { references });
+    const filledFields = fields.filter((field) => formatValue(field) !== "");
+
+    if (filledFields.length > 0) {
+      doc.fontSize(12).text("Details:", { underline: true });
+      filledFields.forEach((field) => {
+        const value = formatValue(field);
+        if (field.fieldType === "textarea") {
+          doc.fontSize(10).text(`${field.label}:`);
+          doc.fontSize(10).text(value, { align: "justify", indent: 10 });
+        } else {
+          doc.fontSize(10).text(`${field.label}: ${value}`);
+        }
+      });
+      doc.moveDown();
+    }
+
+    if (entry.notes) {
+      doc.fontSize(12).text("Notes:", { underline: true });
+      doc.fontSize(10).text(entry.notes, { align: "justify" });
+      doc.moveDown();
+    }
+
+    if (entry.tags.length > 0) {
+      doc.fontSize(10).text(`Tags: ${entry.tags.join(", ")}`);
+      doc.moveDown();
+    }
+
+    if (entry.participants.length > 0) {
+      doc.fontSize(12).text("Participants:", { underline: true });
+      entry.participants.forEach((p) => {
+        doc.fontSize(10).text(`  • ${p.name} - ${p.role}`);
+      });
+      doc.moveDown();
+    }
+
+    const recordings = getRecordings(entry);
+    if (recordings.length > 0) {
+      doc.fontSize(12).text("Audio Recordings:", { underline: true });
+      recordings.forEach((recording, i) => {
+        const duration = formatDuration(recording.duration);
+        doc
+          .fontSize(10)
+          .text(
+            `Recording ${i + 1}${duration ? ` (${duration})` : ""}  |  ` +
+              `Transcription: ${recording.transcriptionStatus}` +
+              (recording.improvedTranscript ? "  |  Improved" : "") +
+              (recording.aiResponse ? "  |  AI response" : "")
+          );
+
+        if (options.includeTranscripts) {
+          [
+            ["Transcript", recording.transcript],
+            ["Improved Transcript", recording.improvedTranscript],
+            ["AI Response", recording.aiResponse],
+          ]
+            .filter(([, text]) => text)
+            .forEach(([label, text]) => {
+              doc.fontSize(10).text(`${label}:`, { indent: 10 });
+              doc.fontSize(9).text(text, { align: "justify", indent: 20 });
+            });
+          doc.moveDown(0.5);
+        }
+      });
+      doc.moveDown();
+    }
+
+    if (options.includeReflections && entry.reflections?.length > 0) {
+      doc.fontSize(12).text("Reflections:", { underline: true });
+      entry.reflections.forEach((reflection) => {
+        doc
+          .fontSize(9)
+          .text(
+            `${formatTimestamp(reflection.createdAt)}  |  ${
+              reflection.type === "ai_generated" ? "AI generated" : "Manual"
+            }`
+          );
+        doc.fontSize(10).text(reflection.content, { align: "justify" });
+        if (reflection.competencies?.length > 0) {
+          doc
+            .fontSize(9)
+            .text(`Competencies: ${reflection.competencies.join(", ")}`);
+        }
+        doc.moveDown(0.5);
+      });
+      doc.moveDown();
+    }
+
+    if (options.includeChatHistory && entry.aiChatHistory?.length > 0) {
+      doc.fontSize(12).text("AI Clinical Partner Chat:", { underline: true });
+      entry.aiChatHistory.forEach((message) => {
+        doc
+          .fontSize(9)
+          .text(
+            `${message.role === "model" ? "AI" : "You"} (${formatTimestamp(
+              message.timestamp
+            )}):`
+          );
+        doc.fontSize(10).text(message.content, { align: "justify", indent: 10 });
+        doc.moveDown(0.3);
+      });
+    }
+  });
+
+  doc.end();
+};
+
+// Resolve a stored "/uploads/..." URL to a file path, refusing anything that
+// would escape the uploads directory
+const resolveUploadPath = (url) => {
+  if (!url || !url.startsWith("/uploads/")) return null;
+  const filePath = path.resolve(
+    UPLOADS_ROOT,
+    url.substring("/uploads/".length)
+  );
+  return filePath.startsWith(UPLOADS_ROOT + path.sep) ? filePath : null;
+};
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+const sanitizeArchiveName = (name) =>
+  (name || "file").replace(/[^a-zA-Z0-9._-]/g, "_").substring(0, 100);
+
+// Write a portfolio bundle: a PDF of the entries, a JSON dump, every stored
+// audio file and attachment, and a manifest describing the contents
+const writeZip = async (entries, output, context = {}) => {
+  const { user } = context;
+  const archive = archiver("zip", { zlib: { level: 6 } });
+
+  const archiveFinished = new Promise((resolve, reject) => {
+    archive.on("error", reject);
+    archive.on("warning", (warning) => {
+      console.warn("Portfolio bundle warning:", warning.message);
+    });
+    archive.on("end", resolve);
+  });
+  archive.pipe(output);
+
+  const manifest = {
+    generator: "FrogLog Medical",
+    generatedAt: new Date().toISOString(),
+    user: user ? { name: user.name, email: user.email } : null,
+    entryCount: entries.length,
+    files: [],
+    missingFiles: [],
+  };
+
+  // Portfolio PDF
+  const pdfStream = new PassThrough();
+  archive.append(pdfStream, { name: "portfolio.pdf" });
+  await writePdf(entries, pdfStream, context);
+  manifest.files.push({ path: "portfolio.pdf", type: "pdf" });
+
+  // JSON dump (same format accepted by POST /api/imports/entries)
+  const dump = JSON.stringify(
+    buildJsonDocument(entries.map(serializeEntry)),
+    null,
+    2
+  );
+  archive.append(dump, { name: "entries.json" });
+  manifest.files.push({
+    path: "entries.json",
+    type: "json",
+    size: Buffer.byteLength(dump),
+  });
+
+  // Audio recordings and attachments
+  for (const entry of entries) {
+    const entryId = entry._id.toString();
+    const stored = [
+      ...getRecordings(entry).map((recording, index) => ({
+        type: "audio",
+        folder: "audio",
+        url: recording.url,
+        name: `${index + 1}_${sanitizeArchiveName(recording.filename)}`,
+        recordingIndex: index,
+      })),
+      ...(entry.attachments || []).map((attachment, index) => ({
+        type: "attachment",
+        folder: "attachments",
+        url: attachment.url,
+        name: `${index + 1}_${sanitizeArchiveName(attachment.originalName)}`,
+      })),
+    ];
+
+    for (const file of stored) {
+      const filePath = resolveUploadPath(file.url);
+      let stats = null;
+      if (filePath) {
+        try {
+          stats = await fs.promises.stat(filePath);
+        } catch {
+          stats = null;
+        }
+      }
+
+      if (!stats || !stats.isFile()) {
+        manifest.missingFiles.push({
+          entryId,
+          type: file.type,
+          url: file.url,
+        });
+        continue;
+      }
+
+      const archivePath = `${file.folder}/${entryId}/${file.name}`;
+      archive.file(filePath, { name: archivePath });
+      manifest.files.push({
+        path: archivePath,
+        type: file.type,
+        entryId,
+        entryTitle: entry.title,
+        ...(file.recordingIndex !== undefined && {
+          recordingIndex: file.recordingIndex,
+        }),
+        size: stats.size,
+        sha256: await hashFile(filePath),
+      });
+    }
+  }
+
+  archive.append(JSON.stringify(manifest, null, 2), {
+    name: "manifest.json",
+  });
+
+  await archive.finalize();
+  await archiveFinished;
+};
+
+// Write entries in the lossless JSON interchange format
+const writeJson = async (entries, output) => {
+  output.end(
+    JSON.stringify(buildJsonDocument(entries.map(serializeEntry)), null, 2)
+  );
+};
+
+// Write entries as newline-delimited JSON, one interchange record per line
+const writeNdjson = async (entries, output) => {
+  output.end(
+    entries.map((entry) => JSON.stringify(serializeEntry(entry))).join("\n") +
+      (entries.length > 0 ? "\n" : "")
+  );
+};
+
+const RENDERERS = {
+  csv: writeCsv,
+  excel: writeExcel,
+  pdf: writePdf,
+  zip: writeZip,
+  json: writeJson,
+  ndjson: writeNdjson,
+};
+
+// Look up the titles of entries linked from reference fields
+const resolveEntryReferences = async (entries, user = null) => {
+  const ids = new Set();
+  entries.forEach((entry) => {
+    collectReferenceIds(entry.logTypeId, getEntryData(entry)).forEach(
+      ({ id }) => ids.add(id)
+    );
+  });
+  if (ids.size === 0) return new Map();
+
+  const query = { _id: { $in: [...ids] } };
+  if (user) query.userId = user._id;
+  const referenced = await LogEntry.find(query).select("title").lean();
+  return new Map(
+    referenced.map((entry) => [entry._id.toString(), entry.title])
+  );
+};
+
+// Render entries in the given format to a writable stream
+const renderExport = async (format, entries, output, context = {}) => {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  const references =
+    context.references ||
+    (format === "json" || format === "ndjson"
+      ? null
+      : await resolveEntryReferences(entries, context.user));
+  return renderer(entries, output, { ...context, references });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  normalizeExportFormat,
+  resolveExportOptions,
+  buildExportQuery,
+  findExportEntries,
+  buildExportFilename,
+  resolveUploadPath,
+  renderExport,
+};
@@ -0,0 +1,881 @@
+//utils/logTypeFields.js
+
+// Helpers for working with the field definitions stored in LogType.fields
+
+// Return a log type's fields in display order
+const getOrderedFields = (logType) => {
+  if (!logType || !Array.isArray(logType.fields)) return [];
+  return [...logType.fields].sort((a, b) => (a.order || 0) - (b.order || 0));
+};
+
+const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Day-first dates as written in the UK: 05/03/2024, 5.3.2024 or
+// 05-03-2024, optionally followed by a time
+const UK_DATE_PATTERN =
+  /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Parse a date value. Day-first dates are read as DD/MM/YYYY rather than
+// V8's US month-first order; date-only values are taken as UTC midnight
+// so they keep their day. Anything else goes to the Date constructor.
+// Returns an invalid Date when the value is not a date.
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+  const match =
+    typeof value === "string" ? value.trim().match(UK_DATE_PATTERN) : null;
+  if (!match) return new Date(value);
+
+  const [day, month, year, hours, minutes, seconds = 0] = match
+    .slice(1)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+  if (hours === undefined) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Reject days and months the Date constructor would roll over
+    return date.getUTCDate() === day && date.getUTCMonth() === month - 1
+      ? date
+      : new Date(NaN);
+  }
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return date.getDate() === day &&
+    date.getMonth() === month - 1 &&
+    date.getHours() === hours &&
+    date.getMinutes() === minutes
+    ? date
+    : new Date(NaN);
+};
+
+const formatDate = (value, withTime) => {
+  const date = parseDate(value);
+  if (isNaN(date.getTime())) return String(value);
+
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+  return withTime
+    ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+    : day;
+};
+
+// Parse "9:05", "09:05:00", "9:05 pm" or a Date into "HH:mm"
+const parseTime = (value) => {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}`;
+  }
+  const match = String(value)
+    .trim()
+    .match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3] && match[3].toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+// Parse a duration into whole minutes. Accepts minutes as a number, "1:30",
+// "1h 30m", "90 min" and ISO 8601 ("PT1H30M").
+const parseDuration = (value) => {
+  if (typeof value === "number") {
+    return isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text));
+
+  const clock = text.match(/^(\d+):(\d{2})$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+  const iso = text.match(/^pt(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (iso && (iso[1] || iso[2] || iso[3])) {
+    return (
+      Number(iso[1] || 0) * 60 +
+      Number(iso[2] || 0) +
+      Math.round(Number(iso[3] || 0) / 60)
+    );
+  }
+
+  const parts = text.match(
+    /^(?:(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours))?\s*(?:(\d+)\s*(?:m|min|mins|minute|minutes))?$/
+  );
+  if (parts && (parts[1] || parts[2])) {
+    return Math.round(Number(parts[1] || 0) * 60 + Number(parts[2] || 0));
+  }
+
+  return null;
+};
+
+// Format minutes as "1h 30m"
+const formatDurationMinutes = (minutes) => {
+  const total = Math.round(Number(minutes));
+  if (isNaN(total)) return String(minutes);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+const getScaleRange = (field) => ({
+  min: field.scale?.min ?? 1,
+  max: field.scale?.max ?? 5,
+  step: field.scale?.step || 1,
+});
+
+// Id stored by a reference field (a plain id or a populated entry)
+const getReferenceId = (value) => {
+  if (!value) return null;
+  if (typeof value === "object") {
+    const id = value._id || value.id;
+    return id ? String(id) : null;
+  }
+  return String(value);
+};
+
+// Format a stored data value for display according to its field definition.
+// With { typed: true } numbers, booleans and dates keep a native type so
+// spreadsheets can sort and filter them. Reference fields show the linked
+// entry's title when a { references } map of id -> title is given.
+const formatFieldValue = (
+  field,
+  value,
+  { typed = false, references = null } = {}
+) => {
+  if (isEmptyValue(value)) return typed ? null : "";
+
+  switch (field.fieldType) {
+    case "multiselect": {
+      const values = Array.isArray(value) ? value : [value];
+      return values.join("; ");
+    }
+    case "boolean": {
+      const truthy = value === true || value === "true" || value === 1;
+      return truthy ? "Yes" : "No";
+    }
+    case "number": {
+      const number = Number(value);
+      if (isNaN(number)) return String(value);
+      return typed ? number : String(number);
+    }
+    case "scale": {
+      const number = Number(value);
+      if (isNaN(number)) return String(value);
+      return typed ? number : `${number}/${getScaleRange(field).max}`;
+    }
+    case "duration":
+      return formatDurationMinutes(value);
+    case "date":
+    case "datetime": {
+      const date = parseDate(value);
+      if (typed && !isNaN(date.getTime())) return date;
+      return formatDate(value, field.fieldType === "datetime");
+    }
+    case "reference": {
+      const id = getReferenceId(value);
+      return (references && references.get(id)) || id || "";
+    }
+    case "group": {
+      const items = Array.isArray(value) ? value : [value];
+      const subFields = getOrderedFields({ fields: field.subFields });
+      return items
+        .map((item) =>
+          subFields
+            .map((subField) => {
+              const text = formatFieldValue(
+                subField,
+                (item || {})[subField.fieldName],
+                { references }
+              );
+              return text === "" ? null : `${subField.label}: ${text}`;
+            })
+            .filter(Boolean)
+            .join(", ")
+        )
+        .filter(Boolean)
+        .join("; ");
+    }
+    case "file": {
+      if (typeof value === "object") {
+        return value.originalName || value.filename || value.url || "";
+      }
+      return String(value);
+    }
+    default:
+      if (Array.isArray(value)) return value.join("; ");
+      if (typeof value === "object") return JSON.stringify(value);
+      return String(value);
+  }
+};
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+};
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+const fieldError = (field, code, message) => ({
+  field: field.fieldName,
+  code,
+  message: `${field.label || field.fieldName} ${message}`,
+});
+
+// Match a value against a field's options ignoring case, returning the
+// option as defined on the log type
+const matchOption = (field, value) => {
+  const needle = String(value).trim().toLowerCase();
+  return (field.options || []).find(
+    (option) => option.toLowerCase() === needle
+  );
+};
+
+// Convert an incoming value (JSON body or spreadsheet cell) to the type the
+// field stores. Returns { value } or { error }.
+const coerceFieldValue = (field, value) => {
+  if (isEmptyValue(value)) return { value: undefined };
+
+  switch (field.fieldType) {
+    case "number": {
+      const number =
+        typeof value === "number" ? value : Number(String(value).trim());
+      if (typeof value === "boolean" || isNaN(number)) {
+        return {
+          error: fieldError(field, "INVALID_NUMBER", "must be a number"),
+        };
+      }
+      return { value: number };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return { value };
+      const key = String(value).trim().toLowerCase();
+      if (!(key in BOOLEAN_VALUES)) {
+        return {
+          error: fieldError(field, "INVALID_BOOLEAN", "must be yes or no"),
+        };
+      }
+      return { value: BOOLEAN_VALUES[key] };
+    }
+    case "date":
+    case "datetime": {
+      const date = parseDate(value);
+      if (typeof value === "boolean" || isNaN(date.getTime())) {
+        return {
+          error: fieldError(field, "INVALID_DATE", "must be a valid date"),
+        };
+      }
+      return {
+        value:
+          field.fieldType === "date"
+            ? date.toISOString().slice(0, 10)
+            : date.toISOString(),
+      };
+    }
+    case "select": {
+      if (typeof value === "object") {
+        return {
+          error: fieldError(field, "INVALID_TYPE", "must be a single value"),
+        };
+      }
+      if (!field.options || field.options.length === 0) {
+        return { value: String(value).trim() };
+      }
+      const option = matchOption(field, value);
+      if (!option) {
+        return {
+          error: fieldError(
+            field,
+            "INVALID_OPTION",
+            `must be one of: ${field.options.join(", ")}`
+          ),
+        };
+      }
+      return { value: option };
+    }
+    case "multiselect": {
+      const values = (
+        Array.isArray(value) ? value : String(value).split(/[;,]/)
+      )
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+      if (!field.options || field.options.length === 0) {
+        return { value: values };
+      }
+      const matched = values.map((item) => matchOption(field, item));
+      const invalid = values.filter((item, index) => !matched[index]);
+      if (invalid.length > 0) {
+        return {
+          error: fieldError(
+            field,
+            "INVALID_OPTION",
+            `has invalid option(s) ${invalid.join(", ")}; allowed: ${field.options.join(
+              ", "
+            )}`
+          ),
+        };
+      }
+      return { value: [...new Set(matched)] };
+    }
+    case "time": {
+      const time = parseTime(value);
+      if (!time) {
+        return {
+          error: fieldError(field, "INVALID_TIME", "must be a time (HH:mm)"),
+        };
+      }
+      return { value: time };
+    }
+    case "duration": {
+      const minutes = parseDuration(value);
+      if (minutes === null) {
+        return {
+          error: fieldError(
+            field,
+            "INVALID_DURATION",
+            "must be a duration such as 90, 1:30 or 1h 30m"
+          ),
+        };
+      }
+      return { value: minutes };
+    }
+    case "scale": {
+      const number =
+        typeof value === "number" ? value : Number(String(value).trim());
+      if (typeof value === "boolean" || isNaN(number)) {
+        return {
+          error: fieldError(field, "INVALID_NUMBER", "must be a number"),
+        };
+      }
+      return { value: number };
+    }
+    case "reference": {
+      const id = getReferenceId(value);
+      if (!id || !OBJECT_ID_PATTERN.test(id)) {
+        return {
+          error: fieldError(
+            field,
+            "INVALID_REFERENCE",
+            "must reference another log entry"
+          ),
+        };
+      }
+      return { value: id };
+    }
+    case "group": {
+      const items = Array.isArray(value) ? value : null;
+      if (!items || items.some((item) => !isPlainObject(item))) {
+        return {
+          error: fieldError(field, "INVALID_TYPE", "must be a list of items"),
+        };
+      }
+      return { value: items };
+    }
+    case "file":
+      return { value };
+    default: {
+      if (typeof value === "object" && !(value instanceof Date)) {
+        return {
+          error: fieldError(field, "INVALID_TYPE", "must be text"),
+        };
+      }
+      return {
+        value: value instanceof Date ? value.toISOString() : String(value),
+      };
+    }
+  }
+};
+
+// Check a coerced value against the field's validation rules
+const checkFieldRules = (field, value) => {
+  const rules = field.validation || {};
+
+  if (field.fieldType === "number") {
+    if (rules.min != null && value < rules.min) {
+      return fieldError(field, "BELOW_MIN", `must be at least ${rules.min}`);
+    }
+    if (rules.max != null && value > rules.max) {
+      return fieldError(field, "ABOVE_MAX", `must be at most ${rules.max}`);
+    }
+  }
+
+  if (field.fieldType === "scale") {
+    const { min, max, step } = getScaleRange(field);
+    if (value < min) {
+      return fieldError(field, "BELOW_MIN", `must be at least ${min}`);
+    }
+    if (value > max) {
+      return fieldError(field, "ABOVE_MAX", `must be at most ${max}`);
+    }
+    const steps = (value - min) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+      return fieldError(field, "INVALID_STEP", `must be in steps of ${step}`);
+    }
+  }
+
+  if (field.fieldType === "group") {
+    if (rules.minItems != null && value.length < rules.minItems) {
+      return fieldError(
+        field,
+        "TOO_FEW_ITEMS",
+        `must have at least ${rules.minItems} item(s)`
+      );
+    }
+    if (rules.maxItems != null && value.length > rules.maxItems) {
+      return fieldError(
+        field,
+        "TOO_MANY_ITEMS",
+        `must have at most ${rules.maxItems} item(s)`
+      );
+    }
+  }
+
+  if (typeof value === "string" && field.fieldType !== "time") {
+    if (rules.minLength != null && value.length < rules.minLength) {
+      return fieldError(
+        field,
+        "TOO_SHORT",
+        `must be at least ${rules.minLength} characters`
+      );
+    }
+    if (rules.maxLength != null && value.length > rules.maxLength) {
+      return fieldError(
+        field,
+        "TOO_LONG",
+        `must be at most ${rules.maxLength} characters`
+      );
+    }
+    if (rules.pattern) {
+      let pattern;
+      try {
+        pattern = new RegExp(rules.pattern);
+      } catch (e) {
+        pattern = null; // Ignore patterns that were saved invalid
+      }
+      if (pattern && !pattern.test(value)) {
+        return fieldError(
+          field,
+          "PATTERN_MISMATCH",
+          "is not in the expected format"
+        );
+      }
+    }
+  }
+
+  return null;
+};
+
+// Loose equality used by showWhen, so "Yes", "yes" and true all match
+const conditionValuesMatch = (actual, expected) => {
+  if (typeof actual === "boolean" || typeof expected === "boolean") {
+    const toBoolean = (value) =>
+      typeof value === "boolean"
+        ? value
+        : BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+    return toBoolean(actual) === toBoolean(expected);
+  }
+  const normalize = (value) => String(value).trim().toLowerCase();
+  return normalize(actual) === normalize(expected);
+};
+
+// Evaluate a showWhen condition against (coerced) entry data
+const evaluateCondition = (condition, data) => {
+  const actual = data[condition.field];
+  const actualValues = Array.isArray(actual) ? actual : [actual];
+  const expected = Array.isArray(condition.value)
+    ? condition.value
+    : [condition.value];
+  const matchesAny = () =>
+    !isEmptyValue(actual) &&
+    actualValues.some((value) =>
+      expected.some((candidate) => conditionValuesMatch(value, candidate))
+    );
+
+  switch (condition.operator || "equals") {
+    case "equals":
+    case "in":
+      return matchesAny();
+    case "not_equals":
+    case "not_in":
+      return !matchesAny();
+    case "is_empty":
+      return isEmptyValue(actual);
+    case "is_not_empty":
+      return !isEmptyValue(actual);
+    default:
+      return true;
+  }
+};
+
+const hasCondition = (field) => !!(field.showWhen && field.showWhen.field);
+
+const isComputed = (field) => !!(field.computed && field.computed.operation);
+
+// Work out which fields are visible. A field is hidden when its condition
+// fails or when the field controlling it is itself hidden.
+const resolveVisibility = (fields, data) => {
+  const byName = new Map(fields.map((field) => [field.fieldName, field]));
+  const visibility = new Map();
+
+  const isVisible = (field, seen = new Set()) => {
+    if (visibility.has(field.fieldName)) {
+      return visibility.get(field.fieldName);
+    }
+    let visible = true;
+    if (hasCondition(field) && !seen.has(field.fieldName)) {
+      seen.add(field.fieldName);
+      const controller = byName.get(field.showWhen.field);
+      visible =
+        (!controller || isVisible(controller, seen)) &&
+        evaluateCondition(field.showWhen, data);
+    }
+    visibility.set(field.fieldName, visible);
+    return visible;
+  };
+
+  fields.forEach((field) => isVisible(field));
+  return visibility;
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Calculate a computed field from the other (already coerced) values.
+// Returns { value } or { error }; value is undefined when inputs are missing.
+const computeFieldValue = (field, data, fieldsByName) => {
+  const { operation, sources = [] } = field.computed;
+  const inputs = sources.map((name) => data[name]);
+  if (inputs.length === 0 || inputs.some(isEmptyValue)) {
+    return { value: undefined };
+  }
+
+  switch (operation) {
+    case "duration_between": {
+      const [start, end] = inputs;
+      const startField = fieldsByName.get(sources[0]);
+      if (startField && startField.fieldType === "time") {
+        const minutes = timeToMinutes(end) - timeToMinutes(start);
+        // Times past midnight belong to the next day
+        return { value: minutes < 0 ? minutes + MINUTES_PER_DAY : minutes };
+      }
+      const minutes = Math.round(
+        (new Date(end).getTime() - new Date(start).getTime()) / 60000
+      );
+      if (isNaN(minutes)) return { value: undefined };
+      if (minutes < 0) {
+        return {
+          error: fieldError(
+            field,
+            "END_BEFORE_START",
+            "cannot be calculated because the end is before the start"
+          ),
+        };
+      }
+      return { value: minutes };
+    }
+    case "sum":
+      return {
+        value: inputs.reduce((total, value) => total + Number(value), 0),
+      };
+    case "difference":
+      return { value: Number(inputs[0]) - Number(inputs[1]) };
+    default:
+      return { value: undefined };
+  }
+};
+
+// Validate and coerce entry data against a log type's field definitions.
+// Keys that are not defined on the log type are kept as they are. Hidden
+// conditional fields are cleared, computed fields are recalculated and
+// repeating groups are validated item by item.
+const validateEntryData = (
+  logType,
+  data = {},
+  { applyDefaults = false, enforceRequired = true } = {}
+) => {
+  const result = { ...(data || {}) };
+  const fields = getOrderedFields(logType);
+  const fieldsByName = new Map(fields.map((field) => [field.fieldName, field]));
+  const errorsByField = new Map();
+  const addError = (field, error) => {
+    const list = errorsByField.get(field.fieldName) || [];
+    list.push(error);
+    errorsByField.set(field.fieldName, list);
+  };
+
+  // Coerce entered values
+  fields.forEach((field) => {
+    if (isComputed(field)) return;
+    let value = result[field.fieldName];
+
+    if (
+      isEmptyValue(value) &&
+      applyDefaults &&
+      !isEmptyValue(field.defaultValue)
+    ) {
+      value = field.defaultValue;
+    }
+
+    if (isEmptyValue(value)) {
+      if (value !== undefined) result[field.fieldName] = value;
+      return;
+    }
+
+    const coerced = coerceFieldValue(field, value);
+    if (coerced.error) {
+      addError(field, coerced.error);
+      return;
+    }
+
+    let coercedValue = coerced.value;
+    if (field.fieldType === "group") {
+      coercedValue = coercedValue.map((item, index) => {
+        const itemResult = validateEntryData(
+          { fields: field.subFields },
+          item,
+          { applyDefaults, enforceRequired }
+        );
+        itemResult.errors.forEach((error) =>
+          addError(field, {
+            ...error,
+            field: `${field.fieldName}[${index}].${error.field}`,
+          })
+        );
+        return itemResult.data;
+      });
+    }
+
+    const ruleError = checkFieldRules(field, coercedValue);
+    if (ruleError) addError(field, ruleError);
+
+    result[field.fieldName] = coercedValue;
+  });
+
+  // Hidden fields have no value and no errors
+  const visibility = resolveVisibility(fields, result);
+  fields.forEach((field) => {
+    if (visibility.get(field.fieldName)) return;
+    delete result[field.fieldName];
+    errorsByField.delete(field.fieldName);
+  });
+
+  // Computed fields ignore any submitted value
+  fields.forEach((field) => {
+    if (!isComputed(field) || !visibility.get(field.fieldName)) return;
+    const computed = computeFieldValue(field, result, fieldsByName);
+    if (computed.error) addError(field, computed.error);
+    if (computed.value === undefined) {
+      delete result[field.fieldName];
+    } else {
+      result[field.fieldName] = computed.value;
+    }
+  });
+
+  if (enforceRequired) {
+    fields.forEach((field) => {
+      if (
+        field.required &&
+        !isComputed(field) &&
+        visibility.get(field.fieldName) &&
+        !errorsByField.has(field.fieldName) &&
+        isEmptyValue(result[field.fieldName])
+      ) {
+        addError(field, fieldError(field, "FIELD_REQUIRED", "is required"));
+      }
+    });
+  }
+
+  const errors = fields.flatMap(
+    (field) => errorsByField.get(field.fieldName) || []
+  );
+  return { data: result, errors };
+};
+
+// Ids of other entries referenced by reference fields, including those
+// inside repeating groups
+const collectReferenceIds = (logType, data = {}) => {
+  const ids = [];
+  const visit = (fields, values) => {
+    getOrderedFields({ fields }).forEach((field) => {
+      const value = (values || {})[field.fieldName];
+      if (isEmptyValue(value)) return;
+      if (field.fieldType === "reference") {
+        const id = getReferenceId(value);
+        if (id) ids.push({ field, id });
+      } else if (field.fieldType === "group" && Array.isArray(value)) {
+        value.forEach((item) => visit(field.subFields, item));
+      }
+    });
+  };
+  visit(logType?.fields, data);
+  return ids;
+};
+
+// Plain copy with sorted keys and no subdocument ids, for comparisons
+const canonicalize = (value) => {
+  if (value && typeof value.toObject === "function") {
+    return canonicalize(value.toObject());
+  }
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (
+    value &&
+    typeof value === "object" &&
+    !(value instanceof Date) &&
+    value.constructor?.name !== "ObjectId"
+  ) {
+    return Object.keys(value)
+      .filter((key) => key !== "_id" && value[key] !== undefined)
+      .sort()
+      .reduce((result, key) => {
+        result[key] = canonicalize(value[key]);
+        return result;
+      }, {});
+  }
+  return value;
+};
+
+// Stable string for comparing field lists or template content
+const definitionSignature = (value) => JSON.stringify(canonicalize(value));
+
+const CONDITION_OPERATORS = [
+  "equals",
+  "not_equals",
+  "in",
+  "not_in",
+  "is_empty",
+  "is_not_empty",
+];
+
+// Check a log type's field definitions for structural problems (unknown
+// condition targets, computed sources of the wrong type, nested groups).
+// Returns a list of problems.
+const validateFieldDefinitions = (fields, { path = "fields" } = {}) => {
+  if (!Array.isArray(fields)) return [];
+
+  const problems = [];
+  const byName = new Map();
+  fields.forEach((field) => {
+    if (field && field.fieldName) byName.set(field.fieldName, field);
+  });
+  if (byName.size !== fields.filter((f) => f && f.fieldName).length) {
+    problems.push(`${path} contains duplicate field names`);
+  }
+
+  fields.forEach((field, index) => {
+    if (!field) return;
+    const label = `${path}[${index}] (${field.fieldName})`;
+
+    if (field.showWhen && field.showWhen.field) {
+      const { field: target, operator = "equals", value } = field.showWhen;
+      if (target === field.fieldName || !byName.has(target)) {
+        problems.push(`${label} showWhen refers to unknown field "${target}"`);
+      }
+      if (!CONDITION_OPERATORS.includes(operator)) {
+        problems.push(`${label} showWhen has invalid operator "${operator}"`);
+      } else if (
+        !["is_empty", "is_not_empty"].includes(operator) &&
+        value === undefined
+      ) {
+        problems.push(`${label} showWhen requires a value`);
+      }
+    }
+
+    if (field.computed && field.computed.operation) {
+      const { operation, sources = [] } = field.computed;
+      const sourceFields = sources.map((name) => byName.get(name));
+      if (sourceFields.some((source) => !source)) {
+        problems.push(
+          `${label} computed sources must be fields of this log type`
+        );
+      } else if (operation === "duration_between") {
+        const types = sourceFields.map((source) => source.fieldType);
+        const sameKind =
+          types.length === 2 &&
+          (types.every((type) => type === "time") ||
+            types.every((type) => ["date", "datetime"].includes(type)));
+        if (!sameKind) {
+          problems.push(
+            `${label} duration_between needs a start and end that are ` +
+              "both time or both datetime fields"
+          );
+        }
+        if (!["duration", "number"].includes(field.fieldType)) {
+          problems.push(
+            `${label} duration_between must be a duration or number field`
+          );
+        }
+      } else if (["sum", "difference"].includes(operation)) {
+        if (
+          sourceFields.some(
+            (source) => !["number", "duration"].includes(source.fieldType)
+          ) ||
+          (operation === "difference" && sources.length !== 2) ||
+          sources.length === 0
+        ) {
+          problems.push(
+            `${label} ${operation} needs number or duration sources` +
+              (operation === "difference" ? " (exactly two)" : "")
+          );
+        }
+      } else {
+        problems.push(`${label} has unknown computed operation "${operation}"`);
+      }
+    }
+
+    if (field.fieldType === "scale" && field.scale) {
+      const { min, max } = getScaleRange(field);
+      if (min >= max) problems.push(`${label} scale min must be below max`);
+    }
+
+    if (field.fieldType === "group") {
+      const subFields = field.subFields || [];
+      if (subFields.length === 0) {
+        problems.push(`${label} group must define subFields`);
+      }
+      if (subFields.some((subField) => subField.fieldType === "group")) {
+        problems.push(`${label} groups cannot contain other groups`);
+      }
+      problems.push(
+        ...validateFieldDefinitions(subFields, {
+          path: `${label}.subFields`,
+        })
+      );
+    }
+  });
+
+  return problems;
+};
+
+module.exports = {
+  getOrderedFields,
+  isEmptyValue,
+  parseDuration,
+  formatDurationMinutes,
+  formatFieldValue,
+  coerceFieldValue,
+  validateEntryData,
+  collectReferenceIds,
+  definitionSignature,
+  validateFieldDefinitions,
+};
@@ -0,0 +1,281 @@
+//utils/logTypeMigrations.js
+
+const LogEntry = require("../models/LogEntry");
+const LogTypeVersion = require("../models/LogTypeVersion");
+const { isEmptyValue, validateEntryData } = require("./logTypeFields");
+
+const MIGRATION_BATCH_SIZE = 500;
+const PREVIEW_SAMPLE_SIZE = 10;
+
+const MIGRATION_OPERATIONS = ["rename_field", "map_options", "set_default"];
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+// Check a list of migration operations. Returns a list of problems.
+const validateOperations = (operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return ["operations must be a non-empty array"];
+  }
+
+  const problems = [];
+  operations.forEach((operation, index) => {
+    const label = `operations[${index}]`;
+    if (!isPlainObject(operation)) {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+
+    switch (operation.type) {
+      case "rename_field":
+        if (!operation.from || !operation.to) {
+          problems.push(`${label} requires from and to`);
+        } else if (operation.from === operation.to) {
+          problems.push(`${label} renames a field to itself`);
+        }
+        break;
+      case "map_options":
+        if (!operation.field || !isPlainObject(operation.mapping)) {
+          problems.push(`${label} requires field and a mapping object`);
+        }
+        break;
+      case "set_default":
+        if (!operation.field || operation.value === undefined) {
+          problems.push(`${label} requires field and value`);
+        }
+        break;
+      default:
+        problems.push(
+          `${label} has unknown type "${operation.type}"; expected one of ${MIGRATION_OPERATIONS.join(
+            ", "
+          )}`
+        );
+    }
+  });
+
+  return problems;
+};
+
+const mapOptionValue = (value, mapping) =>
+  Object.prototype.hasOwnProperty.call(mapping, value) ? mapping[value] : value;
+
+// Apply migration operations to a copy of an entry's data
+const applyOperations = (data, operations) => {
+  const result = { ...(data || {}) };
+  const changes = [];
+
+  operations.forEach((operation) => {
+    switch (operation.type) {
+      case "rename_field": {
+        if (!(operation.from in result)) break;
+        // Never overwrite a value already captured under the new name
+        if (!isEmptyValue(result[operation.to])) {
+          changes.push({
+            type: operation.type,
+            field: operation.from,
+            skipped: `${operation.to} already has a value`,
+          });
+          break;
+        }
+        result[operation.to] = result[operation.from];
+        delete result[operation.from];
+        changes.push({
+          type: operation.type,
+          field: operation.from,
+          to: operation.to,
+        });
+        break;
+      }
+      case "map_options": {
+        const current = result[operation.field];
+        if (isEmptyValue(current)) break;
+        const mapValue = (value) => mapOptionValue(value, operation.mapping);
+        const mapped = Array.isArray(current)
+          ? [...new Set(current.map(mapValue))]
+          : mapValue(current);
+        if (JSON.stringify(mapped) !== JSON.stringify(current)) {
+          result[operation.field] = mapped;
+          changes.push({
+            type: operation.type,
+            field: operation.field,
+            from: current,
+            to: mapped,
+          });
+        }
+        break;
+      }
+      case "set_default": {
+        if (!isEmptyValue(result[operation.field])) break;
+        result[operation.field] = operation.value;
+        changes.push({
+          type: operation.type,
+          field: operation.field,
+          to: operation.value,
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return {
+    data: result,
+    changed: changes.some((change) => !change.skipped),
+    changes,
+  };
+};
+
+// Entries of the log type, optionally limited to given schema versions.
+// Entries saved before versioning have no version and count as version 1.
+const buildMigrationQuery = (logType, fromVersions) => {
+  const query = { logTypeId: logType._id, clientId: logType.clientId };
+  if (Array.isArray(fromVersions) && fromVersions.length > 0) {
+    const versions = fromVersions.map(Number);
+    query.$or = [{ logTypeVersion: { $in: versions } }];
+    if (versions.includes(1)) {
+      query.$or.push({ logTypeVersion: null });
+    }
+  }
+  return query;
+};
+
+const checkMigratedData = (logType, entry, data) =>
+  validateEntryData(logType, data, {
+    enforceRequired: entry.status !== "draft",
+  });
+
+// Dry run a migration: counts plus before/after samples
+const previewMigration = async (logType, operations, { fromVersions } = {}) => {
+  const query = buildMigrationQuery(logType, fromVersions);
+  const summary = {
+    targetVersion: logType.schemaVersion,
+    entriesMatched: 0,
+    entriesChanged: 0,
+    entriesInvalid: 0,
+    samples: [],
+    invalidSamples: [],
+  };
+
+  const cursor = LogEntry.find(query)
+    .select("_id title status data logTypeVersion")
+    .lean()
+    .cursor();
+
+  for await (const entry of cursor) {
+    summary.entriesMatched++;
+    const result = applyOperations(entry.data, operations);
+    const validation = checkMigratedData(logType, entry, result.data);
+
+    if (result.changed) {
+      summary.entriesChanged++;
+      if (summary.samples.length < PREVIEW_SAMPLE_SIZE) {
+        summary.samples.push({
+          entryId: entry._id,
+          title: entry.title,
+          logTypeVersion: entry.logTypeVersion || 1,
+          before: entry.data || {},
+          after: result.data,
+          changes: result.changes,
+        });
+      }
+    }
+
+    if (validation.errors.length > 0) {
+      summary.entriesInvalid++;
+      if (summary.invalidSamples.length < PREVIEW_SAMPLE_SIZE) {
+        summary.invalidSamples.push({
+          entryId: entry._id,
+          title: entry.title,
+          errors: validation.errors,
+        });
+      }
+    }
+  }
+
+  return summary;
+};
+
+// Apply a migration to every matching entry and move them to the current
+// schema version. Entries that still fail validation are updated anyway and
+// reported so they can be fixed by hand.
+const runMigration = async (
+  logType,
+  operations,
+  { fromVersions, runBy = null } = {}
+) => {
+  const query = buildMigrationQuery(logType, fromVersions);
+  const summary = {
+    targetVersion: logType.schemaVersion,
+    entriesMatched: 0,
+    entriesUpdated: 0,
+    entriesInvalid: 0,
+  };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await LogEntry.bulkWrite(batch, { ordered: false });
+    summary.entriesUpdated += result.modifiedCount;
+    batch = [];
+  };
+
+  const cursor = LogEntry.find(query)
+    .select("_id status data logTypeVersion")
+    .lean()
+    .cursor();
+
+  for await (const entry of cursor) {
+    summary.entriesMatched++;
+    const result = applyOperations(entry.data, operations);
+    const validation = checkMigratedData(logType, entry, result.data);
+    if (validation.errors.length > 0) summary.entriesInvalid++;
+
+    batch.push({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: {
+          $set: {
+            data: validation.errors.length > 0 ? result.data : validation.data,
+            logTypeVersion: logType.schemaVersion,
+          },
+        },
+      },
+    });
+
+    if (batch.length >= MIGRATION_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  await LogTypeVersion.updateOne(
+    { logTypeId: logType._id, version: logType.schemaVersion },
+    {
+      $setOnInsert: {
+        clientId: logType.clientId,
+        fields: logType.fields.map((field) => field.toObject()),
+      },
+      $push: {
+        migrations: {
+          operations,
+          fromVersions: (fromVersions || []).map(Number),
+          entriesMatched: summary.entriesMatched,
+          entriesUpdated: summary.entriesUpdated,
+          entriesInvalid: summary.entriesInvalid,
+          runBy,
+          runAt: new Date(),
+        },
+      },
+    },
+    { upsert: true }
+  );
+
+  return summary;
+};
+
+module.exports = {
+  MIGRATION_OPERATIONS,
+  validateOperations,
+  applyOperations,
+  previewMigration,
+  runMigration,
+};
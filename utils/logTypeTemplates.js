@@ -0,0 +1,141 @@
+//utils/logTypeTemplates.js
+
+const LogType = require("../models/LogType");
+const LogTypeTemplate = require("../models/LogTypeTemplate");
+const { BUILT_IN_TEMPLATES } = require("../config/logTypeTemplates");
+const { definitionSignature } = require("./logTypeFields");
+
+// Seed the global library with the built-in templates. Templates that
+// already exist are left alone so platform admin edits are never overwritten.
+const ensureBuiltInTemplates = async () => {
+  let created = 0;
+  for (const template of BUILT_IN_TEMPLATES) {
+    const result = await LogTypeTemplate.updateOne(
+      { key: template.key },
+      { $setOnInsert: template },
+      { upsert: true }
+    );
+    created += result.upsertedCount || 0;
+  }
+  return created;
+};
+
+// Plain copies of field definitions without subdocument ids
+const copyFields = (fields) =>
+  (fields || []).map((field) => {
+    const copy = field.toObject ? field.toObject() : { ...field };
+    delete copy._id;
+    if (Array.isArray(copy.subFields)) {
+      copy.subFields = copyFields(copy.subFields);
+    }
+    return copy;
+  });
+
+const buildLogTypeFromTemplate = (template, clientId, overrides = {}) => ({
+  clientId,
+  name: overrides.name || template.name,
+  description: template.description,
+  category: template.category,
+  color: template.color,
+  icon: template.icon,
+  fields: copyFields(template.fields),
+  ...(template.settings && Object.keys(template.settings).length > 0
+    ? { settings: template.settings }
+    : {}),
+  isSystem: !!overrides.isSystem,
+  template: {
+    templateId: template._id,
+    key: template.key,
+    version: template.version,
+    installedAt: new Date(),
+  },
+});
+
+// Create a client log type from a library template
+const installTemplate = async (
+  template,
+  clientId,
+  { name, isSystem = false, installedBy = null } = {}
+) => {
+  const logType = new LogType(
+    buildLogTypeFromTemplate(template, clientId, { name, isSystem })
+  );
+  logType.$locals.changedBy = installedBy;
+  await logType.save();
+  return logType;
+};
+
+const fieldKey = (field) => definitionSignature(copyFields([field])[0]);
+
+// Compare an installed log type's fields with the current template. Fields
+// are matched by fieldName; fields only present locally are kept on update.
+const diffTemplateFields = (localFields, templateFields) => {
+  const local = new Map(
+    copyFields(localFields).map((field) => [field.fieldName, field])
+  );
+  const upstream = copyFields(templateFields);
+  const upstreamNames = new Set(upstream.map((field) => field.fieldName));
+
+  const diff = { added: [], changed: [], localOnly: [], unchanged: 0 };
+
+  upstream.forEach((field) => {
+    const current = local.get(field.fieldName);
+    if (!current) {
+      diff.added.push(field);
+    } else if (fieldKey(current) !== fieldKey(field)) {
+      diff.changed.push({
+        fieldName: field.fieldName,
+        from: current,
+        to: field,
+      });
+    } else {
+      diff.unchanged++;
+    }
+  });
+
+  local.forEach((field, fieldName) => {
+    if (!upstreamNames.has(fieldName)) diff.localOnly.push(field);
+  });
+
+  return diff;
+};
+
+const isUpdateAvailable = (logType, template) =>
+  !!logType.template &&
+  !!template &&
+  (logType.template.version || 1) < template.version;
+
+// Pull the latest template fields into an installed log type. Upstream
+// fields replace their local copies, local-only fields are kept after them,
+// and the client's name, appearance and settings are left untouched.
+const applyTemplateUpdate = async (logType, template, { changedBy } = {}) => {
+  const diff = diffTemplateFields(logType.fields, template.fields);
+  const upstream = copyFields(template.fields);
+  const lastOrder = upstream.reduce(
+    (max, field) => Math.max(max, field.order || 0),
+    0
+  );
+
+  logType.fields = [
+    ...upstream,
+    ...diff.localOnly.map((field, index) => ({
+      ...field,
+      order: lastOrder + index + 1,
+    })),
+  ];
+  logType.template.version = template.version;
+  logType.template.updatedAt = new Date();
+  logType.$locals.changedBy = changedBy || null;
+  await logType.save();
+
+  return diff;
+};
+
+module.exports = {
+  ensureBuiltInTemplates,
+  buildLogTypeFromTemplate,
+  installTemplate,
+  diffTemplateFields,
+  isUpdateAvailable,
+  applyTemplateUpdate,
+};
@@ -0,0 +1,435 @@
+//utils/phiRedaction.js
+
+// Pseudonymisation of patient identifiers before text is sent to an AI or
+// speech provider. A redactor is made per request: it swaps each
+// identifier it finds for a numbered placeholder ("[NAME_1]"), gives the
+// same value the same placeholder throughout the request, and puts the
+// originals back into the provider's reply. Client admins choose the
+// strictness (settings.redaction.strictness):
+//   basic     NHS numbers, MRNs, phone numbers and email addresses
+//   standard  basic plus names, dates of birth and addresses (default)
+//   strict    standard plus every date, long numbers, clinicians' names
+//             and ages over 89
+// Detection is pattern based and errs towards redacting. Images sent to
+// vision models are not inspected.
+
+const { generate } = require("../config/llm");
+const Client = require("../models/Client");
+const RedactionReport = require("../models/RedactionReport");
+require("dotenv").config();
+
+const { REDACTION_STRICTNESS } = RedactionReport;
+
+const DEFAULT_REDACTION_STRICTNESS = REDACTION_STRICTNESS.includes(
+  process.env.PHI_REDACTION_STRICTNESS
+)
+  ? process.env.PHI_REDACTION_STRICTNESS
+  : "standard";
+
+const LEVELS = { basic: 1, standard: 2, strict: 3 };
+
+// Lowest strictness that redacts each identifier type
+const TYPE_LEVELS = {
+  email: 1,
+  nhs_number: 1,
+  mrn: 1,
+  phone: 1,
+  name: 2,
+  dob: 2,
+  address: 2,
+  date: 3,
+  id_number: 3,
+  age: 3,
+};
+
+const MONTH =
+  "(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?";
+const DATE = [
+  "\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}",
+  "\\d{4}-\\d{2}-\\d{2}",
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4}`,
+  `${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}`,
+].join("|");
+const NAME = "[A-Z][a-zA-Z'-]+(?:\\s+[A-Z][a-zA-Z'-]+){0,2}";
+const STREET_TYPES =
+  "Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Close|Drive|Way|Court|Crescent|" +
+  "Place|Terrace|Gardens|Grove|Hill|Park|Row|Square|Walk|Mews";
+
+// NHS numbers end in a modulus 11 check digit
+const isNhsNumber = (value) => {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length !== 10) return false;
+  const sum = [...digits.slice(0, 9)].reduce(
+    (total, digit, index) => total + Number(digit) * (10 - index),
+    0
+  );
+  const check = 11 - (sum % 11);
+  return (check === 11 ? 0 : check) === Number(digits[9]);
+};
+
+const isPhoneNumber = (value) => {
+  const digits = value.replace(/\D/g, "").length;
+  return digits >= 10 && digits <= 12;
+};
+
+// Patterns in the order they run. Where a pattern has a "value" group only
+// that part is replaced, so labels such as "DOB:" stay readable.
+const DETECTORS = [
+  { type: "email", pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  {
+    type: "nhs_number",
+    pattern:
+      /\bNHS\s*(?:no|number|num)?\.?\s*[:#]?\s*(?<value>\d{3}[\s-]?\d{3}[\s-]?\d{4})\b/gi,
+  },
+  {
+    type: "nhs_number",
+    pattern: /\b\d{3}[\s-]?\d{3}[\s-]?\d{4}\b/g,
+    valid: isNhsNumber,
+  },
+  {
+    type: "mrn",
+    pattern:
+      /\b(?:MRN|CHI|hosp(?:ital)?\.?\s*(?:no|number|num)|unit\s*(?:no|number)|patient\s*(?:id|no|number))\.?\s*[:#]?\s*(?<value>[A-Z]{0,4}\d[A-Z\d-]{3,})\b/gi,
+  },
+  {
+    type: "phone",
+    pattern:
+      /(?:\+44\s?(?:\(0\)\s?)?|\b0)\d{2,4}[\s-]?\d{3,4}[\s-]?\d{3,4}\b/g,
+    valid: isPhoneNumber,
+  },
+  {
+    type: "dob",
+    pattern: new RegExp(
+      `\\b(?:DOB|D\\.O\\.B\\.?|date\\s+of\\s+birth|born(?:\\s+on)?)\\s*[:\\-]?\\s*(?<value>${DATE})`,
+      "gi"
+    ),
+  },
+  {
+    type: "address",
+    pattern: new RegExp(
+      `\\b\\d{1,4}[A-Za-z]?,?\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:${STREET_TYPES})\\b\\.?`,
+      "g"
+    ),
+  },
+  {
+    // UK postcodes
+    type: "address",
+    pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[ABD-HJLNP-UW-Z]{2}\b/g,
+  },
+  {
+    type: "name",
+    pattern: new RegExp(
+      `\\b(?:Mr|Mrs|Ms|Miss|Mx|Master)\\.?\\s+(?<value>${NAME})`,
+      "g"
+    ),
+  },
+  {
+    type: "name",
+    pattern: new RegExp(
+      `\\b(?:[Pp]atient(?:'s)?\\s+[Nn]ame|[Nn]ame|[Pp]atient|[Pp]t)\\s*[:\\-]\\s*(?<value>${NAME})`,
+      "g"
+    ),
+  },
+  {
+    type: "name",
+    pattern: new RegExp(`\\b(?:called|named)\\s+(?<value>${NAME})`, "g"),
+  },
+  {
+    type: "name",
+    level: 3,
+    pattern: new RegExp(`\\b(?:Dr|Prof)\\.?\\s+(?<value>${NAME})`, "g"),
+  },
+  {
+    type: "age",
+    pattern:
+      /\b(?<value>(?:9\d|1[0-4]\d))[\s-]*(?:years?[\s-]*old|year-old|y\/?o\b|yrs?\b)/gi,
+  },
+  { type: "date", pattern: new RegExp(`\\b(?:${DATE})\\b`, "gi") },
+  { type: "id_number", pattern: /\b[A-Z]{0,3}\d{6,}\b/g },
+];
+
+// Identifier type of a structured data field, from its key
+const KEY_TYPES = [
+  [/nhs/i, "nhs_number"],
+  [
+    /mrn|hosp(?:ital)?_?(?:no|num)|record_?(?:no|num)|patient_?id|unit_?(?:no|num)/i,
+    "mrn",
+  ],
+  [/dob|birth/i, "dob"],
+  [/e-?mail/i, "email"],
+  [/phone|mobile|telephone/i, "phone"],
+  [/address|post_?code|zip/i, "address"],
+  [
+    /patient_?name|^(?:full_?)?name$|surname|forename|(?:first|last|given|family)_?name/i,
+    "name",
+  ],
+];
+
+const identifierTypeForKey = (key) => {
+  const match = KEY_TYPES.find(([pattern]) => pattern.test(key));
+  return match ? match[1] : null;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Detector for names known to belong to the entry: each full name and
+// each capitalised part of it
+const knownNamesDetector = (names) => {
+  const variants = new Set();
+  names
+    .filter((name) => typeof name === "string")
+    .forEach((name) => {
+      const trimmed = name.trim();
+      if (trimmed.length < 3) return;
+      variants.add(trimmed);
+      trimmed
+        .split(/\s+/)
+        .filter((part) => part.length >= 3 && /^[A-Z]/.test(part))
+        .forEach((part) => variants.add(part));
+    });
+  if (variants.size === 0) return null;
+
+  const alternatives = [...variants]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return {
+    type: "name",
+    pattern: new RegExp(`\\b(?:${alternatives.join("|")})\\b`, "g"),
+  };
+};
+
+const PLACEHOLDER_PATTERN = /\[[A-Z_]+_\d+\]/g;
+// Longest text held back while a streamed placeholder may be incomplete
+const MAX_PLACEHOLDER_LENGTH = 24;
+
+// Redactor for one request. Options: { strictness, knownNames }.
+const createRedactor = ({ strictness, knownNames = [] } = {}) => {
+  const chosen = LEVELS[strictness]
+    ? strictness
+    : DEFAULT_REDACTION_STRICTNESS;
+  const level = LEVELS[chosen];
+  const detectors = [knownNamesDetector(knownNames), ...DETECTORS].filter(
+    (detector) =>
+      detector && level >= (detector.level || TYPE_LEVELS[detector.type])
+  );
+
+  // Names found by the patterns; their parts are redacted wherever they
+  // appear later (e.g. "Smith" after "Mr John Smith")
+  const foundNames = new Set();
+  const placeholders = new Map();
+  const originals = new Map();
+  const numbering = {};
+  const counts = {};
+  let reidentified = 0;
+
+  const placeholderFor = (type, value) => {
+    const key = `${type}:${value.toLowerCase().replace(/[\s-]+/g, "")}`;
+    if (!placeholders.has(key)) {
+      numbering[type] = (numbering[type] || 0) + 1;
+      const placeholder = `[${type.toUpperCase()}_${numbering[type]}]`;
+      placeholders.set(key, placeholder);
+      originals.set(placeholder, value);
+    }
+    counts[type] = (counts[type] || 0) + 1;
+    return placeholders.get(key);
+  };
+
+  const applyDetector = (text, detector) =>
+    text.replace(detector.pattern, (match, ...args) => {
+      const groups = args[args.length - 1];
+      const value =
+        (groups && typeof groups === "object" && groups.value) || match;
+      if (detector.valid && !detector.valid(value)) return match;
+      if (detector.type === "name") foundNames.add(value);
+      const at = match.lastIndexOf(value);
+      return (
+        match.slice(0, at) +
+        placeholderFor(detector.type, value) +
+        match.slice(at + value.length)
+      );
+    });
+
+  const redact = (text) => {
+    if (!text) return text;
+    const result = detectors.reduce(applyDetector, String(text));
+    const found =
+      level >= TYPE_LEVELS.name && knownNamesDetector([...foundNames]);
+    return found ? applyDetector(result, found) : result;
+  };
+
+  // Structured entry data: fields whose key names an identifier are
+  // replaced whole, other text is redacted like free text
+  const redactData = (value, key = "") => {
+    if (Array.isArray(value)) {
+      return value.map((item) => redactData(item, key));
+    }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([field, item]) => [
+          field,
+          redactData(item, field),
+        ])
+      );
+    }
+    if (value === null || value === undefined || typeof value === "boolean") {
+      return value;
+    }
+
+    const type = identifierTypeForKey(key);
+    if (type && level >= TYPE_LEVELS[type] && String(value).trim()) {
+      const text =
+        value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+      return placeholderFor(type, text.trim());
+    }
+    return typeof value === "string" ? redact(value) : value;
+  };
+
+  const restore = (text, counted) =>
+    (text || "").replace(PLACEHOLDER_PATTERN, (placeholder) => {
+      if (!originals.has(placeholder)) return placeholder;
+      if (counted) reidentified++;
+      return originals.get(placeholder);
+    });
+
+  // Put the originals back; placeholders this request did not issue are
+  // left as they are
+  const reidentify = (text) => restore(text, true);
+
+  // Re-identify streamed text, holding back a trailing "[" until the
+  // placeholder it may start is complete. Call end() to flush. Not counted
+  // in the report; the complete reply is re-identified as well.
+  const reidentifyStream = (onText) => {
+    let pending = "";
+    return {
+      write: (chunk) => {
+        pending += chunk;
+        const open = pending.lastIndexOf("[");
+        const holdFrom =
+          open !== -1 &&
+          !pending.includes("]", open) &&
+          pending.length - open < MAX_PLACEHOLDER_LENGTH
+            ? open
+            : pending.length;
+        const ready = pending.slice(0, holdFrom);
+        pending = pending.slice(holdFrom);
+        if (ready) onText(restore(ready, false));
+      },
+      end: () => {
+        if (pending) onText(restore(pending, false));
+        pending = "";
+      },
+    };
+  };
+
+  const total = () => Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+  // Note for the model's system instruction, or "" when nothing was
+  // redacted
+  const instructions = () =>
+    total() > 0
+      ? "\nPatient identifiers in this conversation have been replaced with placeholders such as [NAME_1] or [NHS_NUMBER_1]. Use the placeholders exactly as written when referring to them, and do not guess the real values.\n"
+      : "";
+
+  const report = () => ({
+    strictness: chosen,
+    total: total(),
+    counts: { ...counts },
+    reidentified,
+  });
+
+  return {
+    strictness: chosen,
+    redact,
+    redactData,
+    reidentify,
+    reidentifyStream,
+    instructions,
+    report,
+  };
+};
+
+// Strictness a client has chosen, loading its settings when the client
+// is not populated
+const resolveRedactionStrictness = async (client) => {
+  let settings = client && client.settings;
+  if (client && !settings) {
+    const clientDoc = await Client.findById(client._id || client)
+      .select("settings.redaction")
+      .lean();
+    settings = clientDoc && clientDoc.settings;
+  }
+  return settings?.redaction?.strictness || DEFAULT_REDACTION_STRICTNESS;
+};
+
+// Names the entry itself records: participants and name fields in its data
+const entryKnownNames = (logEntry) => {
+  const names = (logEntry.participants || []).map(
+    (participant) => participant.name
+  );
+  const collect = (value, key = "") => {
+    if (Array.isArray(value)) {
+      return value.forEach((item) => collect(item, key));
+    }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return Object.entries(value).forEach(([field, item]) =>
+        collect(item, field)
+      );
+    }
+    if (typeof value === "string" && identifierTypeForKey(key) === "name") {
+      names.push(value);
+    }
+  };
+  collect(logEntry.data || {});
+  return names;
+};
+
+// Redactor for text about a log entry, at its client's strictness
+const createEntryRedactor = async (logEntry, client) =>
+  createRedactor({
+    strictness: await resolveRedactionStrictness(client || logEntry.clientId),
+    knownNames: entryKnownNames(logEntry),
+  });
+
+// Store the redactor's report. Fields: { userId, clientId, entryId,
+// recordingId, purpose, destination }. A failure is logged rather than
+// failing the request.
+const recordRedactionReport = (redactor, fields) =>
+  RedactionReport.create({
+    ...fields,
+    clientId: fields.clientId?._id || fields.clientId || null,
+    ...redactor.report(),
+  }).catch((error) => {
+    console.warn("Failed to record redaction report:", error.message);
+    return null;
+  });
+
+// Send a redacted request through the LLM gateway (options as for
+// generate) and re-identify the reply, including the partial text of an
+// interrupted stream. The report is recorded whether or not the provider
+// answered; report fields as for recordRedactionReport.
+const generateRedacted = async (redactor, reportFields, options) => {
+  try {
+    const result = await generate(options);
+    return { ...result, text: redactor.reidentify(result.text) };
+  } catch (error) {
+    if (error.partialText) {
+      error.partialText = redactor.reidentify(error.partialText);
+    }
+    throw error;
+  } finally {
+    recordRedactionReport(redactor, {
+      ...reportFields,
+      destination: options.model,
+    });
+  }
+};
+
+module.exports = {
+  REDACTION_STRICTNESS,
+  DEFAULT_REDACTION_STRICTNESS,
+  createRedactor,
+  createEntryRedactor,
+  resolveRedactionStrictness,
+  recordRedactionReport,
+  generateRedacted,
+};
@@ -4,6 +4,8 @@ require('dotenv').config();
 const User = require('../models/User');
 const Client = require('../models/Client');
 const LogType = require('../models/LogType');
+const LogTypeTemplate = require('../models/LogTypeTemplate');
+const { ensureBuiltInTemplates, installTemplate } = require('./logTypeTemplates');
 
 const setupDatabase = async () => {
   try {
@@ -34,57 +36,21 @@ const setupDatabase = async () => {
       console.log('ℹ️  Demo client already exists');
     }
 
-    // Create default log types
+    // Seed the template library and install its defaults
+    const createdTemplates = await ensureBuiltInTemplates();
+    console.log(`✅ Template library ready (${createdTemplates} added)`);
+
     const existingLogTypes = await LogType.find({ clientId: demoClient._id });
     
     if (existingLogTypes.length === 0) {
-      const defaultLogTypes = [
-        {
-          clientId: demoClient._id,
-          name: 'Procedure',
-          description: 'Medical procedures and operations',
-          category: 'procedure',
-          color: '#3B82F6',
-          icon: 'scissors',
-          fields: [
-            { fieldName: 'procedure_type', fieldType: 'select', label: 'Procedure Type', required: true, options: ['Minor', 'Major', 'Emergency'], order: 1 },
-            { fieldName: 'supervisor', fieldType: 'text', label: 'Supervisor', required: true, order: 2 },
-            { fieldName: 'patient_age', fieldType: 'number', label: 'Patient Age', order: 3 },
-            { fieldName: 'complications', fieldType: 'textarea', label: 'Complications', order: 4 }
-          ],
-          isSystem: true
-        },
-        {
-          clientId: demoClient._id,
-          name: 'Consultation',
-          description: 'Patient consultations and assessments',
-          category: 'consultation',
-          color: '#10B981',
-          icon: 'user-group',
-          fields: [
-            { fieldName: 'consultation_type', fieldType: 'select', label: 'Type', required: true, options: ['Initial', 'Follow-up', 'Emergency'], order: 1 },
-            { fieldName: 'diagnosis', fieldType: 'text', label: 'Primary Diagnosis', order: 2 },
-            { fieldName: 'treatment_plan', fieldType: 'textarea', label: 'Treatment Plan', order: 3 }
-          ],
-          isSystem: true
-        },
-        {
-          clientId: demoClient._id,
-          name: 'Teaching Session',
-          description: 'Medical education and training activities',
-          category: 'teaching',
-          color: '#F59E0B',
-          icon: 'academic-cap',
-          fields: [
-            { fieldName: 'session_type', fieldType: 'select', label: 'Session Type', required: true, options: ['Lecture', 'Tutorial', 'Bedside Teaching'], order: 1 },
-            { fieldName: 'topic', fieldType: 'text', label: 'Topic', required: true, order: 2 },
-            { fieldName: 'participants', fieldType: 'number', label: 'Number of Participants', order: 3 }
-          ],
-          isSystem: true
-        }
-      ];
+      const templates = await LogTypeTemplate.find({
+        isDefault: true,
+        isPublished: true
+      }).sort({ createdAt: 1, _id: 1 });
 
-      await LogType.insertMany(defaultLogTypes);
+      for (const template of templates) {
+        await installTemplate(template, demoClient._id, { isSystem: true });
+      }
       console.log('✅ Created default log types');
     } else {
       console.log('ℹ️  Default log types already exist');
@@ -0,0 +1,413 @@
+//utils/spreadsheetImporter.js
+
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const LogEntry = require("../models/LogEntry");
+const {
+  getOrderedFields,
+  isEmptyValue,
+  coerceFieldValue,
+  validateEntryData,
+} = require("./logTypeFields");
+const {
+  findExistingExternalIds,
+  saveImportResult,
+} = require("./entryImporter");
+
+const MAX_SPREADSHEET_ROWS = 10000;
+const PREVIEW_ROWS = 20;
+const DATA_TARGET_PREFIX = "data.";
+
+// LogEntry core fields a spreadsheet column can be mapped to. Labels match
+// the CSV export headers so exported files map automatically.
+const CORE_FIELD_TARGETS = {
+  externalId: { label: "External ID", type: "text" },
+  title: { label: "Title", type: "text", required: true },
+  createdAt: { label: "Date", type: "datetime" },
+  status: {
+    label: "Status",
+    type: "select",
+    options: ["draft", "completed", "reviewed", "archived"],
+  },
+  notes: { label: "Notes", type: "textarea" },
+  tags: { label: "Tags", type: "multiselect" },
+  isPrivate: { label: "Private", type: "boolean" },
+  completedAt: { label: "Completed At", type: "datetime" },
+  "location.name": { label: "Location", type: "text" },
+  "location.department": { label: "Department", type: "text" },
+  "location.hospital": { label: "Hospital", type: "text" },
+};
+
+// Historical entries are normally finished procedures
+const DEFAULT_IMPORT_STATUS = "completed";
+
+const normalizeHeader = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const getSpreadsheetFormat = (filename) => {
+  const extension = path.extname(filename || "").toLowerCase();
+  if (extension === ".csv") return "csv";
+  if (extension === ".xlsx") return "xlsx";
+  return null;
+};
+
+// Flatten exceljs cell values (rich text, formulas, hyperlinks) to a
+// primitive or Date
+const normalizeCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value !== "object") {
+    return typeof value === "string" ? value.trim() : value;
+  }
+  if (Array.isArray(value.richText)) {
+    return value.richText.map((part) => part.text).join("").trim();
+  }
+  if (value.result !== undefined) return normalizeCellValue(value.result);
+  if (value.text !== undefined) return normalizeCellValue(value.text);
+  if (value.error) return null;
+  return String(value);
+};
+
+// Read the first worksheet of a CSV or XLSX file. The first row holds the
+// column headers; rows are numbered as they appear in the file.
+const readSpreadsheet = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === "csv") {
+    // Keep every cell as text so leading zeros and ids survive
+    worksheet = await workbook.csv.read(Readable.from([buffer]), {
+      map: (value) => value,
+    });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    const header = String(normalizeCellValue(cell.value) ?? "")
+      .replace(/^\uFEFF/, "")
+      .trim();
+    if (header && !headers.some((existing) => existing.header === header)) {
+      headers.push({ header, column });
+    }
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    headers.forEach(({ header, column }) => {
+      values[header] = normalizeCellValue(row.getCell(column).value);
+    });
+
+    if (Object.values(values).every(isEmptyValue)) return;
+    rows.push({ row: rowNumber, values });
+  });
+
+  return { headers: headers.map(({ header }) => header), rows };
+};
+
+// Computed values are derived on import and groups hold several values, so
+// neither can come from a single cell
+const isMappableField = (field) =>
+  field.fieldType !== "group" && !field.computed?.operation;
+
+// Columns the user can map to for a log type
+const getMappingTargets = (logType) => [
+  ...Object.entries(CORE_FIELD_TARGETS).map(([target, definition]) => ({
+    target,
+    label: definition.label,
+    type: definition.type,
+    required: !!definition.required,
+  })),
+  ...getOrderedFields(logType)
+    .filter(isMappableField)
+    .map((field) => ({
+      target: `${DATA_TARGET_PREFIX}${field.fieldName}`,
+      label: field.label,
+      type: field.fieldType,
+      required: !!field.required,
+      options: field.options,
+    })),
+];
+
+// Guess a mapping by matching headers to target names and labels
+const buildDefaultMapping = (headers, logType) => {
+  const targets = getMappingTargets(logType);
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach((header) => {
+    const key = normalizeHeader(header);
+    const match = targets.find(
+      (target) =>
+        !used.has(target.target) &&
+        (normalizeHeader(target.label) === key ||
+          normalizeHeader(target.target.replace(DATA_TARGET_PREFIX, "")) ===
+            key)
+    );
+    if (match) {
+      mapping[header] = match.target;
+      used.add(match.target);
+    }
+  });
+
+  return mapping;
+};
+
+// Check a user supplied mapping. Returns a list of problems.
+const validateMapping = (mapping, headers, logType) => {
+  const problems = [];
+  const targets = new Set(
+    getMappingTargets(logType).map((target) => target.target)
+  );
+  const used = new Set();
+
+  Object.entries(mapping).forEach(([header, target]) => {
+    if (!target) return; // Column deliberately ignored
+    if (!headers.includes(header)) {
+      problems.push(`Column "${header}" does not exist in the file`);
+    } else if (!targets.has(target)) {
+      problems.push(`Unknown target "${target}" for column "${header}"`);
+    } else if (used.has(target)) {
+      problems.push(`Target "${target}" is mapped more than once`);
+    }
+    used.add(target);
+  });
+
+  if (!used.has("title")) {
+    problems.push("A column must be mapped to title");
+  }
+
+  return problems;
+};
+
+const setPath = (object, targetPath, value) => {
+  const [head, ...rest] = targetPath.split(".");
+  if (rest.length === 0) {
+    object[head] = value;
+    return;
+  }
+  object[head] = object[head] || {};
+  setPath(object[head], rest.join("."), value);
+};
+
+const escapeCsv = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+
+const cellText = (value) =>
+  value instanceof Date ? value.toISOString() : String(value ?? "");
+
+// Turn one spreadsheet row into entry data plus row errors
+const mapRow = ({ row, values }, mapping, logType) => {
+  const entry = { data: {} };
+  const errors = [];
+  const cells = {};
+
+  Object.entries(mapping).forEach(([header, target]) => {
+    if (!target) return;
+    const value = values[header];
+
+    if (target.startsWith(DATA_TARGET_PREFIX)) {
+      const fieldName = target.slice(DATA_TARGET_PREFIX.length);
+      entry.data[fieldName] = value;
+      cells[fieldName] = value;
+      return;
+    }
+
+    cells[target] = value;
+    if (isEmptyValue(value)) return;
+
+    const definition = CORE_FIELD_TARGETS[target];
+    const coerced = coerceFieldValue(
+      {
+        fieldName: target,
+        label: definition.label,
+        fieldType: definition.type,
+        options: definition.options,
+      },
+      value
+    );
+
+    if (coerced.error) {
+      errors.push({ row, ...coerced.error, value: cellText(value) });
+      return;
+    }
+
+    let coercedValue = coerced.value;
+    if (definition.type === "datetime") coercedValue = new Date(coercedValue);
+    if (target === "externalId") coercedValue = coercedValue.trim();
+    setPath(entry, target, coercedValue);
+  });
+
+  const validation = validateEntryData(logType, entry.data, {
+    applyDefaults: true,
+  });
+  validation.errors.forEach((error) => {
+    errors.push({
+      row,
+      ...error,
+      field: `${DATA_TARGET_PREFIX}${error.field}`,
+      value: isEmptyValue(cells[error.field])
+        ? null
+        : cellText(cells[error.field]),
+    });
+  });
+  entry.data = validation.data;
+
+  // Drop empty values so unmapped cells do not become empty keys
+  Object.keys(entry.data).forEach((key) => {
+    if (isEmptyValue(entry.data[key])) delete entry.data[key];
+  });
+
+  if (isEmptyValue(entry.title)) {
+    errors.push({
+      row,
+      field: "title",
+      code: "FIELD_REQUIRED",
+      message: "Title is required",
+    });
+  }
+
+  return { entry, errors };
+};
+
+// Validate spreadsheet rows against the log type and import them
+const importSpreadsheetRows = async (
+  { headers, rows },
+  { user, logType, mapping, source, filename = null, dryRun = false }
+) => {
+  const rowErrors = [];
+  const skipped = [];
+  const prepared = [];
+  const preview = [];
+
+  const mappedRows = rows.map((row) => ({
+    row: row.row,
+    ...mapRow(row, mapping, logType),
+  }));
+
+  const externalIds = mappedRows
+    .map(({ entry }) => entry.externalId)
+    .filter(Boolean);
+  const existingIds = await findExistingExternalIds(user._id, externalIds);
+  const seenIds = new Set();
+
+  mappedRows.forEach(({ row, entry, errors }) => {
+    const externalId = entry.externalId || null;
+
+    const isDuplicate =
+      externalId && (existingIds.has(externalId) || seenIds.has(externalId));
+
+    if (isDuplicate) {
+      skipped.push({
+        row,
+        externalId,
+        code: "DUPLICATE_ENTRY",
+        message: "Entry already exists and was skipped",
+      });
+      return;
+    }
+
+    if (errors.length > 0) {
+      errors.forEach((error) => rowErrors.push({ externalId, ...error }));
+      return;
+    }
+
+    const status = entry.status || DEFAULT_IMPORT_STATUS;
+    const doc = new LogEntry({
+      ...entry,
+      userId: user._id,
+      clientId: user.clientId._id,
+      logTypeId: logType._id,
+      logTypeVersion: logType.schemaVersion,
+      status,
+      completedAt:
+        entry.completedAt ||
+        (status === "completed" ? entry.createdAt || new Date() : null),
+    });
+
+    const validationError = doc.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach((error) => {
+        rowErrors.push({
+          row,
+          externalId,
+          field: error.path,
+          code: "VALIDATION_ERROR",
+          message: error.message,
+        });
+      });
+      return;
+    }
+
+    if (externalId) seenIds.add(externalId);
+    prepared.push({ row, externalId, doc });
+
+    if (preview.length < PREVIEW_ROWS) {
+      preview.push({
+        row,
+        title: doc.title,
+        status: doc.status,
+        createdAt: entry.createdAt || null,
+        data: doc.data,
+        tags: doc.tags,
+        notes: doc.notes,
+      });
+    }
+  });
+
+  const importDoc = await saveImportResult({
+    user,
+    source,
+    filename,
+    dryRun,
+    totalRows: rows.length,
+    prepared,
+    skipped,
+    rowErrors,
+    logTypeId: logType._id,
+    columnMapping: mapping,
+  });
+
+  return { importDoc, preview, headers };
+};
+
+// Render an import's row errors as a CSV report
+const buildErrorReportCsv = (importDoc) => {
+  const lines = [["Row", "External ID", "Field", "Value", "Code", "Message"]];
+
+  importDoc.rowErrors.forEach((error) => {
+    lines.push([
+      error.row,
+      error.externalId,
+      error.field,
+      error.value,
+      error.code,
+      error.message,
+    ]);
+  });
+
+  return lines.map((line) => line.map(escapeCsv).join(",")).join("\n");
+};
+
+module.exports = {
+  MAX_SPREADSHEET_ROWS,
+  CORE_FIELD_TARGETS,
+  getSpreadsheetFormat,
+  readSpreadsheet,
+  getMappingTargets,
+  buildDefaultMapping,
+  validateMapping,
+  importSpreadsheetRows,
+  buildErrorReportCsv,
+};
@@ -0,0 +1,212 @@
+//utils/transcriptRevisions.js
+
+// Revision history for recording transcripts. recording.transcript always
+// holds the latest accepted revision, so exports and AI context keep
+// reading it. Speech-to-text output and manual edits are accepted as they
+// are made; AI-improved versions are kept as proposals until restored.
+
+const REVISION_SOURCES = ["stt", "ai_improve", "manual"];
+
+// Past this many word edits the diff is reported as a full replacement
+const MAX_DIFF_EDITS = 2000;
+
+const nextRevisionNumber = (recording) =>
+  (recording.transcriptRevisions || []).reduce(
+    (max, revision) => Math.max(max, revision.number),
+    0
+  ) + 1;
+
+// Transcripts stored before revisions existed become revision 1
+const ensureBaselineRevision = (recording) => {
+  if ((recording.transcriptRevisions || []).length > 0) return;
+  recording.transcriptRevisions = [];
+  if (!recording.transcript) return;
+
+  recording.transcriptRevisions.push({
+    number: 1,
+    text: recording.transcript,
+    source: "stt",
+    accepted: true,
+    createdAt:
+      recording.transcriptionTimestamp || recording.uploadedAt || new Date(),
+  });
+  recording.transcriptRevision = 1;
+};
+
+// Record a new version of a recording's transcript. Options: { text,
+// source, authorId, note, restoredFrom }. Returns the stored revision.
+const addTranscriptRevision = (
+  recording,
+  { text, source, authorId = null, note = null, restoredFrom = null }
+) => {
+  ensureBaselineRevision(recording);
+
+  const revision = {
+    number: nextRevisionNumber(recording),
+    text,
+    source,
+    authorId,
+    note,
+    restoredFrom,
+    accepted: source !== "ai_improve",
+    createdAt: new Date(),
+  };
+  recording.transcriptRevisions.push(revision);
+
+  if (revision.accepted) {
+    recording.transcript = text;
+    recording.transcriptRevision = revision.number;
+  }
+  return recording.transcriptRevisions[
+    recording.transcriptRevisions.length - 1
+  ];
+};
+
+const findRevision = (recording, number) =>
+  (recording.transcriptRevisions || []).find(
+    (revision) => revision.number === number
+  ) || null;
+
+// Make an earlier revision current again by copying it as a new one, so
+// the history only ever grows
+const restoreTranscriptRevision = (recording, number, authorId) => {
+  ensureBaselineRevision(recording);
+  const revision = findRevision(recording, number);
+  if (!revision) return null;
+
+  return addTranscriptRevision(recording, {
+    text: revision.text,
+    source: "manual",
+    authorId,
+    note: `Restored revision ${number}`,
+    restoredFrom: number,
+  });
+};
+
+// Myers' shortest edit script between two token lists, as a list of
+// [type, token] steps
+const shortestEditScript = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const trace = [];
+  let v = { 1: 0 };
+
+  for (let d = 0; d <= n + m; d++) {
+    if (d > MAX_DIFF_EDITS) {
+      return [
+        ...a.map((token) => ["delete", token]),
+        ...b.map((token) => ["insert", token]),
+      ];
+    }
+
+    const next = {};
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[k - 1] < v[k + 1]) ? v[k + 1] : v[k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      next[k] = x;
+
+      if (x >= n && y >= m) {
+        trace.push(next);
+        return backtrack(trace, a, b);
+      }
+    }
+    trace.push(next);
+    v = next;
+  }
+  return [];
+};
+
+const backtrack = (trace, a, b) => {
+  const steps = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const v = trace[d - 1];
+    const k = x - y;
+    const previousK =
+      k === -d || (k !== d && v[k - 1] < v[k + 1]) ? k + 1 : k - 1;
+    const previousX = v[previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      steps.push(["equal", a[x - 1]]);
+      x--;
+      y--;
+    }
+    if (x === previousX) {
+      steps.push(["insert", b[y - 1]]);
+    } else {
+      steps.push(["delete", a[x - 1]]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0 && y > 0) {
+    steps.push(["equal", a[x - 1]]);
+    x--;
+    y--;
+  }
+  return steps.reverse();
+};
+
+// Word-level diff of two texts. Returns { changes: [{ type, text }],
+// stats: { added, removed, unchanged } } where type is equal, insert or
+// delete and runs of the same type are joined.
+const diffTranscripts = (fromText, toText) => {
+  const a = (fromText || "").split(/\s+/).filter(Boolean);
+  const b = (toText || "").split(/\s+/).filter(Boolean);
+
+  // Most edits are small; diff only the part between the common ends
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const steps = [
+    ...a.slice(0, start).map((token) => ["equal", token]),
+    ...shortestEditScript(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map((token) => ["equal", token]),
+  ];
+
+  const changes = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const statKeys = { insert: "added", delete: "removed", equal: "unchanged" };
+  steps.forEach(([type, token]) => {
+    stats[statKeys[type]]++;
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      changes.push({ type, tokens: [token] });
+    }
+  });
+
+  return {
+    changes: changes.map(({ type, tokens }) => ({
+      type,
+      text: tokens.join(" "),
+    })),
+    stats,
+  };
+};
+
+module.exports = {
+  REVISION_SOURCES,
+  ensureBaselineRevision,
+  addTranscriptRevision,
+  findRevision,
+  restoreTranscriptRevision,
+  diffTranscripts,
+};
@@ -0,0 +1,461 @@
+//utils/transcription.js
+
+const {
+  ensureAudioInfo,
+  prepareRecordingAudio,
+  needsLongTranscription,
+  transcodeToLinear16,
+  detectSilences,
+  resolveRecordingPath,
+} = require("./audioProcessing");
+const { addTranscriptRevision } = require("./transcriptRevisions");
+const { matchDetectedLanguage } = require("./transcriptionLanguage");
+require("dotenv").config();
+
+const CHUNK_OVERLAP_SECONDS = parseFloat(
+  process.env.STT_CHUNK_OVERLAP_SECONDS || "1.5"
+);
+const CHUNK_CONCURRENCY = parseInt(process.env.STT_CHUNK_CONCURRENCY || "3");
+const CHUNK_ATTEMPTS = 2;
+// Words the recogniser scored below this are flagged for review
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(
+  process.env.STT_LOW_CONFIDENCE_THRESHOLD || "0.7"
+);
+const DIARIZATION_ENABLED = process.env.STT_ENABLE_DIARIZATION !== "false";
+// A pause this long, or this many words, starts a new transcript segment
+const SEGMENT_PAUSE_SECONDS = 1.5;
+const SEGMENT_MAX_WORDS = 40;
+// Never cut a chunk shorter than this when looking for a pause
+const MIN_CHUNK_SECONDS = 15;
+
+// Longest chunk a provider's synchronous API takes, with a safety margin
+const getMaxChunkSeconds = (provider) =>
+  parseFloat(process.env.STT_CHUNK_SECONDS || "0") ||
+  provider.capabilities.maxSyncSeconds - 5;
+
+// Split a recording into chunks that end in a pause where possible. Each
+// chunk after the first starts a little before its boundary so words cut
+// at a hard boundary are heard whole by one of the two chunks.
+const planChunks = (
+  duration,
+  silences,
+  { maxChunkSeconds, overlapSeconds = CHUNK_OVERLAP_SECONDS }
+) => {
+  // Each chunk must end after the next one starts, or no cut would advance
+  if (!(overlapSeconds >= 0 && maxChunkSeconds > overlapSeconds)) {
+    throw new Error(
+      `Chunk length (${maxChunkSeconds}s) must be longer than the chunk ` +
+        `overlap (${overlapSeconds}s); check STT_CHUNK_SECONDS and ` +
+        "STT_CHUNK_OVERLAP_SECONDS"
+    );
+  }
+
+  const boundaries = [0];
+  let chunkStart = 0;
+
+  while (duration - chunkStart > maxChunkSeconds) {
+    const windowStart =
+      chunkStart + Math.min(MIN_CHUNK_SECONDS, maxChunkSeconds / 2);
+    const windowEnd = chunkStart + maxChunkSeconds - overlapSeconds;
+    const pauses = silences
+      .map((silence) => (silence.start + silence.end) / 2)
+      .filter((time) => time >= windowStart && time <= windowEnd);
+
+    // Cut in the latest pause, or at the limit if nobody paused
+    const cut = pauses.length > 0 ? pauses[pauses.length - 1] : windowEnd;
+    boundaries.push(cut);
+    chunkStart = cut;
+  }
+  boundaries.push(duration);
+
+  return boundaries.slice(0, -1).map((boundaryStart, index) => ({
+    index,
+    boundaryStart,
+    boundaryEnd: boundaries[index + 1],
+    start: index === 0 ? 0 : Math.max(0, boundaryStart - overlapSeconds),
+    end: boundaries[index + 1],
+  }));
+};
+
+// Run fn over items with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    }
+  );
+  await Promise.all(workers);
+  return results;
+};
+
+const normalizeText = (word) => word.toLowerCase().replace(/[^\w']/g, "");
+
+// Drop the words at the start of `next` that repeat the end of `previous`.
+// Used for providers that return text without word timings.
+const mergeOverlappingText = (previous, next, maxWords = 20) => {
+  const before = previous.split(/\s+/).filter(Boolean);
+  const after = next.split(/\s+/).filter(Boolean);
+  const limit = Math.min(maxWords, before.length, after.length);
+
+  for (let size = limit; size > 0; size--) {
+    const tail = before.slice(-size).map(normalizeText).join(" ");
+    const head = after.slice(0, size).map(normalizeText).join(" ");
+    if (tail === head) return after.slice(size).join(" ");
+  }
+  return next;
+};
+
+const formatOffset = (seconds) => {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+const midpoint = (item) => (item.startTime + item.endTime) / 2;
+
+// Speaker numbers are only consistent within one recognition request. Map
+// a chunk's speakers onto the previous chunk's by the words both heard in
+// the overlap; speakers that never spoke there get a fresh number.
+const alignSpeakers = (chunkWords, keptWords, boundaryStart, nextSpeaker) => {
+  const votes = {};
+  chunkWords
+    .filter((word) => word.speaker && midpoint(word) < boundaryStart)
+    .forEach((word) => {
+      const match = keptWords.find(
+        (kept) =>
+          kept.speaker &&
+          Math.abs(kept.startTime - word.startTime) < 0.5 &&
+          normalizeText(kept.word) === normalizeText(word.word)
+      );
+      if (!match) return;
+      votes[word.speaker] = votes[word.speaker] || {};
+      votes[word.speaker][match.speaker] =
+        (votes[word.speaker][match.speaker] || 0) + 1;
+    });
+
+  const mapping = {};
+  Object.entries(votes).forEach(([speaker, counts]) => {
+    mapping[speaker] = Object.keys(counts).sort(
+      (a, b) => counts[b] - counts[a]
+    )[0];
+  });
+  chunkWords.forEach((word) => {
+    if (!word.speaker || mapping[word.speaker]) return;
+    // Role labels ("patient") already mean the same thing in every chunk
+    mapping[word.speaker] = /^\d+$/.test(word.speaker)
+      ? nextSpeaker()
+      : word.speaker;
+  });
+
+  return chunkWords.map((word) =>
+    word.speaker ? { ...word, speaker: mapping[word.speaker] } : word
+  );
+};
+
+// Join chunk results into one transcript with recording-relative times.
+// Words heard twice in an overlap are kept from the chunk whose boundary
+// they fall inside; failed chunks leave a marked gap.
+const stitchChunks = (chunks, results) => {
+  const words = [];
+  const segments = [];
+  const gaps = [];
+  const parts = [];
+  let confidenceSum = 0;
+  let confidenceWeight = 0;
+  let previousText = "";
+  let speakerCount = 0;
+  const nextSpeaker = () => String(++speakerCount);
+
+  results.forEach((result, index) => {
+    const chunk = chunks[index];
+
+    if (result.error) {
+      gaps.push({
+        start: chunk.boundaryStart,
+        end: chunk.boundaryEnd,
+        error: result.error,
+      });
+      parts.push(
+        `[untranscribed ${formatOffset(chunk.boundaryStart)}-` +
+          `${formatOffset(chunk.boundaryEnd)}]`
+      );
+      previousText = "";
+      return;
+    }
+
+    const inChunk = (item) =>
+      index === 0 || midpoint(item) >= chunk.boundaryStart;
+    const offset = (item) => ({
+      ...item,
+      startTime: item.startTime + chunk.start,
+      endTime: item.endTime + chunk.start,
+    });
+
+    const chunkWords = alignSpeakers(
+      (result.words || []).map(offset),
+      words,
+      chunk.boundaryStart,
+      nextSpeaker
+    ).filter(inChunk);
+    const chunkSegments = (result.segments || []).map(offset).filter(inChunk);
+    words.push(...chunkWords);
+    segments.push(...chunkSegments);
+
+    let text;
+    if (chunkWords.length > 0 && chunkWords.every((word) => word.word)) {
+      text = chunkWords.map((word) => word.word).join(" ");
+    } else if (chunkSegments.length > 0) {
+      text = chunkSegments.map((segment) => segment.text).join(" ");
+    } else {
+      text = mergeOverlappingText(previousText, result.transcript || "");
+    }
+
+    if (text) parts.push(text);
+    previousText = result.transcript || "";
+
+    if (typeof result.confidence === "number") {
+      const weight = chunk.boundaryEnd - chunk.boundaryStart;
+      confidenceSum += result.confidence * weight;
+      confidenceWeight += weight;
+    }
+  });
+
+  return {
+    transcript: parts.join(" "),
+    confidence: confidenceWeight > 0 ? confidenceSum / confidenceWeight : null,
+    words,
+    segments,
+    gaps,
+  };
+};
+
+// Group timed words into segments: a new segment starts when the speaker
+// changes, after a long pause, or when a segment gets long.
+const buildSegments = (words) => {
+  const segments = [];
+  let current = null;
+
+  words.forEach((word) => {
+    const startsNew =
+      !current ||
+      (word.speaker || null) !== current.speaker ||
+      word.startTime - current.endTime > SEGMENT_PAUSE_SECONDS ||
+      current.words.length >= SEGMENT_MAX_WORDS;
+    if (startsNew) {
+      current = {
+        startTime: word.startTime,
+        endTime: word.endTime,
+        speaker: word.speaker || null,
+        words: [],
+      };
+      segments.push(current);
+    }
+    current.words.push(word);
+    current.endTime = word.endTime;
+  });
+
+  return segments.map(({ words: segmentWords, ...segment }) => {
+    const scores = segmentWords
+      .map((word) => word.confidence)
+      .filter((confidence) => typeof confidence === "number");
+    return {
+      ...segment,
+      text: segmentWords.map((word) => word.word).join(" "),
+      confidence:
+        scores.length > 0
+          ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+          : null,
+    };
+  });
+};
+
+const isLowConfidence = (word, threshold = LOW_CONFIDENCE_THRESHOLD) =>
+  typeof word.confidence === "number" && word.confidence < threshold;
+
+// Time-coded words and segments for a transcription result. Providers
+// without word timings (whisper.cpp) only give segments, with no speakers.
+const buildTimeline = (result, threshold = LOW_CONFIDENCE_THRESHOLD) => {
+  const words = (result.words || [])
+    .filter((word) => word.word)
+    .map((word) => ({
+      word: word.word,
+      startTime: word.startTime,
+      endTime: word.endTime,
+      confidence: typeof word.confidence === "number" ? word.confidence : null,
+      speaker: word.speaker || null,
+      lowConfidence: isLowConfidence(word, threshold),
+    }));
+
+  const segments =
+    words.length > 0
+      ? buildSegments(words)
+      : (result.segments || []).map((segment) => ({
+          startTime: segment.startTime,
+          endTime: segment.endTime,
+          speaker: null,
+          text: segment.text,
+          confidence: null,
+        }));
+
+  return {
+    words,
+    segments,
+    speakers: [
+      ...new Set(segments.map((segment) => segment.speaker).filter(Boolean)),
+    ],
+  };
+};
+
+// Transcribe a long recording as parallel chunks. Keeps whatever chunks
+// succeed; throws only when every chunk fails.
+const transcribeInChunks = async (recording, provider, options = {}) => {
+  const filePath = resolveRecordingPath(recording.url);
+  const duration = recording.audioInfo.duration || recording.duration;
+
+  const silences = await detectSilences(filePath);
+  const chunks = planChunks(duration, silences, {
+    maxChunkSeconds: getMaxChunkSeconds(provider),
+  });
+
+  const results = await mapWithConcurrency(
+    chunks,
+    CHUNK_CONCURRENCY,
+    async (chunk) => {
+      let lastError;
+      for (let attempt = 1; attempt <= CHUNK_ATTEMPTS; attempt++) {
+        try {
+          const buffer = await transcodeToLinear16(filePath, {
+            start: chunk.start,
+            length: chunk.end - chunk.start,
+          });
+          return await provider.transcribe(buffer, {
+            ...options,
+            encoding: "LINEAR16",
+            sampleRateHertz: 16000,
+          });
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      console.error(
+        `Transcription chunk ${chunk.index + 1}/${chunks.length} failed:`,
+        lastError.message
+      );
+      return { error: lastError.message };
+    }
+  );
+
+  if (results.every((result) => result.error)) {
+    throw new Error(`All ${chunks.length} chunks failed: ${results[0].error}`);
+  }
+
+  // Chunks may disagree about the language; go with the majority
+  const languageCounts = {};
+  results.forEach((result) => {
+    if (result.language) {
+      languageCounts[result.language] =
+        (languageCounts[result.language] || 0) + 1;
+    }
+  });
+  const [top] = Object.entries(languageCounts).sort((a, b) => b[1] - a[1]);
+
+  return {
+    provider: provider.name,
+    ...stitchChunks(chunks, results),
+    chunks: chunks.length,
+    language: top ? top[0] : null,
+  };
+};
+
+// Chunk recordings longer than the provider's synchronous limit
+const runTranscription = async (recording, provider, options) => {
+  const info = await ensureAudioInfo(recording);
+
+  // Chunking needs the duration from the probe
+  if (needsLongTranscription(recording, provider) && info && info.duration) {
+    return transcribeInChunks(recording, provider, options);
+  }
+
+  const prepared = await prepareRecordingAudio(recording, provider);
+  const audioOptions = {
+    ...options,
+    encoding: prepared.encoding,
+    sampleRateHertz: prepared.sampleRateHertz,
+  };
+
+  return needsLongTranscription(recording, provider)
+    ? provider.transcribeLong(prepared.buffer, audioOptions)
+    : provider.transcribe(prepared.buffer, audioOptions);
+};
+
+// Transcribe a stored recording with a provider. Options: { languageCode,
+// alternativeLanguageCodes, diarization, vocabulary } - diarization
+// defaults on where the provider supports it; vocabulary ([{ phrase,
+// boost }]) and alternative languages are dropped where it does not. The
+// result's language is the one the provider detected, or else the one
+// requested.
+const transcribeRecording = async (recording, provider, options = {}) => {
+  options = {
+    diarization: DIARIZATION_ENABLED && !!provider.capabilities.diarization,
+    ...options,
+  };
+  if (!provider.capabilities.adaptation) delete options.vocabulary;
+  if (!provider.capabilities.languageDetection) {
+    delete options.alternativeLanguageCodes;
+  }
+
+  const result = await runTranscription(recording, provider, options);
+  return {
+    ...result,
+    language:
+      matchDetectedLanguage(result.language, options) ||
+      options.languageCode ||
+      null,
+  };
+};
+
+// Store a transcription result on an audioRecordings item
+const applyTranscriptionResult = (recording, result) => {
+  const gaps = result.gaps || [];
+  addTranscriptRevision(recording, {
+    text: result.transcript || "",
+    source: "stt",
+  });
+  recording.transcriptionProvider = result.provider;
+  recording.transcriptLanguage = result.language || null;
+  recording.transcriptionStatus = "completed";
+  recording.transcriptionTimestamp = new Date();
+  recording.transcriptionPartial = gaps.length > 0;
+  recording.transcriptionGaps = gaps;
+
+  const timeline = buildTimeline(result);
+  recording.transcriptWords = timeline.words;
+  recording.transcriptSegments = timeline.segments;
+  recording.speakerCount = timeline.speakers.length;
+  recording.lowConfidenceCount = timeline.words.filter(
+    (word) => word.lowConfidence
+  ).length;
+
+  recording.transcriptionError =
+    gaps.length > 0
+      ? `${gaps.length} of ${result.chunks} chunks could not be transcribed`
+      : null;
+};
+
+module.exports = {
+  LOW_CONFIDENCE_THRESHOLD,
+  planChunks,
+  mergeOverlappingText,
+  stitchChunks,
+  buildSegments,
+  buildTimeline,
+  isLowConfidence,
+  transcribeInChunks,
+  transcribeRecording,
+  applyTranscriptionResult,
+};
@@ -0,0 +1,138 @@
+//utils/transcriptionLanguage.js
+
+// Which language a recording is transcribed in. In order: the recording's
+// own override, the user's transcription language, the locale for their
+// interface language (preferences.language), then STT_DEFAULT_LANGUAGE.
+// With auto-detection on, providers also listen for up to three
+// alternative languages and report which one they heard.
+
+const DEFAULT_LANGUAGE_CODE = process.env.STT_DEFAULT_LANGUAGE || "en-GB";
+// Google accepts at most three alternative languages
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+
+// Locale used for a bare interface language
+const LANGUAGE_LOCALES = {
+  en: "en-GB",
+  cy: "cy-GB",
+  ga: "ga-IE",
+  fr: "fr-FR",
+  de: "de-DE",
+  es: "es-ES",
+  it: "it-IT",
+  pl: "pl-PL",
+  pt: "pt-PT",
+  ro: "ro-RO",
+  ur: "ur-PK",
+  hi: "hi-IN",
+  bn: "bn-BD",
+  ar: "ar-EG",
+};
+
+const LANGUAGE_CODE_PATTERN = /^([a-z]{2,3})(?:[-_]([a-z]{2}|\d{3}))?$/i;
+
+// "en_gb" and "en-gb" become "en-GB"; a bare language becomes its
+// locale. Returns null for anything that is not a language tag.
+const normalizeLanguageCode = (code) => {
+  const match = LANGUAGE_CODE_PATTERN.exec(String(code || "").trim());
+  if (!match) return null;
+
+  const language = match[1].toLowerCase();
+  if (!match[2]) return LANGUAGE_LOCALES[language] || null;
+  return `${language}-${match[2].toUpperCase()}`;
+};
+
+const DETECT_LANGUAGE_CODES = (process.env.STT_DETECT_LANGUAGES || "en-GB,cy-GB")
+  .split(",")
+  .map(normalizeLanguageCode)
+  .filter(Boolean);
+
+// Speech options for a recording. Options: { languageCode, detectLanguage }
+// override the user's preferences for this recording. Returns
+// { languageCode, alternativeLanguageCodes }.
+const resolveTranscriptionLanguage = (preferences = {}, override = {}) => {
+  const settings = preferences.transcription || {};
+
+  const languageCode =
+    normalizeLanguageCode(override.languageCode) ||
+    normalizeLanguageCode(settings.languageCode) ||
+    normalizeLanguageCode(preferences.language) ||
+    DEFAULT_LANGUAGE_CODE;
+
+  const detect =
+    typeof override.detectLanguage === "boolean"
+      ? override.detectLanguage
+      : !!settings.autoDetectLanguage;
+
+  const candidates =
+    settings.alternativeLanguageCodes && settings.alternativeLanguageCodes.length
+      ? settings.alternativeLanguageCodes
+      : DETECT_LANGUAGE_CODES;
+
+  const alternativeLanguageCodes = detect
+    ? [...new Set(candidates.map(normalizeLanguageCode))]
+        .filter((code) => code && code !== languageCode)
+        .slice(0, MAX_ALTERNATIVE_LANGUAGES)
+    : [];
+
+  return { languageCode, alternativeLanguageCodes };
+};
+
+// Per-recording override from a request body (JSON or multipart form
+// fields languageCode and detectLanguage). Returns { languageCode,
+// detectLanguage } with only the fields given, or { error }.
+const parseLanguageOverride = (body = {}) => {
+  const override = {};
+  if (body.languageCode) {
+    override.languageCode = normalizeLanguageCode(body.languageCode);
+    if (!override.languageCode) {
+      return { error: `Unsupported language code: ${body.languageCode}` };
+    }
+  }
+  if (body.detectLanguage !== undefined && body.detectLanguage !== "") {
+    override.detectLanguage =
+      body.detectLanguage === true || body.detectLanguage === "true";
+  }
+  return override;
+};
+
+// Language a provider reported, matched to the codes that were asked for
+// so that a bare "cy" from whisper.cpp is stored as "cy-GB"
+const matchDetectedLanguage = (detected, options = {}) => {
+  if (!detected) return null;
+  const requested = [
+    options.languageCode,
+    ...(options.alternativeLanguageCodes || []),
+  ].filter(Boolean);
+
+  const code = String(detected).toLowerCase().replace("_", "-");
+  return (
+    requested.find((candidate) => candidate.toLowerCase() === code) ||
+    requested.find(
+      (candidate) => candidate.split("-")[0].toLowerCase() === code
+    ) ||
+    normalizeLanguageCode(code) ||
+    detected
+  );
+};
+
+// English name of a language tag for prompts ("British English (en-GB)")
+const describeLanguage = (code) => {
+  if (!code) return null;
+  try {
+    const name = new Intl.DisplayNames(["en-GB"], { type: "language" }).of(code);
+    return name && name !== code ? `${name} (${code})` : code;
+  } catch (error) {
+    return code;
+  }
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE_CODE,
+  DETECT_LANGUAGE_CODES,
+  MAX_ALTERNATIVE_LANGUAGES,
+  normalizeLanguageCode,
+  resolveTranscriptionLanguage,
+  parseLanguageOverride,
+  matchDetectedLanguage,
+  describeLanguage,
+};
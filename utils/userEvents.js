@@ -0,0 +1,138 @@
+//utils/userEvents.js
+
+// Per-user event bus behind the Server-Sent Events channel (routes/events.js).
+// When the job queues use Redis, events are fanned out over Redis pub/sub so
+// a job finishing on one server instance reaches a user connected to another;
+// otherwise they stay in this process.
+
+const { EventEmitter } = require("events");
+const { transcriptionQueue, redisAvailable } = require("../config/queue");
+
+const EVENT_TYPES = [
+  "transcription.queued",
+  "transcription.processing",
+  "transcription.completed",
+  "transcription.failed",
+  "transcription.cancelled",
+  "transcript.improved",
+  "ai.response",
+  "export.completed",
+  "export.failed",
+];
+
+const CHANNEL = "froglog:user-events";
+// Recent events kept per user so a reconnecting client can catch up
+const REPLAY_LIMIT = 50;
+const REPLAY_MAX_AGE = 15 * 60 * 1000; // 15 minutes
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open connection
+
+const recentEvents = new Map();
+let sequence = 0;
+let publisher = null;
+
+// Store and hand an event to this process's listeners
+const deliver = (userId, event) => {
+  const events = recentEvents.get(userId) || [];
+  events.push(event);
+  if (events.length > REPLAY_LIMIT) events.shift();
+  recentEvents.set(userId, events);
+
+  emitter.emit(userId, event);
+};
+
+// Forget buffers of users with no recent events
+const replaySweepTimer = setInterval(() => {
+  const cutoff = new Date(Date.now() - REPLAY_MAX_AGE).toISOString();
+  recentEvents.forEach((events, userId) => {
+    if (events[events.length - 1].createdAt < cutoff) {
+      recentEvents.delete(userId);
+    }
+  });
+}, REPLAY_MAX_AGE);
+replaySweepTimer.unref();
+
+if (redisAvailable && transcriptionQueue) {
+  try {
+    publisher = transcriptionQueue.client;
+    const subscriber = publisher.duplicate();
+    subscriber.on("error", (error) => {
+      console.error("User event subscriber error:", error.message);
+    });
+    subscriber.on("message", (channel, message) => {
+      if (channel !== CHANNEL) return;
+      try {
+        const { userId, event } = JSON.parse(message);
+        deliver(userId, event);
+      } catch (error) {
+        console.error("Malformed user event:", error.message);
+      }
+    });
+    subscriber.subscribe(CHANNEL).catch((error) => {
+      console.error("Failed to subscribe to user events:", error.message);
+      publisher = null;
+    });
+  } catch (error) {
+    console.warn(
+      "User events will not be shared between instances:",
+      error.message
+    );
+    publisher = null;
+  }
+}
+
+// Send an event to every open connection of a user. Never throws: events
+// are a convenience on top of the status endpoints.
+const publishUserEvent = (userId, type, data = {}) => {
+  if (!userId) return null;
+  if (!EVENT_TYPES.includes(type)) {
+    console.warn(`Unknown user event type: ${type}`);
+    return null;
+  }
+
+  // Ids sort by time so a client's Last-Event-ID finds its place in the
+  // replay buffer of any instance
+  const now = Date.now();
+  sequence = (sequence + 1) % 1000;
+  const event = {
+    id: `${now}-${String(sequence).padStart(3, "0")}`,
+    type,
+    data,
+    createdAt: new Date(now).toISOString(),
+  };
+  const key = userId.toString();
+
+  if (publisher) {
+    publisher
+      .publish(CHANNEL, JSON.stringify({ userId: key, event }))
+      .catch((error) => {
+        console.error("Failed to publish user event:", error.message);
+        deliver(key, event);
+      });
+  } else {
+    deliver(key, event);
+  }
+  return event;
+};
+
+// Listen for a user's events. Returns a function that stops listening.
+const subscribeUserEvents = (userId, listener) => {
+  const key = userId.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+// Buffered events newer than lastEventId
+const getEventsSince = (userId, lastEventId) => {
+  const events = recentEvents.get(userId.toString()) || [];
+  if (!lastEventId) return [];
+  return events.filter((event) => event.id > lastEventId);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  publishUserEvent,
+  subscribeUserEvents,
+  getEventsSince,
+};
@@ -0,0 +1,111 @@
+//utils/vocabulary.js
+
+// Speech adaptation vocabulary. Client admins and users keep terms in
+// VocabularyTerm; the phrases sent with a recording are assembled when it
+// is transcribed, from the terms that match the user's medical specialty
+// and the entry's log type.
+
+const User = require("../models/User");
+const VocabularyTerm = require("../models/VocabularyTerm");
+
+const ADAPTATION_ENABLED = process.env.STT_ENABLE_ADAPTATION !== "false";
+// Google accepts up to 5000 phrases; boosting fewer keeps each one useful
+const MAX_VOCABULARY_PHRASES = parseInt(
+  process.env.STT_MAX_VOCABULARY_PHRASES || "500"
+);
+
+const normalizeSpecialty = (specialty) =>
+  (specialty || "").trim().toLowerCase();
+
+// The user's own terms come first, then terms tied to the log type or
+// specialty, then terms for everyone
+const termRank = (term) =>
+  (term.scope === "user" ? 4 : 0) +
+  (term.logTypeIds && term.logTypeIds.length > 0 ? 2 : 0) +
+  (term.specialties && term.specialties.length > 0 ? 1 : 0);
+
+// Terms that apply to a recording. Options: { clientId, userId,
+// specialty, logTypeId }. Resolves to [{ phrase, boost, category, scope }],
+// one per phrase (the most specific term wins) and at most
+// MAX_VOCABULARY_PHRASES.
+const buildVocabulary = async ({ clientId, userId, specialty, logTypeId }) => {
+  const specialtyKey = normalizeSpecialty(specialty);
+
+  const terms = await VocabularyTerm.find({
+    clientId,
+    isActive: true,
+    $and: [
+      { $or: [{ scope: "client" }, { scope: "user", userId }] },
+      {
+        $or: [
+          { specialties: { $size: 0 } },
+          ...(specialtyKey ? [{ specialties: specialtyKey }] : []),
+        ],
+      },
+      {
+        $or: [
+          { logTypeIds: { $size: 0 } },
+          ...(logTypeId ? [{ logTypeIds: logTypeId }] : []),
+        ],
+      },
+    ],
+  })
+    .select("phrase boost category scope specialties logTypeIds")
+    .lean();
+
+  terms.sort(
+    (a, b) => termRank(b) - termRank(a) || (b.boost || 0) - (a.boost || 0)
+  );
+
+  const seen = new Set();
+  const vocabulary = [];
+  for (const term of terms) {
+    const key = term.phrase.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    vocabulary.push({
+      phrase: term.phrase,
+      boost: term.boost,
+      category: term.category,
+      scope: term.scope,
+    });
+    if (vocabulary.length >= MAX_VOCABULARY_PHRASES) break;
+  }
+  return vocabulary;
+};
+
+// Vocabulary for one of a user's log entries, using the specialty from
+// their AI preferences
+const buildEntryVocabulary = async (logEntry, userId) => {
+  const user = await User.findById(userId)
+    .select("preferences.aiConfig.medicalSpecialty")
+    .lean();
+
+  return buildVocabulary({
+    clientId: logEntry.clientId._id || logEntry.clientId,
+    userId,
+    specialty: user?.preferences?.aiConfig?.medicalSpecialty,
+    logTypeId: logEntry.logTypeId._id || logEntry.logTypeId,
+  });
+};
+
+// Terms that can be sent to a speech provider. Client terms and person
+// terms (consultant names, "Mr Thompson") are maintained on purpose, so
+// only the user's other terms are passed through the redactor, and any it
+// would change are left out.
+const filterRedactedTerms = (vocabulary, redactor) =>
+  vocabulary.filter(
+    (term) =>
+      term.scope === "client" ||
+      term.category === "person" ||
+      redactor.redact(term.phrase) === term.phrase
+  );
+
+module.exports = {
+  ADAPTATION_ENABLED,
+  MAX_VOCABULARY_PHRASES,
+  normalizeSpecialty,
+  buildVocabulary,
+  buildEntryVocabulary,
+  filterRedactedTerms,
+};